@@ -0,0 +1,52 @@
+import { getAdminDb, fromSnapshot } from '../lib/firebaseAdmin';
+import { withDerivedFields } from '../../src/derivedFields';
+import { auditEvents } from '../../src/audit';
+import { DEFAULT_RETENTION_DAYS, isDueForArchive, planArchive } from '../../src/archive';
+
+// --- Archive Fulfilled Subscriptions ---
+// Runs daily (netlify.toml). Archives every fulfilled subscription whose last fulfillment closed
+// more than ARCHIVE_RETENTION_DAYS ago. Each one is re-checked and written in its own
+// transaction, so a subscription extended in the meantime is left alone.
+
+const ACTOR = { actor: 'System', actorId: null };
+
+export const retentionDays = (env = process.env) => {
+  const days = parseInt(env.ARCHIVE_RETENTION_DAYS, 10);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+export const archiveFulfilled = async (db, days, now = new Date()) => {
+  const snapshot = await db.collection('subscriptions').where('status', '==', 'Fulfilled').where('isArchived', '==', false).get();
+  const due = snapshot.docs.filter(docSnapshot => isDueForArchive(fromSnapshot(docSnapshot), days, now));
+  const reason = `Fulfilled more than ${days} days ago.`;
+
+  let count = 0;
+  for (const { ref } of due) {
+    const wasArchived = await db.runTransaction(async (tx) => {
+      const latest = await tx.get(ref);
+      const sub = latest.exists ? fromSnapshot(latest) : null;
+      if (!sub || !isDueForArchive(sub, days, now)) return false;
+      const { changes: archived, message } = planArchive(sub, reason, ACTOR, now);
+      const changes = withDerivedFields(sub, {
+        ...archived,
+        communicationLog: [...sub.communicationLog, { date: now, message, ...ACTOR }],
+      });
+      tx.update(ref, changes);
+      auditEvents(sub, { ...sub, ...changes }, { at: now, ...ACTOR, source: 'schedule', reference: null })
+        .forEach(auditEvent => tx.set(ref.collection('audit').doc(), auditEvent));
+      return true;
+    });
+    if (wasArchived) count += 1;
+  }
+  return { checked: snapshot.docs.length, archived: count };
+};
+
+export const handler = async () => {
+  try {
+    const result = await archiveFulfilled(getAdminDb(), retentionDays());
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (e) {
+    console.error('Archive job error:', e);
+    return { statusCode: 500, body: 'Could not archive fulfilled subscriptions.' };
+  }
+};
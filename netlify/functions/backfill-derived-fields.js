@@ -0,0 +1,63 @@
+import { getAdminDb, fromSnapshot } from '../lib/firebaseAdmin';
+import { isAuthorizedMaintenanceCall } from '../lib/maintenance';
+import { withDerivedFields } from '../../src/derivedFields';
+import { assignFulfillmentIds } from '../../src/fulfillments';
+import { auditEvents } from '../../src/audit';
+
+// --- Backfill Derived Fields ---
+// The table only queries documents that carry the derived fields (status, nextActionDate,
+// isArchived, ...), so documents written before they existed are invisible until this job has
+// run once; it is a required step after deploying (README.md). Each document is brought up to
+// date in its own transaction, through the same withDerivedFields as every other write (so the
+// prescription is reconciled too), and only written when something changed, with its audit
+// events. A document that fails is reported and the rest carry on.
+
+const ACTOR = { actor: 'System', actorId: null };
+
+// Compared as JSON: stored Timestamps come back as Dates, like the values computed here.
+const changedFields = (sub, changes) => Object.keys(changes).filter(field => (
+  JSON.stringify(sub[field] ?? null) !== JSON.stringify(changes[field] ?? null)
+));
+
+export const backfillSubscriptions = async (db, now = new Date()) => {
+  const snapshot = await db.collection('subscriptions').get();
+  const failed = [];
+  let updated = 0;
+
+  for (const { ref } of snapshot.docs) {
+    try {
+      const wasUpdated = await db.runTransaction(async (tx) => {
+        const latest = await tx.get(ref);
+        if (!latest.exists) return false;
+        const sub = fromSnapshot(latest);
+        const changes = withDerivedFields(sub, { fulfillments: assignFulfillmentIds(sub.id, sub.fulfillments) }, now);
+        const fields = changedFields(sub, changes);
+        if (fields.length === 0) return false;
+
+        const written = Object.fromEntries(fields.map(field => [field, changes[field]]));
+        tx.update(ref, written);
+        const meta = { at: now, ...ACTOR, source: 'backfill', reference: null };
+        const recompute = { ...meta, action: 'recompute', fulfillmentId: null, field: null, from: null, to: fields };
+        [...auditEvents(sub, { ...sub, ...written }, meta), recompute].forEach(auditEvent => tx.set(ref.collection('audit').doc(), auditEvent));
+        return true;
+      });
+      if (wasUpdated) updated += 1;
+    } catch (e) {
+      console.error(`Backfill failed for subscription ${ref.id}:`, e);
+      failed.push({ id: ref.id, error: e.message });
+    }
+  }
+  return { checked: snapshot.docs.length, updated, failed };
+};
+
+export const handler = async (event) => {
+  if (!isAuthorizedMaintenanceCall(event)) return { statusCode: 401, body: 'Unauthorized.' };
+
+  try {
+    const result = await backfillSubscriptions(getAdminDb());
+    return { statusCode: result.failed.length > 0 ? 500 : 200, body: JSON.stringify(result) };
+  } catch (e) {
+    console.error('Backfill error:', e);
+    return { statusCode: 500, body: 'Could not read the subscriptions to backfill.' };
+  }
+};
@@ -0,0 +1,106 @@
+import { userFor } from '../lib/requestUser';
+import { getAdminDb, fromSnapshot, toDates } from '../lib/firebaseAdmin';
+import { json } from '../lib/http';
+import { getServerShippingProvider } from '../lib/shippingProviders';
+import { can } from '../../src/permissions';
+import { findFulfillment } from '../../src/fulfillments';
+import { labelRequest } from '../../src/shipping/labels';
+import { ShippingError } from '../../src/shipping/errors';
+
+// --- Buy Label ---
+// POST /.netlify/functions/buy-label with the signed-in user's Firebase ID token as a bearer
+// token and { subscriptionId, fulfillmentId } as the body. The request is built here with
+// labelRequest from the stored subscription, so the address is the one on file. Responds with
+// the purchased label; the dashboard stores it on the fulfillment.
+//
+// Labels cost money, so there is one purchase per fulfillment: labelPurchases/{sub}__{fulfillment}
+// is claimed before the provider is called and keeps the label afterwards. A repeated request
+// gets the label already bought. A claim without a label is a purchase in progress; it is
+// released when the provider fails and can be taken over once it is stale (the function died).
+
+const STALE_PURCHASE_MS = 5 * 60 * 1000;
+
+const validateRequest = (request) => {
+  if (!request || typeof request !== 'object') throw new ShippingError('Label request must be a JSON object.');
+  // The ids name Firestore documents, including labelPurchases/{sub}__{fulfillment}.
+  const isDocumentId = (value) => typeof value === 'string' && value !== '' && !value.includes('/');
+  if (!isDocumentId(request.subscriptionId) || !isDocumentId(request.fulfillmentId)) {
+    throw new ShippingError('Label request needs the subscription and fulfillment ids, without slashes.');
+  }
+  const { subscriptionId, fulfillmentId } = request;
+  return { subscriptionId, fulfillmentId };
+};
+
+// The label as providers return it, from a stored one.
+const purchasedLabel = ({ carrier, trackingNumber, labelUrl, cost }) => ({
+  carrier: carrier || null,
+  trackingNumber,
+  labelUrl: labelUrl || null,
+  cost: cost ?? null,
+});
+
+// Claims the purchase, resolving to { request } to buy with, or to { label } when the fulfillment
+// already has one. Throws a ShippingError when no label should be bought.
+const claimPurchase = (db, purchaseRef, { subscriptionId, fulfillmentId }, actorId, now) => db.runTransaction(async (tx) => {
+  const subRef = db.collection('subscriptions').doc(subscriptionId);
+  const [purchaseSnapshot, subSnapshot] = await Promise.all([tx.get(purchaseRef), tx.get(subRef)]);
+  const purchase = purchaseSnapshot.exists ? toDates(purchaseSnapshot.data()) : null;
+  if (purchase?.label) return { label: purchasedLabel(purchase.label) };
+  if (purchase && now - purchase.startedAt < STALE_PURCHASE_MS) {
+    throw new ShippingError('A label for this fulfillment is already being bought. Try again in a minute.');
+  }
+
+  const sub = subSnapshot.exists ? fromSnapshot(subSnapshot) : null;
+  const fulfillment = findFulfillment(sub, fulfillmentId);
+  if (!fulfillment) throw new ShippingError('The fulfillment does not exist.');
+  if (fulfillment.label) return { label: purchasedLabel(fulfillment.label) };
+  const request = labelRequest(sub, fulfillment);
+  tx.set(purchaseRef, { subscriptionId, fulfillmentId, startedAt: now, actorId, label: null });
+  return { request };
+});
+
+// Resolves to the label for the fulfillment, buying it from `provider` unless one was bought
+// already.
+export const buyLabelOnce = async (db, ids, provider, actorId, now = new Date()) => {
+  const purchaseRef = db.collection('labelPurchases').doc(`${ids.subscriptionId}__${ids.fulfillmentId}`);
+  const { request, label } = await claimPurchase(db, purchaseRef, ids, actorId, now);
+  if (label) return label;
+
+  let purchased;
+  try {
+    purchased = await provider.buyLabel(request);
+  } catch (e) {
+    await purchaseRef.delete().catch(deleteError => console.error(`Could not release the label purchase ${purchaseRef.id}:`, deleteError));
+    throw e;
+  }
+  try {
+    await purchaseRef.update({ label: purchasedLabel(purchased), purchasedAt: new Date() });
+  } catch (e) {
+    console.error(`Bought label ${purchased.trackingNumber} for ${purchaseRef.id} but could not record the purchase:`, e);
+  }
+  return purchasedLabel(purchased);
+};
+
+export const handler = async (event) => {
+  if (event.httpMethod !== 'POST') return json(405, { error: 'Method not allowed.' });
+
+  const user = await userFor(event.headers.authorization);
+  if (!user) return json(401, { error: 'Sign in again to buy labels.' });
+  if (!can(user, 'shipFulfillment')) return json(403, { error: 'Your role cannot buy shipping labels.' });
+
+  let request;
+  try {
+    request = validateRequest(JSON.parse(event.body || ''));
+  } catch (e) {
+    return json(400, { error: e instanceof ShippingError ? e.message : 'Body is not valid JSON.' });
+  }
+
+  try {
+    const label = await buyLabelOnce(getAdminDb(), request, getServerShippingProvider(), user.uid);
+    return json(200, label);
+  } catch (e) {
+    if (e instanceof ShippingError) return json(422, { error: e.message });
+    console.error('Buy label error:', e);
+    return json(502, { error: 'The label could not be bought.' });
+  }
+};
@@ -0,0 +1,51 @@
+import { getAdminDb, fromSnapshot } from '../lib/firebaseAdmin';
+import { withDerivedFields } from '../../src/derivedFields';
+import { auditEvents } from '../../src/audit';
+import { DEFAULT_ESCALATION_DAYS, isEscalationDue, planEscalation } from '../../src/approvals/requests';
+
+// --- Escalate Approval Requests ---
+// Runs daily (netlify.toml). Escalates every approval request the prescriber has not answered
+// within APPROVAL_ESCALATION_DAYS, which makes the subscription Action Required. Each one is
+// re-checked and written in its own transaction, so an answer recorded in the meantime wins.
+
+const ACTOR = { actor: 'System', actorId: null };
+
+export const escalationDays = (env = process.env) => {
+  const days = parseInt(env.APPROVAL_ESCALATION_DAYS, 10);
+  return days > 0 ? days : DEFAULT_ESCALATION_DAYS;
+};
+
+export const escalateApprovals = async (db, days, now = new Date()) => {
+  const snapshot = await db.collection('subscriptions').where('physicianStatus', '==', 'Requested').where('isArchived', '==', false).get();
+  const due = snapshot.docs.filter(docSnapshot => isEscalationDue(fromSnapshot(docSnapshot), days, now));
+
+  let count = 0;
+  for (const { ref } of due) {
+    const wasEscalated = await db.runTransaction(async (tx) => {
+      const latest = await tx.get(ref);
+      const sub = latest.exists ? fromSnapshot(latest) : null;
+      if (!sub || !isEscalationDue(sub, days, now)) return false;
+      const { changes: escalated, message } = planEscalation(sub, days, now);
+      const changes = withDerivedFields(sub, {
+        ...escalated,
+        communicationLog: [...sub.communicationLog, { date: now, message, ...ACTOR }],
+      });
+      tx.update(ref, changes);
+      auditEvents(sub, { ...sub, ...changes }, { at: now, ...ACTOR, source: 'schedule', reference: null })
+        .forEach(auditEvent => tx.set(ref.collection('audit').doc(), auditEvent));
+      return true;
+    });
+    if (wasEscalated) count += 1;
+  }
+  return { checked: snapshot.docs.length, escalated: count };
+};
+
+export const handler = async () => {
+  try {
+    const result = await escalateApprovals(getAdminDb(), escalationDays());
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (e) {
+    console.error('Approval escalation error:', e);
+    return { statusCode: 500, body: 'Could not escalate approval requests.' };
+  }
+};
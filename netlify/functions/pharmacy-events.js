@@ -0,0 +1,76 @@
+import { getAdminDb, fromSnapshot, toDates } from '../lib/firebaseAdmin';
+import { json } from '../lib/http';
+import { SIGNATURE_HEADER, verifySignature } from '../lib/signature';
+import { validatePharmacyEvent, applyPharmacyEvent, PharmacyEventError } from '../../src/pharmacyEvents';
+import { TransitionError } from '../../src/fulfillmentMachine';
+import { withDerivedFields } from '../../src/derivedFields';
+import { auditEvents } from '../../src/audit';
+import { dispensedBy, planDispense } from '../../src/inventory';
+
+// --- Pharmacy Events Webhook ---
+// POST /.netlify/functions/pharmacy-events
+// Verifies the HMAC signature, then applies the event to the subscription's fulfillment in a
+// transaction, together with its audit events and, for a shipment, the drug's stock. Processed
+// event ids are recorded in `pharmacyEvents`, so redeliveries are no-ops.
+
+export const processPharmacyEvent = (db, pharmacyEvent) => db.runTransaction(async (tx) => {
+  const eventRef = db.collection('pharmacyEvents').doc(pharmacyEvent.id);
+  const subRef = db.collection('subscriptions').doc(pharmacyEvent.subscriptionId);
+  const [eventSnapshot, subSnapshot] = await Promise.all([tx.get(eventRef), tx.get(subRef)]);
+
+  if (eventSnapshot.exists) return { duplicate: true };
+  if (!subSnapshot.exists) {
+    throw new PharmacyEventError(`Subscription ${pharmacyEvent.subscriptionId} does not exist.`, 404);
+  }
+
+  const subscription = fromSnapshot(subSnapshot);
+  const { fulfillments, logEntry } = applyPharmacyEvent(subscription, pharmacyEvent);
+
+  const changes = withDerivedFields(subscription, {
+    fulfillments,
+    communicationLog: [...subscription.communicationLog, logEntry],
+  });
+  const dispensed = dispensedBy(subscription, { ...subscription, ...changes });
+  const itemRef = dispensed && db.collection('inventory').doc(dispensed.ndc);
+  const itemSnapshot = itemRef && await tx.get(itemRef);
+  tx.update(subRef, changes);
+  const meta = { at: logEntry.date, actor: 'System', actorId: null, source: 'webhook', reference: pharmacyEvent.id };
+  if (itemSnapshot?.exists) {
+    tx.update(itemRef, planDispense(toDates(itemSnapshot.data()), dispensed, meta, logEntry.date).changes);
+  }
+  auditEvents(subscription, { ...subscription, ...changes }, meta).forEach(auditEvent => tx.set(subRef.collection('audit').doc(), auditEvent));
+  tx.set(eventRef, {
+    type: pharmacyEvent.type,
+    subscriptionId: pharmacyEvent.subscriptionId,
+    fulfillmentId: pharmacyEvent.fulfillmentId,
+    receivedAt: new Date(),
+  });
+  return { duplicate: false };
+});
+
+export const handler = async (event) => {
+  if (event.httpMethod !== 'POST') return json(405, { error: 'Method not allowed.' });
+
+  const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+  const signature = event.headers[SIGNATURE_HEADER];
+  if (!verifySignature(rawBody, signature, process.env.PHARMACY_WEBHOOK_SECRET)) {
+    return json(401, { error: 'Invalid signature.' });
+  }
+
+  let pharmacyEvent;
+  try {
+    pharmacyEvent = validatePharmacyEvent(JSON.parse(rawBody));
+  } catch (e) {
+    return json(400, { error: e instanceof PharmacyEventError ? e.message : 'Body is not valid JSON.' });
+  }
+
+  try {
+    const { duplicate } = await processPharmacyEvent(getAdminDb(), pharmacyEvent);
+    return json(200, { id: pharmacyEvent.id, duplicate });
+  } catch (e) {
+    if (e instanceof PharmacyEventError) return json(e.statusCode, { error: e.message });
+    if (e instanceof TransitionError) return json(409, { error: e.message });
+    console.error('Pharmacy event error:', e);
+    return json(500, { error: 'Could not process the event.' });
+  }
+};
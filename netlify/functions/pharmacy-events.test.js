@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+import { signPayload } from '../lib/signature';
+import { handler, processPharmacyEvent } from './pharmacy-events';
+import { PharmacyEventError } from '../../src/pharmacyEvents';
+
+// Just enough of the Admin SDK's Firestore for processPharmacyEvent: documents by path, and
+// transactions that only apply their writes once the callback resolves.
+const createFakeDb = (seed) => {
+  const docs = new Map(Object.entries(seed));
+  let autoId = 0;
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+  const collectionRef = (path) => ({
+    doc: (id = `auto${(autoId += 1)}`) => docRef(`${path}/${id}`),
+  });
+  const snapshot = (ref) => ({ id: ref.id, exists: docs.has(ref.path), data: () => docs.get(ref.path) });
+
+  return {
+    docs,
+    collection: collectionRef,
+    runTransaction: async (run) => {
+      const writes = [];
+      const tx = {
+        get: async (ref) => snapshot(ref),
+        set: (ref, data) => writes.push(() => docs.set(ref.path, data)),
+        update: (ref, changes) => writes.push(() => docs.set(ref.path, { ...docs.get(ref.path), ...changes })),
+      };
+      const result = await run(tx);
+      writes.forEach(write => write());
+      return result;
+    },
+  };
+};
+
+const seedSubscription = () => ({
+  'subscriptions/sub-1': {
+    patientName: 'Alex Doe',
+    physicianStatus: 'Approved',
+    patient: { phone: '5125550100' },
+    fulfillments: [{ id: 'sub-1-1', seq: 1, fulfillmentDate: new Date(2026, 9, 20), status: 'Scheduled', statusDates: {} }],
+    communicationLog: [],
+  },
+});
+
+const intakeSent = { id: 'evt_1', type: 'intake.sent', subscriptionId: 'sub-1', fulfillmentId: 'sub-1-1' };
+
+const auditPaths = (db) => [...db.docs.keys()].filter(path => path.startsWith('subscriptions/sub-1/audit/'));
+
+describe('processPharmacyEvent', () => {
+  test('applies an event once and treats redeliveries as duplicates', async () => {
+    const db = createFakeDb(seedSubscription());
+
+    await expect(processPharmacyEvent(db, intakeSent)).resolves.toEqual({ duplicate: false });
+    const afterFirst = db.docs.get('subscriptions/sub-1');
+    expect(afterFirst.fulfillments[0].status).toBe('Intake Sent');
+    expect(afterFirst.communicationLog).toHaveLength(1);
+    expect(db.docs.get('pharmacyEvents/evt_1')).toMatchObject({ type: 'intake.sent', subscriptionId: 'sub-1', fulfillmentId: 'sub-1-1' });
+    const auditCount = auditPaths(db).length;
+    expect(auditCount).toBeGreaterThan(0);
+
+    await expect(processPharmacyEvent(db, intakeSent)).resolves.toEqual({ duplicate: true });
+    expect(db.docs.get('subscriptions/sub-1')).toBe(afterFirst);
+    expect(auditPaths(db)).toHaveLength(auditCount);
+  });
+
+  test('a rejected event is not recorded, so a corrected redelivery still applies', async () => {
+    const db = createFakeDb(seedSubscription());
+    const unknownFulfillment = { ...intakeSent, fulfillmentId: 'sub-1-9' };
+
+    await expect(processPharmacyEvent(db, unknownFulfillment)).rejects.toThrow(PharmacyEventError);
+    expect(db.docs.has('pharmacyEvents/evt_1')).toBe(false);
+    await expect(processPharmacyEvent(db, intakeSent)).resolves.toEqual({ duplicate: false });
+  });
+
+  test('events for unknown subscriptions are a 404', async () => {
+    const db = createFakeDb({});
+    await expect(processPharmacyEvent(db, intakeSent)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('handler', () => {
+  const SECRET = 'test-secret';
+  const previousSecret = process.env.PHARMACY_WEBHOOK_SECRET;
+  beforeAll(() => { process.env.PHARMACY_WEBHOOK_SECRET = SECRET; });
+  afterAll(() => { process.env.PHARMACY_WEBHOOK_SECRET = previousSecret; });
+
+  const post = (body, signature) => handler({ httpMethod: 'POST', headers: { 'x-pharmacy-signature': signature }, body, isBase64Encoded: false });
+
+  test('rejects unsigned and wrongly signed events before reading them', async () => {
+    const body = JSON.stringify(intakeSent);
+    expect((await post(body, undefined)).statusCode).toBe(401);
+    expect((await post(body, signPayload(body, 'other-secret'))).statusCode).toBe(401);
+  });
+
+  test('rejects signed events that are not valid', async () => {
+    const body = JSON.stringify({ ...intakeSent, type: 'label.printed' });
+    const response = await post(body, signPayload(body, SECRET));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('Unknown event type "label.printed".');
+  });
+});
@@ -0,0 +1,63 @@
+import { userFor } from '../lib/requestUser';
+import { getAdminDb, fromSnapshot } from '../lib/firebaseAdmin';
+import { json } from '../lib/http';
+import { getServerApprovalSender } from '../lib/approvalSenders';
+import { can } from '../../src/permissions';
+import { APPROVAL_CHANNELS, approvalRequest } from '../../src/approvals/requests';
+import { ApprovalError } from '../../src/approvals/errors';
+
+// --- Send Approval Request ---
+// POST /.netlify/functions/send-approval-request with the signed-in user's Firebase ID token as a
+// bearer token and { subscriptionId, channel } as the body. The request is built here with
+// approvalRequest from the stored subscription and goes to the prescriber's fax or email on file,
+// so callers cannot choose the content or the recipient. Responds with { id, request }; the
+// dashboard records that request on the subscription.
+
+const validateRequest = (request) => {
+  if (!request || typeof request !== 'object') throw new ApprovalError('Approval request must be a JSON object.');
+  if (typeof request.subscriptionId !== 'string') throw new ApprovalError('Approval request is missing the subscription.');
+  if (!APPROVAL_CHANNELS[request.channel]) throw new ApprovalError(`Unknown channel "${request.channel}".`);
+  const { subscriptionId, channel } = request;
+  return { subscriptionId, channel };
+};
+
+// The approval request for a validated body, built from the stored subscription. Throws an
+// ApprovalError when there is nothing to send.
+export const storedApprovalRequest = async (db, { subscriptionId, channel }) => {
+  const snapshot = await db.collection('subscriptions').doc(subscriptionId).get();
+  if (!snapshot.exists) throw new ApprovalError('The subscription does not exist.');
+  const sub = fromSnapshot(snapshot);
+  if (sub.archive) throw new ApprovalError('Archived subscriptions cannot be sent for approval.');
+  return approvalRequest(sub, channel);
+};
+
+export const handler = async (event) => {
+  if (event.httpMethod !== 'POST') return json(405, { error: 'Method not allowed.' });
+
+  const user = await userFor(event.headers.authorization);
+  if (!user) return json(401, { error: 'Sign in again to send approval requests.' });
+  if (!can(user, 'requestApproval')) return json(403, { error: 'Your role cannot send approval requests.' });
+
+  let request;
+  try {
+    request = validateRequest(JSON.parse(event.body || ''));
+  } catch (e) {
+    return json(400, { error: e instanceof ApprovalError ? e.message : 'Body is not valid JSON.' });
+  }
+
+  try {
+    request = await storedApprovalRequest(getAdminDb(), request);
+  } catch (e) {
+    if (e instanceof ApprovalError) return json(422, { error: e.message });
+    console.error('Approval request lookup error:', e);
+    return json(500, { error: 'Could not load the subscription.' });
+  }
+
+  try {
+    const { id } = await getServerApprovalSender().send(request);
+    return json(200, { id, request });
+  } catch (e) {
+    console.error('Approval request error:', e);
+    return json(502, { error: 'The approval request could not be delivered.' });
+  }
+};
@@ -0,0 +1,69 @@
+import { userFor } from '../lib/requestUser';
+import { getAdminDb, fromSnapshot } from '../lib/firebaseAdmin';
+import { json } from '../lib/http';
+import { getServerOutreachProvider } from '../lib/outreachProviders';
+import { can } from '../../src/permissions';
+import { findFulfillment } from '../../src/fulfillments';
+import { CHANNELS, OUTREACH_TEMPLATES, composeMessage } from '../../src/outreach/templates';
+import { OutreachError } from '../../src/outreach/errors';
+
+// --- Send Outreach ---
+// POST /.netlify/functions/send-outreach with the signed-in user's Firebase ID token as a bearer
+// token and { subscriptionId, fulfillmentId, templateKey, channel } as the body. The message is
+// composed here from the stored subscription and sent to the patient's phone or email on file,
+// so callers cannot choose the text or the recipient. Responds with { id, message }; the
+// dashboard records that message in the communication log.
+
+const validateRequest = (request) => {
+  if (!request || typeof request !== 'object') throw new OutreachError('Request body must be a JSON object.');
+  if (typeof request.subscriptionId !== 'string' || typeof request.fulfillmentId !== 'string') {
+    throw new OutreachError('Request is missing the subscription or fulfillment.');
+  }
+  if (!OUTREACH_TEMPLATES[request.templateKey]) throw new OutreachError(`Unknown message template "${request.templateKey}".`);
+  if (!CHANNELS[request.channel]) throw new OutreachError(`Unknown channel "${request.channel}".`);
+  const { subscriptionId, fulfillmentId, templateKey, channel } = request;
+  return { subscriptionId, fulfillmentId, templateKey, channel };
+};
+
+// The message for a validated request, composed from the stored subscription. Throws an
+// OutreachError when there is nothing to send it for.
+export const storedMessage = async (db, { subscriptionId, fulfillmentId, templateKey, channel }) => {
+  const snapshot = await db.collection('subscriptions').doc(subscriptionId).get();
+  const sub = snapshot.exists ? fromSnapshot(snapshot) : null;
+  const fulfillment = findFulfillment(sub, fulfillmentId);
+  if (!fulfillment) throw new OutreachError('The fulfillment does not exist.');
+  if (sub.archive) throw new OutreachError('Archived subscriptions cannot be messaged.');
+  return composeMessage(templateKey, channel, sub, fulfillment);
+};
+
+export const handler = async (event) => {
+  if (event.httpMethod !== 'POST') return json(405, { error: 'Method not allowed.' });
+
+  const user = await userFor(event.headers.authorization);
+  if (!user) return json(401, { error: 'Sign in again to send messages.' });
+  if (!can(user, 'sendOutreach')) return json(403, { error: 'Your role cannot send patient messages.' });
+
+  let request;
+  try {
+    request = validateRequest(JSON.parse(event.body || ''));
+  } catch (e) {
+    return json(400, { error: e instanceof OutreachError ? e.message : 'Body is not valid JSON.' });
+  }
+
+  let message;
+  try {
+    message = await storedMessage(getAdminDb(), request);
+  } catch (e) {
+    if (e instanceof OutreachError) return json(422, { error: e.message });
+    console.error('Outreach lookup error:', e);
+    return json(500, { error: 'Could not load the subscription.' });
+  }
+
+  try {
+    const { id } = await getServerOutreachProvider().send(message);
+    return json(200, { id, message });
+  } catch (e) {
+    console.error('Outreach error:', e);
+    return json(502, { error: 'The message could not be delivered.' });
+  }
+};
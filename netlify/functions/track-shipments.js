@@ -0,0 +1,64 @@
+import { getAdminDb, fromSnapshot } from '../lib/firebaseAdmin';
+import { withDerivedFields } from '../../src/derivedFields';
+import { auditEvents } from '../../src/audit';
+import { isAwaitingDelivery } from '../../src/fulfillments';
+import { TransitionError } from '../../src/fulfillmentMachine';
+import { createCarrierAdapter, CarrierError, carrierOf, trackingRequest, planTrackingUpdate } from '../../src/carriers';
+
+// --- Track Shipments ---
+// Runs hourly (netlify.toml). Asks the carrier adapter (CARRIER_ADAPTER, default "mock") about
+// every shipped fulfillment that has not been delivered, and applies the reported status in a
+// transaction per fulfillment. The fulfillment is re-read first, so a status someone changed in
+// the meantime is not overwritten.
+
+const ACTOR = { actor: 'System', actorId: null };
+
+const applyUpdate = (db, ref, fulfillmentId, seenStatus, update, now) => db.runTransaction(async (tx) => {
+  const latest = await tx.get(ref);
+  const sub = latest.exists ? fromSnapshot(latest) : null;
+  const fulfillment = sub?.fulfillments.find(f => f.id === fulfillmentId);
+  if (!fulfillment || fulfillment.status !== seenStatus || sub.archive) return false;
+
+  const plan = planTrackingUpdate(sub, fulfillment, update, now);
+  if (!plan) return false;
+  const changes = withDerivedFields(sub, {
+    fulfillments: sub.fulfillments.map(f => (f.id === fulfillmentId ? { ...f, ...plan.changes } : f)),
+    communicationLog: [...sub.communicationLog, { date: now, message: plan.message, ...ACTOR }],
+  });
+  tx.update(ref, changes);
+  auditEvents(sub, { ...sub, ...changes }, { at: now, ...ACTOR, source: 'schedule', reference: fulfillment.tracking })
+    .forEach(auditEvent => tx.set(ref.collection('audit').doc(), auditEvent));
+  return true;
+});
+
+export const trackShipments = async (db, adapter, now = new Date()) => {
+  const snapshot = await db.collection('subscriptions').where('fulfillmentStatuses', 'array-contains-any', ['Shipped', 'In Transit', 'Exception']).get();
+  const result = { checked: 0, updated: 0, failed: 0 };
+
+  for (const docSnapshot of snapshot.docs) {
+    const sub = fromSnapshot(docSnapshot);
+    if (sub.archive) continue;
+    for (const fulfillment of sub.fulfillments.filter(f => isAwaitingDelivery(f) && carrierOf(f))) {
+      result.checked += 1;
+      try {
+        const update = await adapter.track(trackingRequest(fulfillment));
+        if (await applyUpdate(db, docSnapshot.ref, fulfillment.id, fulfillment.status, update, now)) result.updated += 1;
+      } catch (e) {
+        if (!(e instanceof CarrierError) && !(e instanceof TransitionError)) throw e;
+        console.warn(`Tracking ${fulfillment.id} (${fulfillment.tracking}): ${e.message}`);
+        result.failed += 1;
+      }
+    }
+  }
+  return result;
+};
+
+export const handler = async () => {
+  try {
+    const result = await trackShipments(getAdminDb(), createCarrierAdapter(process.env.CARRIER_ADAPTER || 'mock'));
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (e) {
+    console.error('Track shipments error:', e);
+    return { statusCode: 500, body: 'Could not check shipments.' };
+  }
+};
@@ -0,0 +1,20 @@
+import { createStubApprovalSender } from '../../src/approvals/stubSender';
+import { createFileProvider } from './outreachProviders';
+
+// --- Server Approval Senders ---
+// APPROVAL_SENDER picks how send-approval-request delivers prescriber requests. The stand-ins
+// deliver nothing:
+//   stub -> writes the request to the function log (default)
+//   file -> appends it as a JSON line to APPROVAL_OUTBOX_FILE (default /tmp/approval-outbox.jsonl)
+// A real fax or email service plugs in here with the same send(request) -> { id } shape.
+
+export const getServerApprovalSender = (env = process.env) => {
+  switch (env.APPROVAL_SENDER || 'stub') {
+    case 'stub':
+      return createStubApprovalSender({ storage: null });
+    case 'file':
+      return createFileProvider(env.APPROVAL_OUTBOX_FILE || '/tmp/approval-outbox.jsonl');
+    default:
+      throw new Error(`Unknown APPROVAL_SENDER "${env.APPROVAL_SENDER}". Use "stub" or "file".`);
+  }
+};
@@ -0,0 +1,49 @@
+import { initializeApp, cert, getApps } from 'firebase-admin/app';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { getAuth } from 'firebase-admin/auth';
+
+// --- Firebase Admin ---
+// Functions talk to Firestore with the Admin SDK. FIREBASE_SERVICE_ACCOUNT holds the service
+// account JSON; when FIRESTORE_EMULATOR_HOST is set the SDK targets the emulator instead and
+// only a project id is needed.
+const initAdminApp = () => {
+  if (getApps().length === 0) {
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+    if (serviceAccount) {
+      initializeApp({ credential: cert(JSON.parse(serviceAccount)) });
+    } else if (process.env.FIRESTORE_EMULATOR_HOST) {
+      initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || 'demo-prescription-dashboard' });
+    } else {
+      throw new Error('FIREBASE_SERVICE_ACCOUNT is not set.');
+    }
+  }
+};
+
+export const getAdminDb = () => {
+  initAdminApp();
+  return getFirestore();
+};
+
+export const getAdminAuth = () => {
+  initAdminApp();
+  return getAuth();
+};
+
+export const toDates = (value) => {
+  if (value instanceof Timestamp) return value.toDate();
+  if (Array.isArray(value)) return value.map(toDates);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toDates(v)]));
+  }
+  return value;
+};
+
+export const fromSnapshot = (snapshot) => {
+  const data = toDates(snapshot.data());
+  return {
+    id: snapshot.id,
+    ...data,
+    fulfillments: data.fulfillments || [],
+    communicationLog: data.communicationLog || [],
+  };
+};
@@ -0,0 +1,6 @@
+// A JSON response for the dashboard-facing functions.
+export const json = (statusCode, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
@@ -0,0 +1,8 @@
+// --- Maintenance Endpoints ---
+// One-off jobs are exposed as functions guarded by a bearer token (MAINTENANCE_TOKEN), e.g.
+//   curl -X POST -H "Authorization: Bearer $MAINTENANCE_TOKEN" <site>/.netlify/functions/<job>
+export const isAuthorizedMaintenanceCall = (event) => {
+  const token = process.env.MAINTENANCE_TOKEN;
+  const header = event.headers.authorization || '';
+  return event.httpMethod === 'POST' && !!token && header === `Bearer ${token}`;
+};
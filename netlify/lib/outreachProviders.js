@@ -0,0 +1,29 @@
+import { appendFile } from 'fs/promises';
+import { createConsoleProvider } from '../../src/outreach/consoleProvider';
+
+// --- Server Outreach Providers ---
+// OUTREACH_PROVIDER picks how send-outreach delivers messages. The stand-ins deliver nothing:
+//   console  -> writes the message to the function log (default)
+//   file     -> appends it as a JSON line to OUTREACH_OUTBOX_FILE (default /tmp/outreach-outbox.jsonl)
+// A real SMS or email provider plugs in here with the same send(message) -> { id } shape.
+
+export const createFileProvider = (path) => ({
+  kind: 'file',
+
+  async send(message) {
+    const id = `msg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    await appendFile(path, `${JSON.stringify({ id, sentAt: new Date().toISOString(), ...message })}\n`);
+    return { id };
+  },
+});
+
+export const getServerOutreachProvider = (env = process.env) => {
+  switch (env.OUTREACH_PROVIDER || 'console') {
+    case 'console':
+      return createConsoleProvider({ storage: null });
+    case 'file':
+      return createFileProvider(env.OUTREACH_OUTBOX_FILE || '/tmp/outreach-outbox.jsonl');
+    default:
+      throw new Error(`Unknown OUTREACH_PROVIDER "${env.OUTREACH_PROVIDER}". Use "console" or "file".`);
+  }
+};
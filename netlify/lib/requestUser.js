@@ -0,0 +1,15 @@
+import { getAdminAuth, getAdminDb } from './firebaseAdmin';
+
+// The dashboard user behind a request's "Authorization: Bearer <Firebase ID token>" header, as
+// { uid, role } for permissions.can, or null when the token is missing or invalid.
+export const userFor = async (authorization) => {
+  const token = (authorization || '').replace(/^Bearer /, '');
+  if (!token) return null;
+  try {
+    const { uid } = await getAdminAuth().verifyIdToken(token);
+    const profile = await getAdminDb().collection('users').doc(uid).get();
+    return { uid, role: profile.exists ? profile.data().role : null };
+  } catch (e) {
+    return null;
+  }
+};
@@ -0,0 +1,15 @@
+import { createStubShippingProvider } from '../../src/shipping/stubProvider';
+
+// --- Server Shipping Providers ---
+// SHIPPING_PROVIDER picks how buy-label gets labels. Only the stand-in exists so far:
+//   stub -> returns a made-up UPS tracking number and buys nothing (default)
+// A real label provider plugs in here with the same buyLabel(request) shape.
+
+export const getServerShippingProvider = (env = process.env) => {
+  switch (env.SHIPPING_PROVIDER || 'stub') {
+    case 'stub':
+      return createStubShippingProvider();
+    default:
+      throw new Error(`Unknown SHIPPING_PROVIDER "${env.SHIPPING_PROVIDER}". Use "stub".`);
+  }
+};
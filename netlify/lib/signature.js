@@ -0,0 +1,16 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// --- Webhook Signatures ---
+// Senders sign the raw request body with HMAC-SHA256 and send it as "sha256=<hex digest>".
+export const SIGNATURE_HEADER = 'x-pharmacy-signature';
+
+export const signPayload = (payload, secret) => (
+  `sha256=${createHmac('sha256', secret).update(payload, 'utf8').digest('hex')}`
+);
+
+export const verifySignature = (payload, signature, secret) => {
+  if (!signature || !secret) return false;
+  const expected = Buffer.from(signPayload(payload, secret));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
@@ -0,0 +1,32 @@
+/**
+ * @jest-environment node
+ */
+import { signPayload, verifySignature } from './signature';
+
+const SECRET = 'test-secret';
+const PAYLOAD = '{"id":"evt_1","type":"intake.sent"}';
+
+describe('verifySignature', () => {
+  test('accepts the signature of the exact payload', () => {
+    const signature = signPayload(PAYLOAD, SECRET);
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature(PAYLOAD, signature, SECRET)).toBe(true);
+  });
+
+  test('rejects a changed payload or another secret', () => {
+    const signature = signPayload(PAYLOAD, SECRET);
+    expect(verifySignature(PAYLOAD.replace('evt_1', 'evt_2'), signature, SECRET)).toBe(false);
+    expect(verifySignature(PAYLOAD, signature, 'other-secret')).toBe(false);
+  });
+
+  test('rejects missing, truncated and unprefixed signatures', () => {
+    const signature = signPayload(PAYLOAD, SECRET);
+    expect(verifySignature(PAYLOAD, undefined, SECRET)).toBe(false);
+    expect(verifySignature(PAYLOAD, signature.slice(0, -1), SECRET)).toBe(false);
+    expect(verifySignature(PAYLOAD, signature.replace('sha256=', ''), SECRET)).toBe(false);
+  });
+
+  test('rejects everything when no secret is configured', () => {
+    expect(verifySignature(PAYLOAD, signPayload(PAYLOAD, ''), undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Signs a fixture payload and posts it to the pharmacy-events function, e.g. under `netlify dev`:
+//
+//   PHARMACY_WEBHOOK_SECRET=dev-secret node scripts/send-pharmacy-event.js \
+//     netlify/fixtures/pharmacy-events/erx-received.json --subscription <id>
+//
+// Options: --subscription <id> and --fulfillment <fulfillment id> override the fixture,
+// --id <event id> sends it under a fresh id, --url <endpoint> targets another host.
+const fs = require('fs');
+const crypto = require('crypto');
+
+const DEFAULT_URL = 'http://localhost:8888/.netlify/functions/pharmacy-events';
+
+const parseArgs = (argv) => {
+  const [file, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) options[rest[i].replace(/^--/, '')] = rest[i + 1];
+  return { file, options };
+};
+
+const main = async () => {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  const secret = process.env.PHARMACY_WEBHOOK_SECRET;
+  if (!file || !secret) {
+    console.error('Usage: PHARMACY_WEBHOOK_SECRET=... node scripts/send-pharmacy-event.js <fixture.json> [--subscription id] [--fulfillment id] [--id eventId] [--url endpoint]');
+    process.exit(1);
+  }
+
+  const payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (options.subscription) {
+    // Fixture fulfillment ids are prefixed with the placeholder subscription id.
+    payload.fulfillmentId = payload.fulfillmentId.replace(payload.subscriptionId, options.subscription);
+    payload.subscriptionId = options.subscription;
+  }
+  if (options.fulfillment) payload.fulfillmentId = options.fulfillment;
+  if (options.id) payload.id = options.id;
+
+  const body = JSON.stringify(payload);
+  const signature = `sha256=${crypto.createHmac('sha256', secret).update(body, 'utf8').digest('hex')}`;
+
+  const response = await fetch(options.url || DEFAULT_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Pharmacy-Signature': signature },
+    body,
+  });
+  console.log(response.status, await response.text());
+  if (!response.ok) process.exit(1);
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
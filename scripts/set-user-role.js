@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Creates or updates the users/{uid} profile that carries a staff member's role.
+//
+//   FIREBASE_SERVICE_ACCOUNT='{...}' node scripts/set-user-role.js jane@pharmacy.example pharmacist "Jane Doe"
+//
+// Against the emulators, set FIREBASE_AUTH_EMULATOR_HOST=localhost:9099 and
+// FIRESTORE_EMULATOR_HOST=localhost:8080 instead; pass --create <password> to create the account.
+const { initializeApp, cert } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const ROLES = ['technician', 'pharmacist', 'admin'];
+
+const main = async () => {
+  const [email, role, displayName, flag, password] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/set-user-role.js <email> <${ROLES.join('|')}> [display name] [--create <password>]`);
+    process.exit(1);
+  }
+
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  initializeApp(serviceAccount
+    ? { credential: cert(JSON.parse(serviceAccount)) }
+    : { projectId: process.env.FIREBASE_PROJECT_ID || 'demo-prescription-dashboard' });
+
+  const auth = getAuth();
+  const user = flag === '--create'
+    ? await auth.createUser({ email, password, displayName })
+    : await auth.getUserByEmail(email);
+
+  await getFirestore().collection('users').doc(user.uid).set({
+    email,
+    role,
+    displayName: displayName || user.displayName || email,
+  }, { merge: true });
+  console.log(`${email} (${user.uid}) is now a ${role}.`);
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,30 +1,38 @@
 import React, { useState, useEffect } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getFirestore, collection, onSnapshot, addDoc, doc, updateDoc, deleteDoc, query } from 'firebase/firestore';
-import { getAuth, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { Plus, Package, Phone, Trash2, Edit, X, MessageSquare, Truck, Clock, Paperclip, CheckCircle, Mail, Pill } from 'lucide-react';
-
-// --- Firebase Configuration ---
-// This line securely loads your configuration from Netlify's environment variables.
-const firebaseConfig = JSON.parse(process.env.REACT_APP_FIREBASE_CONFIG);
-
-// --- Firebase Initialization ---
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
-const auth = getAuth(app);
-
-// --- Helper Functions ---
-const addMonths = (date, months) => {
-  const d = new Date(date);
-  d.setMonth(d.getMonth() + months);
-  return d;
-};
-
-const formatDate = (date) => {
-  if (!date) return 'N/A';
-  const d = date instanceof Date ? date : date.toDate();
-  return d.toLocaleDateString('en-US');
-};
+import { Plus, Package, Phone, Edit, X, MessageSquare, Truck, Clock, Paperclip, CheckCircle, Mail, Pill, LogOut, ChevronLeft, ChevronRight, ChevronDown, SkipForward, XCircle, CalendarClock, RefreshCw, Upload, Download, BarChart3, Table, History, Archive, ArchiveRestore, Send, PackageCheck, PackageX, RadioTower, Printer, Tag, Stethoscope, BookOpen, Boxes, AlertTriangle } from 'lucide-react';
+import { formatDate, toCalendarDay, toIsoDay } from './dates';
+import { ConflictError } from './store/errors';
+import { can, actorFor } from './permissions';
+import { assignFulfillmentIds, needsFulfillmentIds, findFulfillment, getNextActionableDate, isOpen, isShipped, isAwaitingDelivery, sortByDate } from './fulfillments';
+import { WORKFLOW_STATUSES, HOLD_STATUSES, displayStatus, describeHoldChange } from './derivedFields';
+import { validateSubscription, validateSchedule, formatPhone, formatAddress } from './validation';
+import { FIELD_LABELS, toFormValues, fromFormValues } from './subscriptionFields';
+import { RENEWAL_REASONS } from './prescriptions';
+import { INTERVAL_DAYS, MAX_DURATION, initialFulfillments, describeSchedule, toScheduleValues, fromScheduleValues, ScheduleError, planReschedule, planExtend, planShorten, planPause, planResume } from './schedule';
+import { DEFAULT_FILTERS, filterSubscriptions, isDefaultFilters, filtersToSearch, filtersFromSearch } from './subscriptionFilters';
+import { FilterBar, useUrlFilters } from './FilterBar';
+import { SubscriptionImport } from './SubscriptionImport';
+import { DrugPicker } from './DrugPicker';
+import { DrugCatalogImport } from './DrugCatalogImport';
+import { drugValues, isScheduleII, describeDeaSchedule } from './drugCatalog';
+import { MetricsView } from './MetricsView';
+import { CallQueueView } from './CallQueueView';
+import { InventoryView } from './InventoryView';
+import { InventoryError, resolveReservationDays, reservationEnd, reservationsFor, stockLevels, isShort, describeShortage, planStockReceipt, planStockCount } from './inventory';
+import { planCallOutcome } from './callQueue';
+import { AuditTrail } from './AuditTrail';
+import { BatchPanel } from './BatchPanel';
+import { ApprovalPanel, ApprovalBadge } from './ApprovalPanel';
+import { EMPTY_SELECTION, batchActionsFor, toggleSelected } from './batch';
+import { ArchiveError, isArchived, planArchive, planRestore } from './archive';
+import { OutreachError, OUTREACH_TEMPLATES, CHANNELS, templatesFor, availableChannels, composeMessage, describeSentMessage, createConsoleProvider } from './outreach';
+import { CarrierError, CARRIERS, carrierOf, detectCarrier, trackingProblem, trackingUrl, requireTrackable, planTrackingUpdate } from './carriers';
+import { ShippingError, labelRequest, planLabel, describeUnsavedLabel, createStubShippingProvider } from './shipping';
+import { ApprovalError, approvalRequest, describeSentRequest, planApprovalRequest, planApprovalDecision, createStubApprovalSender } from './approvals';
+import { packingSlipHtml } from './packingSlip';
+import { importedSubscription, exportRows } from './subscriptionTransfer';
+import { downloadCsv, downloadXlsx, printHtml } from './downloads';
+import { planTransition, getAllowedTransitions, describeTransition, TransitionError } from './fulfillmentMachine';
 
 // --- Constants for Statuses ---
 const STATUS_COLORS = {
@@ -34,6 +42,7 @@ const STATUS_COLORS = {
   Active: 'bg-green-100 text-green-800',
   Fulfilled: 'bg-gray-100 text-gray-800',
   'On Hold': 'bg-gray-100 text-gray-800',
+  Cancelled: 'bg-gray-200 text-gray-500',
 };
 
 const FULFILLMENT_STATUSES = {
@@ -42,8 +51,39 @@ const FULFILLMENT_STATUSES = {
   'Awaiting RX': { icon: Paperclip, color: 'text-orange-500', label: 'Awaiting RX' },
   'RX Received': { icon: CheckCircle, color: 'text-purple-600', label: 'RX Received - Ready to Ship' },
   Shipped: { icon: Truck, color: 'text-green-600', label: 'Shipped' },
+  'In Transit': { icon: Truck, color: 'text-blue-600', label: 'In Transit' },
+  Delivered: { icon: PackageCheck, color: 'text-green-700', label: 'Delivered' },
+  Exception: { icon: PackageX, color: 'text-red-600', label: 'Delivery Exception' },
+  Skipped: { icon: SkipForward, color: 'text-gray-400', label: 'Skipped' },
+  Cancelled: { icon: XCircle, color: 'text-gray-300', label: 'Cancelled' },
 };
 
+const VIEWS = [
+  { key: 'table', label: 'Subscriptions', icon: Table },
+  { key: 'calls', label: 'Call Queue', icon: Phone },
+  { key: 'metrics', label: 'Metrics', icon: BarChart3 },
+  { key: 'inventory', label: 'Inventory', icon: Boxes },
+];
+
+// Statuses set by a person rather than by the pharmacy system; their log entries name the user.
+const MANUAL_FULFILLMENT_STATUSES = ['Shipped', 'Skipped', 'Cancelled'];
+
+
+const PAGE_SIZE = 50;
+
+// Fulfillments due this many days ahead reserve stock (src/inventory.js).
+const RESERVATION_DAYS = resolveReservationDays();
+
+// --- Hooks ---
+
+const useDebouncedValue = (value, delay) => {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return debounced;
+};
 
 // --- React Components ---
 
@@ -56,6 +96,13 @@ const Tooltip = ({ text, children }) => (
   </div>
 );
 
+const TrackingLink = ({ fulfillment }) => {
+  if (!fulfillment.tracking) return '-';
+  const url = trackingUrl(fulfillment);
+  if (!url) return fulfillment.tracking;
+  return <a href={url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline">{CARRIERS[carrierOf(fulfillment)].label} {fulfillment.tracking}</a>;
+};
+
 const Modal = ({ children, isOpen, onClose, title }) => {
   if (!isOpen) return null;
 
@@ -77,52 +124,75 @@ const Modal = ({ children, isOpen, onClose, title }) => {
 };
 
 
-const SubscriptionForm = ({ onSave, onCancel, subscription }) => {
+const FormField = ({ name, type = 'text', values, errors, onChange, className = '', ...inputProps }) => (
+  <div className={className}>
+    <label htmlFor={name} className="block text-sm font-medium text-gray-700">{FIELD_LABELS[name]}</label>
+    <input type={type} name={name} id={name} value={values[name]} onChange={onChange} aria-invalid={!!errors[name]} {...inputProps} className={`mt-1 block w-full px-3 py-2 bg-white border rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm disabled:bg-gray-100 ${errors[name] ? 'border-red-500' : 'border-gray-300'}`} />
+    {errors[name] && <p className="mt-1 text-xs text-red-600">{errors[name]}</p>}
+  </div>
+);
+
+const SubscriptionForm = ({ onSave, onCancel, subscription, catalog, actor, canEditPrescription }) => {
   const [formData, setFormData] = useState({
-    patientName: subscription?.patientName || `Patient-${Math.floor(1000 + Math.random() * 9000)}`,
-    drugName: subscription?.drugName || 'Lisinopril 10mg',
+    ...toFormValues(subscription),
+    ...toScheduleValues(subscription),
     newRxCall: subscription?.newRxCall || false,
-    duration: subscription?.duration || 1,
-    status: subscription?.status || 'Pending',
-    physicianStatus: subscription?.physicianStatus || 'Pending',
-    startDate: subscription ? formatDate(subscription.startDate) : new Date().toLocaleDateString('en-US'),
+    hold: subscription?.hold || '',
+    holdReason: subscription?.holdReason || '',
   });
+  const [errors, setErrors] = useState({});
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
   };
 
+  // Schedule II drugs cannot be refilled, so they get one fulfillment and no refills.
+  const handleDrugSelect = (entry) => {
+    setFormData(prev => ({
+      ...prev,
+      ...drugValues(entry),
+      quantity: prev.quantity || (entry.packageSize ? String(entry.packageSize) : ''),
+      ...(isScheduleII(entry.schedule) ? { refillsAuthorized: '0', duration: '1', autoRenew: false } : {}),
+    }));
+  };
+  const isControlledII = isScheduleII(formData.deaSchedule);
+  // A prescription or drug change can move fulfillments to Awaiting RX, and only roles that may
+  // update fulfillments can write those.
+  const prescriptionLocked = !!subscription && !canEditPrescription;
+
   const handleSubmit = (e) => {
     e.preventDefault();
+
+    const validationErrors = { ...validateSubscription(formData), ...(subscription ? {} : validateSchedule(formData)) };
+    if (subscription && isControlledII && subscription.fulfillments.filter(isOpen).length > 1) {
+      validationErrors.ndc = 'Shorten the schedule to one open fulfillment before switching to a Schedule II drug.';
+    }
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
     
     let submissionData = {
-        ...formData,
-        duration: parseInt(formData.duration, 10),
+        ...fromFormValues(formData),
+        newRxCall: formData.newRxCall,
+        hold: formData.hold || null,
+        holdReason: formData.hold ? formData.holdReason.trim() : '',
+        ...(formData.hold === 'On Hold' ? {} : { pausedAt: null }),
     };
 
     if (subscription) { 
+        // Fulfillments and the log are only ever changed atomically by their own actions.
         submissionData.id = subscription.id;
-        submissionData.fulfillments = subscription.fulfillments;
-        submissionData.startDate = subscription.startDate;
-        submissionData.communicationLog = subscription.communicationLog;
+        if (prescriptionLocked) delete submissionData.prescription;
     } else { 
-        const startDate = new Date();
-        const fulfillments = [];
-        for (let i = 0; i < submissionData.duration; i++) {
-            fulfillments.push({
-                fulfillmentDate: addMonths(startDate, i),
-                status: i === 0 ? 'RX Received' : 'Scheduled', // First one is ready, others are scheduled
-                tracking: null,
-                rxId: i === 0 ? `RX-INITIAL-${Date.now()}` : null,
-            });
-        }
-        submissionData.startDate = startDate;
-        submissionData.fulfillments = fulfillments;
+        const schedule = fromScheduleValues(formData);
+        Object.assign(submissionData, schedule);
+        submissionData.fulfillments = initialFulfillments(schedule, submissionData.prescription.rxNumber);
+        // Approval is requested and recorded from the approval panel (approvals/).
+        submissionData.physicianStatus = 'Pending';
         submissionData.communicationLog = [{
             date: new Date(),
             message: 'Subscription created.',
-            actor: 'System'
+            ...actor
         }];
     }
     
@@ -130,52 +200,98 @@ const SubscriptionForm = ({ onSave, onCancel, subscription }) => {
   };
 
   return (
-    <form onSubmit={handleSubmit} className="space-y-6">
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-         <div>
-            <label htmlFor="patientName" className="block text-sm font-medium text-gray-700">Patient Name</label>
-            <input type="text" name="patientName" id="patientName" value={formData.patientName} onChange={handleChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm" required />
-         </div>
-         <div>
-            <label htmlFor="drugName" className="block text-sm font-medium text-gray-700">Drug Name</label>
-            <input type="text" name="drugName" id="drugName" value={formData.drugName} onChange={handleChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm" required />
-         </div>
-      </div>
-      
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        <div>
-          <label htmlFor="duration" className="block text-sm font-medium text-gray-700">Subscription Duration</label>
-          <select name="duration" id="duration" value={formData.duration} onChange={handleChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm" disabled={!!subscription}>
-            <option value={1}>1 Month</option>
-            <option value={3}>3 Months</option>
-            <option value={6}>6 Months</option>
-          </select>
+    <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+      <fieldset className="space-y-4">
+        <legend className="text-sm font-semibold text-gray-900 uppercase tracking-wider">Patient</legend>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <FormField name="patientName" values={formData} errors={errors} onChange={handleChange} className="md:col-span-2" />
+          <FormField name="dob" type="date" values={formData} errors={errors} onChange={handleChange} />
+          <FormField name="mrn" values={formData} errors={errors} onChange={handleChange} />
+          <FormField name="phone" type="tel" values={formData} errors={errors} onChange={handleChange} />
+          <FormField name="email" type="email" values={formData} errors={errors} onChange={handleChange} />
+        </div>
+      </fieldset>
+
+      <fieldset className="space-y-4">
+        <legend className="text-sm font-semibold text-gray-900 uppercase tracking-wider">Shipping Address</legend>
+        <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
+          <FormField name="addressLine1" values={formData} errors={errors} onChange={handleChange} className="md:col-span-4" />
+          <FormField name="addressLine2" values={formData} errors={errors} onChange={handleChange} className="md:col-span-2" />
+          <FormField name="city" values={formData} errors={errors} onChange={handleChange} className="md:col-span-3" />
+          <FormField name="state" values={formData} errors={errors} onChange={handleChange} className="md:col-span-1" />
+          <FormField name="zip" values={formData} errors={errors} onChange={handleChange} className="md:col-span-2" />
+        </div>
+      </fieldset>
+
+      <fieldset className="space-y-4">
+        <legend className="text-sm font-semibold text-gray-900 uppercase tracking-wider">Prescription</legend>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <FormField name="prescriberName" values={formData} errors={errors} onChange={handleChange} className="md:col-span-2" />
+          <FormField name="prescriberNpi" values={formData} errors={errors} onChange={handleChange} className="md:col-span-2" />
+          <FormField name="prescriberFax" type="tel" values={formData} errors={errors} onChange={handleChange} className="md:col-span-2" />
+          <FormField name="prescriberEmail" type="email" values={formData} errors={errors} onChange={handleChange} className="md:col-span-2" />
+          <fieldset className="contents" disabled={prescriptionLocked}>
+            <FormField name="rxNumber" values={formData} errors={errors} onChange={handleChange} />
+            <FormField name="rxWrittenDate" type="date" values={formData} errors={errors} onChange={handleChange} />
+            <FormField name="rxExpirationDate" type="date" values={formData} errors={errors} onChange={handleChange} />
+            <FormField name="refillsAuthorized" type="number" min={0} values={formData} errors={errors} onChange={handleChange} disabled={isControlledII} />
+            <DrugPicker catalog={catalog} values={formData} error={errors.ndc} onSelect={handleDrugSelect} className="md:col-span-2" />
+          </fieldset>
+          <FormField name="quantity" type="number" values={formData} errors={errors} onChange={handleChange} />
+          <FormField name="daysSupply" type="number" values={formData} errors={errors} onChange={handleChange} />
+        </div>
+        {prescriptionLocked && <p className="text-xs text-gray-500">Only a pharmacist can change the prescription or the drug.</p>}
+      </fieldset>
+
+      <fieldset className="space-y-4" disabled={!!subscription}>
+        <legend className="text-sm font-semibold text-gray-900 uppercase tracking-wider">Schedule</legend>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <FormField name="firstDate" type="date" values={formData} errors={errors} onChange={handleChange} />
+          <div>
+            <label htmlFor="cadenceType" className="block text-sm font-medium text-gray-700">Cadence</label>
+            <select name="cadenceType" id="cadenceType" value={formData.cadenceType} onChange={handleChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm disabled:bg-gray-100">
+              <option value="interval">Every N days</option>
+              <option value="monthly">Monthly on a fixed day</option>
+            </select>
+          </div>
+          {formData.cadenceType === 'interval' ? (
+            <div>
+              <label htmlFor="intervalDays" className="block text-sm font-medium text-gray-700">Interval</label>
+              <select name="intervalDays" id="intervalDays" value={formData.intervalDays} onChange={handleChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm disabled:bg-gray-100">
+                {INTERVAL_DAYS.map(days => <option key={days} value={days}>Every {days} days</option>)}
+              </select>
+            </div>
+          ) : (
+            <FormField name="dayOfMonth" type="number" min={1} max={31} values={formData} errors={errors} onChange={handleChange} />
+          )}
+          <FormField name="duration" type="number" min={1} max={MAX_DURATION} values={formData} errors={errors} onChange={handleChange} disabled={formData.autoRenew || isControlledII} />
+        </div>
+        <div className="flex items-center">
+          <input id="autoRenew" name="autoRenew" type="checkbox" checked={formData.autoRenew} onChange={handleChange} disabled={isControlledII} className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500" />
+          <label htmlFor="autoRenew" className="ml-2 block text-sm text-gray-900 font-medium">Open-ended: keep renewing until cancelled</label>
         </div>
+        {isControlledII && <p className="text-xs text-red-700">Schedule II: one fulfillment and no refills. Each further fill needs a new prescription and a new subscription.</p>}
+        {subscription && <p className="text-xs text-gray-500">{describeSchedule(subscription)}. The schedule is set when the subscription is created.</p>}
+      </fieldset>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         <div>
-          <label htmlFor="status" className="block text-sm font-medium text-gray-700">Overall Status</label>
-          <select name="status" id="status" value={formData.status} onChange={handleChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm">
-            <option>Pending</option>
-            <option>Approved</option>
-            <option>Active</option>
-            <option>Fulfilled</option>
-            <option>On Hold</option>
+          <label htmlFor="hold" className="block text-sm font-medium text-gray-700">Hold</label>
+          <select name="hold" id="hold" value={formData.hold} onChange={handleChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm">
+            <option value="">None{subscription ? ` (workflow status: ${subscription.status})` : ''}</option>
+            {HOLD_STATUSES.map(h => <option key={h}>{h}</option>)}
           </select>
         </div>
       </div>
-       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      {formData.hold && (
         <div>
-          <label htmlFor="physicianStatus" className="block text-sm font-medium text-gray-700">Physician Approval Status</label>
-          <select name="physicianStatus" id="physicianStatus" value={formData.physicianStatus} onChange={handleChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm">
-            <option>Pending</option>
-            <option>Approved</option>
-          </select>
-        </div>
-        <div className="flex items-end">
-            <div className="flex items-center h-full">
-              <input id="newRxCall" name="newRxCall" type="checkbox" checked={formData.newRxCall} onChange={handleChange} className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500" />
-              <label htmlFor="newRxCall" className="ml-2 block text-sm text-gray-900 font-medium">New RX - Call Patient</label>
-            </div>
+          <label htmlFor="holdReason" className="block text-sm font-medium text-gray-700">Hold Reason</label>
+          <input type="text" name="holdReason" id="holdReason" value={formData.holdReason} onChange={handleChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm" required />
         </div>
+      )}
+      <div className="flex items-center">
+        <input id="newRxCall" name="newRxCall" type="checkbox" checked={formData.newRxCall} onChange={handleChange} className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500" />
+        <label htmlFor="newRxCall" className="ml-2 block text-sm text-gray-900 font-medium">New RX - Call Patient</label>
       </div>
 
       <div className="flex justify-end space-x-3 pt-4">
@@ -188,12 +304,64 @@ const SubscriptionForm = ({ onSave, onCancel, subscription }) => {
   );
 };
 
+const DetailItem = ({ label, children }) => (
+  <div>
+    <dt className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</dt>
+    <dd className="mt-0.5 text-sm text-gray-900">{children || <span className="text-gray-400">Not recorded</span>}</dd>
+  </div>
+);
+
+const SubscriptionDetail = ({ subscription: sub }) => (
+  <div className="space-y-4">
+    <dl className="grid grid-cols-2 md:grid-cols-4 gap-4">
+      <DetailItem label="Date of Birth">{sub.patient?.dob}</DetailItem>
+      <DetailItem label="MRN">{sub.patient?.mrn}</DetailItem>
+      <DetailItem label="Phone">{sub.patient?.phone && formatPhone(sub.patient.phone)}</DetailItem>
+      <DetailItem label="Email">{sub.patient?.email}</DetailItem>
+      <DetailItem label="Ship To">{formatAddress(sub.shippingAddress)}</DetailItem>
+      <DetailItem label="Prescriber">{sub.prescriber?.name && `${sub.prescriber.name} (NPI ${sub.prescriber.npi})`}</DetailItem>
+      <DetailItem label="Prescriber Contact">{[sub.prescriber?.fax && `Fax ${formatPhone(sub.prescriber.fax)}`, sub.prescriber?.email].filter(Boolean).join(', ')}</DetailItem>
+      <DetailItem label="Prescription">{sub.prescription && `RX ${sub.prescription.rxNumber}, written ${formatDate(sub.prescription.writtenDate)}, expires ${formatDate(sub.prescription.expirationDate)}`}</DetailItem>
+      <DetailItem label="Refills Remaining">{sub.prescription && `${sub.prescription.refillsRemaining} of ${sub.prescription.refillsAuthorized}`}</DetailItem>
+      <DetailItem label="Medication">{[sub.drugName, sub.strength, sub.dosageForm].filter(Boolean).join(' ')}</DetailItem>
+      <DetailItem label="NDC">{sub.ndc && `${sub.ndc}${sub.deaSchedule ? ` (${describeDeaSchedule(sub.deaSchedule)})` : ''}`}</DetailItem>
+      <DetailItem label="Quantity / Days' Supply">{sub.quantity && `${sub.quantity} / ${sub.daysSupply} days`}</DetailItem>
+      <DetailItem label="Schedule">{describeSchedule(sub)}</DetailItem>
+    </dl>
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-gray-500 uppercase tracking-wider">
+          <th className="py-1 pr-4 font-medium">Fulfillment</th>
+          <th className="py-1 pr-4 font-medium">Due</th>
+          <th className="py-1 pr-4 font-medium">Status</th>
+          <th className="py-1 pr-4 font-medium">RX</th>
+          <th className="py-1 pr-4 font-medium">Tracking</th>
+        </tr>
+      </thead>
+      <tbody>
+        {sortByDate(sub.fulfillments).map(f => (
+          <tr key={f.id} className="border-t border-gray-200">
+            <td className="py-1 pr-4 font-mono text-xs text-gray-500">{f.id}</td>
+            <td className="py-1 pr-4">{formatDate(f.fulfillmentDate)}</td>
+            <td className="py-1 pr-4">
+              {f.status}{f.reason && <span className="text-gray-500"> ({f.reason})</span>}
+              {isOpen(f) && f.renewalNeeded && <span className="ml-2 text-xs text-red-600">{RENEWAL_REASONS[f.renewalNeeded]}</span>}
+            </td>
+            <td className="py-1 pr-4">{f.rxId || '-'}</td>
+            <td className="py-1 pr-4"><TrackingLink fulfillment={f} /></td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
 const LogModal = ({ subscription, onAddLog, onClose }) => {
     const [newMessage, setNewMessage] = useState('');
 
     const handleAddLog = () => {
         if (newMessage.trim()) {
-            onAddLog(subscription.id, newMessage, 'Pharmacy Staff');
+            onAddLog(subscription.id, newMessage);
             setNewMessage('');
         }
     };
@@ -224,14 +392,56 @@ const LogModal = ({ subscription, onAddLog, onClose }) => {
     );
 };
 
-const FulfillmentActionModal = ({ fulfillment, subscription, onClose, onUpdateFulfillment, onMarkAsShipped }) => {
-    const [trackingNumber, setTrackingNumber] = useState(fulfillment?.tracking || '');
+// For modal actions that fail for a reason the modal has no message for (a store or network
+// failure): logged, and shown as a generic error instead of escaping the click handler.
+const unexpectedActionError = (context, e) => {
+    console.error(`${context}: `, e);
+    return new Error('Something went wrong and the change may not have been saved. Review the latest details and try again.');
+};
+
+const FulfillmentActionModal = ({ fulfillment, subscription, onClose, onUpdateFulfillment, onMarkAsShipped, onReschedule, onSendOutreach, onCheckTracking, onBuyLabel, onPrintPackingSlip, canSimulateEvents, canUpdate, canShip, canManageSchedule, canSendOutreach }) => {
+    const [trackingNumber, setTrackingNumber] = useState(fulfillment?.tracking || fulfillment?.label?.trackingNumber || '');
+    const [rescheduleDate, setRescheduleDate] = useState(fulfillment ? toIsoDay(toCalendarDay(fulfillment.fulfillmentDate)) : '');
+    const [closeReason, setCloseReason] = useState('');
+    const [templateKey, setTemplateKey] = useState('');
+    const [channel, setChannel] = useState('');
+    const [actionError, setActionError] = useState(null);
     
     if(!fulfillment || !subscription) return null;
 
-    const handleShip = () => {
-        onMarkAsShipped(subscription.id, fulfillment, trackingNumber);
+    // Defaults follow the fulfillment, whose status may change while the modal is open.
+    const templateOptions = templatesFor(fulfillment);
+    const channelOptions = availableChannels(subscription);
+    const selectedTemplate = templateOptions.includes(templateKey) ? templateKey : templateOptions[0];
+    const selectedChannel = channelOptions.includes(channel) ? channel : channelOptions[0];
+    let preview = null;
+    if (selectedTemplate && selectedChannel) {
+        try {
+            preview = composeMessage(selectedTemplate, selectedChannel, subscription, fulfillment);
+        } catch (e) {
+            if (!(e instanceof OutreachError)) throw e;
+            preview = { error: e.message };
+        }
+    }
+
+    const allowed = canUpdate ? getAllowedTransitions(fulfillment) : [];
+
+    const runTransition = async (action) => {
+        setActionError(null);
+        try {
+            await action();
+        } catch (e) {
+            const isExpected = [TransitionError, ScheduleError, ConflictError, OutreachError, CarrierError, ShippingError].some(ErrorClass => e instanceof ErrorClass);
+            setActionError(isExpected ? e : unexpectedActionError('Fulfillment action failed', e));
+        }
     };
+
+    const handleSend = () => runTransition(() => onSendOutreach(subscription.id, fulfillment, selectedTemplate, selectedChannel));
+    const handleShip = () => runTransition(() => onMarkAsShipped(subscription.id, fulfillment, trackingNumber));
+    const handleCheckTracking = () => runTransition(() => onCheckTracking(subscription.id, fulfillment));
+    const handleBuyLabel = () => runTransition(() => onBuyLabel(subscription.id, fulfillment));
+    const detectedCarrier = detectCarrier(trackingNumber);
+    const transition = (status, context) => runTransition(() => onUpdateFulfillment(subscription.id, fulfillment, status, context));
     
     const StatusIcon = FULFILLMENT_STATUSES[fulfillment.status].icon;
 
@@ -242,22 +452,58 @@ const FulfillmentActionModal = ({ fulfillment, subscription, onClose, onUpdateFu
                     <StatusIcon size={24} className={FULFILLMENT_STATUSES[fulfillment.status].color} />
                     <div>
                       <p className="font-semibold text-gray-800">Current Status: {fulfillment.status}</p>
-                      {fulfillment.status === 'Shipped' && <p className="text-sm text-gray-600">Tracking: {fulfillment.tracking || 'N/A'}</p>}
+                      {isOpen(fulfillment) && fulfillment.renewalNeeded && (
+                          <p className="text-sm text-red-600 flex items-center"><RefreshCw size={14} className="mr-1" />Prescription renewal needed: {RENEWAL_REASONS[fulfillment.renewalNeeded]}. Record a new prescription on the subscription.</p>
+                      )}
+                      <p className="text-sm text-gray-600">Due: {formatDate(fulfillment.fulfillmentDate)}</p>
+                      {isShipped(fulfillment) && <p className="text-sm text-gray-600">Tracking: <TrackingLink fulfillment={fulfillment} /></p>}
+                      {fulfillment.reason && <p className="text-sm text-gray-600">Reason: {fulfillment.reason}</p>}
                     </div>
                 </div>
 
-                <div className="space-y-2">
+                {actionError && (
+                    <div className={`border-l-4 p-3 rounded-md text-sm ${actionError instanceof ConflictError ? 'bg-yellow-100 border-yellow-500 text-yellow-800' : 'bg-red-100 border-red-500 text-red-700'}`} role="alert">{actionError.message}</div>
+                )}
+
+                {!canSimulateEvents && isOpen(fulfillment) && (
+                    <p className="text-sm text-gray-500">Intake, patient response and eRx updates arrive automatically from the pharmacy system.</p>
+                )}
+
+                {canSimulateEvents && <div className="space-y-2">
                     <h4 className="font-semibold text-gray-700">Simulate API / System Events:</h4>
                     <div className="flex flex-wrap gap-2">
-                        <button onClick={() => onUpdateFulfillment(subscription.id, fulfillment, 'Intake Sent')} className="text-sm bg-blue-500 hover:bg-blue-600 text-white py-1 px-3 rounded-md">Simulate: Intake Sent</button>
-                        <button onClick={() => onUpdateFulfillment(subscription.id, fulfillment, 'Awaiting RX')} className="text-sm bg-orange-500 hover:bg-orange-600 text-white py-1 px-3 rounded-md">Simulate: Patient Responded</button>
-                        <button onClick={() => onUpdateFulfillment(subscription.id, fulfillment, 'RX Received')} className="text-sm bg-purple-600 hover:bg-purple-700 text-white py-1 px-3 rounded-md">Simulate: RX Received (API)</button>
+                        <button onClick={() => transition('Intake Sent')} disabled={!allowed.includes('Intake Sent')} className="text-sm bg-blue-500 hover:bg-blue-600 text-white py-1 px-3 rounded-md disabled:opacity-40 disabled:cursor-not-allowed">Simulate: Intake Sent</button>
+                        <button onClick={() => transition('Awaiting RX')} disabled={!allowed.includes('Awaiting RX')} className="text-sm bg-orange-500 hover:bg-orange-600 text-white py-1 px-3 rounded-md disabled:opacity-40 disabled:cursor-not-allowed">Simulate: Patient Responded</button>
+                        <button onClick={() => transition('RX Received', { rxId: `RX-${Date.now()}` })} disabled={!allowed.includes('RX Received')} className="text-sm bg-purple-600 hover:bg-purple-700 text-white py-1 px-3 rounded-md disabled:opacity-40 disabled:cursor-not-allowed">Simulate: RX Received (API)</button>
+                        <button onClick={() => transition('In Transit')} disabled={!allowed.includes('In Transit')} className="text-sm bg-blue-600 hover:bg-blue-700 text-white py-1 px-3 rounded-md disabled:opacity-40 disabled:cursor-not-allowed">Simulate: In Transit</button>
+                        <button onClick={() => transition('Delivered')} disabled={!allowed.includes('Delivered')} className="text-sm bg-green-700 hover:bg-green-800 text-white py-1 px-3 rounded-md disabled:opacity-40 disabled:cursor-not-allowed">Simulate: Delivered</button>
+                        <button onClick={() => transition('Exception', { reason: 'Simulated delivery exception.' })} disabled={!allowed.includes('Exception')} className="text-sm bg-red-600 hover:bg-red-700 text-white py-1 px-3 rounded-md disabled:opacity-40 disabled:cursor-not-allowed">Simulate: Delivery Exception</button>
                     </div>
-                </div>
+                </div>}
+
+                {fulfillment.status === 'RX Received' && !canShip && (
+                    <p className="pt-4 border-t text-sm text-gray-500">Ready to ship. A pharmacist must verify and ship this order.</p>
+                )}
+
+                {(fulfillment.status === 'RX Received' || isShipped(fulfillment)) && (
+                    <div className="pt-4 border-t flex flex-wrap items-center gap-2">
+                        <button onClick={() => onPrintPackingSlip(subscription, fulfillment)} className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 flex items-center space-x-2"><Printer size={16}/><span>Packing Slip</span></button>
+                        {fulfillment.status === 'RX Received' && canShip && !fulfillment.label && (
+                            <button onClick={handleBuyLabel} className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 flex items-center space-x-2"><Tag size={16}/><span>Buy Label</span></button>
+                        )}
+                        {fulfillment.label && (
+                            <p className="text-sm text-gray-600">
+                                Label bought {formatDate(fulfillment.label.purchasedAt)}: {fulfillment.label.trackingNumber}
+                                {fulfillment.label.labelUrl && <a href={fulfillment.label.labelUrl} target="_blank" rel="noopener noreferrer" className="ml-2 text-indigo-600 hover:underline">Open label</a>}
+                            </p>
+                        )}
+                    </div>
+                )}
 
-                {fulfillment.status === 'RX Received' && (
+                {fulfillment.status === 'RX Received' && canShip && (
                     <div className="pt-4 border-t">
                         <h4 className="font-semibold text-gray-700 mb-2">Ship Package</h4>
+                        <p className="text-sm text-gray-600 mb-2">Ship to: {formatAddress(subscription.shippingAddress) || <span className="text-red-600">No shipping address on file</span>}</p>
                         <div className="flex space-x-2">
                             <input
                                 type="text"
@@ -268,6 +514,75 @@ const FulfillmentActionModal = ({ fulfillment, subscription, onClose, onUpdateFu
                             />
                             <button onClick={handleShip} className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 flex items-center space-x-2"><Truck size={16}/><span>Mark as Shipped</span></button>
                         </div>
+                        {trackingNumber.trim() && (detectedCarrier
+                            ? <p className="text-xs text-gray-500 mt-1">{CARRIERS[detectedCarrier].label} tracking number.</p>
+                            : <p className="text-xs text-red-600 mt-1">{trackingProblem(trackingNumber)}</p>)}
+                    </div>
+                )}
+
+                {fulfillment.status === 'Exception' && (
+                    <p className="pt-4 border-t text-sm text-red-700">The carrier could not deliver this package. Contact the patient or the carrier to resolve it; the status updates once the carrier reports it moving again.</p>
+                )}
+
+                {isAwaitingDelivery(fulfillment) && canUpdate && onCheckTracking && (
+                    <div className="pt-4 border-t flex items-center justify-between">
+                        <p className="text-sm text-gray-600">Ask the carrier for the latest delivery status.</p>
+                        <button onClick={handleCheckTracking} className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 flex items-center space-x-2"><RadioTower size={16}/><span>Check Carrier</span></button>
+                    </div>
+                )}
+
+                {canSendOutreach && templateOptions.length > 0 && (
+                    <div className="pt-4 border-t space-y-3">
+                        <h4 className="font-semibold text-gray-700">Patient Outreach</h4>
+                        {channelOptions.length === 0 ? <p className="text-sm text-red-600">The patient has no phone number or email on file.</p> : (
+                            <>
+                                <div className="flex space-x-2">
+                                    <select value={selectedTemplate} onChange={(e) => setTemplateKey(e.target.value)} aria-label="Message template" className="flex-grow px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm">
+                                        {templateOptions.map(key => <option key={key} value={key}>{OUTREACH_TEMPLATES[key].label}</option>)}
+                                    </select>
+                                    <select value={selectedChannel} onChange={(e) => setChannel(e.target.value)} aria-label="Channel" className="px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm">
+                                        {channelOptions.map(key => <option key={key} value={key}>{CHANNELS[key]}</option>)}
+                                    </select>
+                                    <button onClick={handleSend} disabled={!!preview?.error} className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 flex items-center space-x-2 disabled:opacity-40"><Send size={16}/><span>Send</span></button>
+                                </div>
+                                {preview?.error
+                                    ? <p className="text-sm text-red-600">{preview.error}</p>
+                                    : (
+                                        <div className="bg-gray-50 border rounded-md p-3 text-sm text-gray-700 whitespace-pre-wrap">
+                                            {preview.subject && <p className="font-medium mb-1">{preview.subject}</p>}
+                                            {preview.body}
+                                        </div>
+                                    )}
+                                {OUTREACH_TEMPLATES[selectedTemplate].moveTo && <p className="text-xs text-gray-500">Sending moves this fulfillment to {OUTREACH_TEMPLATES[selectedTemplate].moveTo}.</p>}
+                            </>
+                        )}
+                    </div>
+                )}
+
+                {isOpen(fulfillment) && canManageSchedule && (
+                    <div className="pt-4 border-t space-y-3">
+                        <h4 className="font-semibold text-gray-700">Change Schedule</h4>
+                        <div className="flex space-x-2">
+                            <input
+                                type="date"
+                                value={rescheduleDate}
+                                onChange={(e) => setRescheduleDate(e.target.value)}
+                                aria-label="New date"
+                                className="flex-grow px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                            />
+                            <button onClick={() => runTransition(() => onReschedule(subscription.id, fulfillment, rescheduleDate))} className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 flex items-center space-x-2"><CalendarClock size={16}/><span>Reschedule</span></button>
+                        </div>
+                        <div className="flex space-x-2">
+                            <input
+                                type="text"
+                                value={closeReason}
+                                onChange={(e) => setCloseReason(e.target.value)}
+                                placeholder="Reason, e.g. patient travelling..."
+                                className="flex-grow px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                            />
+                            <button onClick={() => transition('Skipped', { reason: closeReason })} className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 flex items-center space-x-2"><SkipForward size={16}/><span>Skip</span></button>
+                            <button onClick={() => transition('Cancelled', { reason: closeReason })} className="bg-white border border-red-300 text-red-700 px-4 py-2 rounded-md hover:bg-red-50 flex items-center space-x-2"><XCircle size={16}/><span>Cancel</span></button>
+                        </div>
                     </div>
                 )}
             </div>
@@ -275,94 +590,259 @@ const FulfillmentActionModal = ({ fulfillment, subscription, onClose, onUpdateFu
     );
 };
 
+const ScheduleModal = ({ subscription, onClose, onChangeSchedule }) => {
+    const [count, setCount] = useState('1');
+    const [pauseReason, setPauseReason] = useState('');
+    const [actionError, setActionError] = useState(null);
+
+    const run = async (plan) => {
+        setActionError(null);
+        try {
+            await onChangeSchedule(subscription.id, plan);
+        } catch (e) {
+            setActionError(e instanceof ScheduleError || e instanceof ConflictError ? e : unexpectedActionError('Schedule change failed', e));
+        }
+    };
+
+    const countValue = parseInt(count, 10);
+    const isPaused = subscription.hold === 'On Hold';
+
+    return (
+        <Modal isOpen={!!subscription} onClose={onClose} title={`Schedule: ${subscription.patientName} (${subscription.drugName})`}>
+            <div className="space-y-6">
+                <p className="text-sm text-gray-600">{describeSchedule(subscription)}. Next action: {formatDate(getNextActionableDate(subscription))}</p>
+
+                {actionError && (
+                    <div className={`border-l-4 p-3 rounded-md text-sm ${actionError instanceof ConflictError ? 'bg-yellow-100 border-yellow-500 text-yellow-800' : 'bg-red-100 border-red-500 text-red-700'}`} role="alert">{actionError.message}</div>
+                )}
+
+                {!subscription.autoRenew && (
+                    <div className="space-y-2">
+                        <h4 className="font-semibold text-gray-700">Length</h4>
+                        <div className="flex space-x-2">
+                            <input
+                                type="number"
+                                min={1}
+                                max={MAX_DURATION}
+                                value={count}
+                                onChange={(e) => setCount(e.target.value)}
+                                aria-label="Number of fulfillments"
+                                className="w-24 px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                            />
+                            <button onClick={() => run(latest => planExtend(latest, countValue))} className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700">Extend</button>
+                            <button onClick={() => run(latest => planShorten(latest, countValue))} className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50">Shorten</button>
+                        </div>
+                        <p className="text-xs text-gray-500">Extending adds fulfillments after the last one on the current cadence. Shortening cancels the latest fulfillments that have not started.</p>
+                    </div>
+                )}
+
+                <div className="pt-4 border-t space-y-2">
+                    <h4 className="font-semibold text-gray-700">{isPaused ? 'Resume' : 'Pause'}</h4>
+                    {isPaused ? (
+                        <>
+                            <p className="text-sm text-gray-600">{subscription.pausedAt ? `Paused since ${formatDate(subscription.pausedAt)}.` : 'On hold.'} Resuming moves the upcoming fulfillments later by the length of the pause.</p>
+                            <button onClick={() => run(latest => planResume(latest))} className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700">Resume</button>
+                        </>
+                    ) : (
+                        <div className="flex space-x-2">
+                            <input
+                                type="text"
+                                value={pauseReason}
+                                onChange={(e) => setPauseReason(e.target.value)}
+                                placeholder="Reason for pausing..."
+                                className="flex-grow px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                            />
+                            <button onClick={() => run(latest => planPause(latest, pauseReason))} disabled={!!subscription.hold} className="bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800 disabled:opacity-40">Pause</button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+const ArchiveModal = ({ subscription, onClose, onArchive }) => {
+    const [reason, setReason] = useState('');
+    const [actionError, setActionError] = useState(null);
+
+    const handleArchive = async () => {
+        setActionError(null);
+        try {
+            await onArchive(subscription.id, reason);
+        } catch (e) {
+            setActionError(e instanceof ArchiveError || e instanceof ConflictError ? e : unexpectedActionError('Archiving failed', e));
+        }
+    };
+
+    return (
+        <Modal isOpen={!!subscription} onClose={onClose} title={`Archive: ${subscription.patientName} (${subscription.drugName})`}>
+            <div className="space-y-4">
+                <p className="text-sm text-gray-600">Archived subscriptions leave the table and cannot be changed. The record is kept and an admin can restore it from the Archived view.</p>
+                {actionError && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 rounded-md text-sm" role="alert">{actionError.message}</div>}
+                <input
+                    type="text"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    placeholder="Reason for archiving..."
+                    className="w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                />
+                <div className="flex justify-end space-x-3">
+                    <button type="button" onClick={onClose} className="bg-white py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50">Cancel</button>
+                    <button type="button" onClick={handleArchive} disabled={!reason.trim()} className="inline-flex items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-40"><Archive size={16} className="mr-2" />Archive</button>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+const LoginScreen = ({ store }) => {
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [loginError, setLoginError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoginError(null);
+        setIsSubmitting(true);
+        try {
+            await store.signIn(email, password);
+        } catch (signInError) {
+            console.error("Sign-in Error:", signInError);
+            setLoginError("Invalid email or password.");
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="bg-gray-50 min-h-screen font-sans flex justify-center items-center p-4">
+            <form onSubmit={handleSubmit} className="bg-white shadow-xl rounded-lg p-8 w-full max-w-sm space-y-4">
+                <h1 className="text-2xl font-bold text-gray-900">Prescription Fulfillment Dashboard</h1>
+                {loginError && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 rounded-md text-sm" role="alert">{loginError}</div>}
+                <div>
+                    <label htmlFor="email" className="block text-sm font-medium text-gray-700">Email</label>
+                    <input type="email" id="email" value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="username" className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm" required />
+                </div>
+                <div>
+                    <label htmlFor="password" className="block text-sm font-medium text-gray-700">Password</label>
+                    <input type="password" id="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm" required />
+                </div>
+                <button type="submit" disabled={isSubmitting} className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-md disabled:opacity-50">Sign In</button>
+                {store.kind === 'local' && (
+                    <p className="text-xs text-gray-500">Offline demo: sign in as tech@demo.local, pharmacist@demo.local or admin@demo.local with password "demo".</p>
+                )}
+            </form>
+        </div>
+    );
+};
 
-export default function App() {
+export default function App({ store, outreach = createConsoleProvider(), shipping = createStubShippingProvider(), approvals = createStubApprovalSender(), carriers = null }) {
   const [subscriptions, setSubscriptions] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingSubscription, setEditingSubscription] = useState(null);
   const [logModalSubscription, setLogModalSubscription] = useState(null);
-  const [actionModalData, setActionModalData] = useState({ subscription: null, fulfillment: null });
-  const [userId, setUserId] = useState(null);
-  const [isAuthReady, setIsAuthReady] = useState(false);
+  const [auditSubscription, setAuditSubscription] = useState(null);
+  const [archiveModalSubscription, setArchiveModalSubscription] = useState(null);
+  const [approvalSubscriptionId, setApprovalSubscriptionId] = useState(null);
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  const [actionModalData, setActionModalData] = useState({ subscriptionId: null, fulfillmentId: null });
+  const [user, setUser] = useState(undefined); // undefined until the auth state is known, null when signed out
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [filters, setFilters] = useUrlFilters();
+  const [page, setPage] = useState({ key: '', index: 0, cursors: [null] });
+  const [nextCursor, setNextCursor] = useState(null);
+  const [expandedIds, setExpandedIds] = useState([]);
+  const [scheduleModalSubscriptionId, setScheduleModalSubscriptionId] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isCatalogOpen, setIsCatalogOpen] = useState(false);
+  const [catalog, setCatalog] = useState([]);
+  const [inventory, setInventory] = useState([]);
+  const [dueSubscriptions, setDueSubscriptions] = useState([]);
+  const [view, setView] = useState('table'); // a VIEWS key
 
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (user) => {
-      if (user) {
-        setUserId(user.uid);
-        setIsAuthReady(true);
-      } else {
-        const signIn = async () => {
-          try {
-            await signInAnonymously(auth);
-          } catch (authError) {
-            console.error("Authentication Error:", authError);
-            setError("Could not authenticate user.");
-          }
-        };
-        signIn();
-      }
+    const unsubscribe = store.watchUser(setUser, (authError) => {
+      console.error("Authentication Error:", authError);
+      setError("Could not authenticate user.");
     });
     return () => unsubscribe();
-  }, []);
+  }, [store]);
+
+  const hasRole = !!user?.role;
+  // firestore.rules only lets these roles write fulfillments.
+  const canMigrateFulfillments = can(user, 'updateFulfillment');
+
+  const toggleExpanded = (id) => {
+    setExpandedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  // Changing any filter (search text after a pause) starts again from the first page.
+  const debouncedQuery = useDebouncedValue(filters.q, 300);
+  const queryKey = filtersToSearch({ ...filters, q: debouncedQuery });
+  const currentPage = page.key === queryKey ? page : { key: queryKey, index: 0, cursors: [null] };
+  const pageCursor = currentPage.cursors[currentPage.index];
 
   useEffect(() => {
-    if (!isAuthReady) return;
+    if (!hasRole) return;
 
     setIsLoading(true);
-    const collectionPath = `subscriptions`; // Simplified Path
-    const q = query(collection(db, collectionPath));
-    
-    const unsubscribe = onSnapshot(q, (querySnapshot) => {
-      const subs = querySnapshot.docs.map(doc => {
-          const data = doc.data();
-          return {
-              id: doc.id,
-              ...data,
-              startDate: data.startDate?.toDate(),
-              fulfillments: data.fulfillments?.map(f => ({ ...f, fulfillmentDate: f.fulfillmentDate?.toDate() })) || [],
-              communicationLog: data.communicationLog?.map(l => ({ ...l, date: l.date?.toDate() })) || []
-          };
-      });
-
-      const updatedSubs = subs.map(sub => {
-          const allFulfilled = sub.fulfillments.every(f => f.status === 'Shipped');
-          const requiresAction = sub.fulfillments.some(f => f.status === 'RX Received');
-
-          let overallStatus = sub.status;
-          if (overallStatus !== 'On Hold') {
-             if (allFulfilled) overallStatus = 'Fulfilled';
-             else if (requiresAction) overallStatus = 'Action Required';
-             else overallStatus = 'Active';
-          }
-          return { ...sub, status: overallStatus };
+    const pageOptions = { filters: filtersFromSearch(queryKey), pageSize: PAGE_SIZE, cursor: pageCursor };
+    const unsubscribe = store.subscribePage(pageOptions, ({ subscriptions: loadedSubs, nextCursor: loadedNextCursor }) => {
+      // Documents written before fulfillments had ids get them assigned, and written back once by
+      // the first user whose role can write fulfillments.
+      const subs = loadedSubs.map(sub => {
+          if (!needsFulfillmentIds(sub)) return sub;
+          if (canMigrateFulfillments) store.mutate(sub.id, latest => (
+              needsFulfillmentIds(latest) ? { fulfillments: assignFulfillmentIds(latest.id, latest.fulfillments) } : null
+          )).catch(e => console.error("Fulfillment id migration failed: ", e));
+          return { ...sub, fulfillments: assignFulfillmentIds(sub.id, sub.fulfillments) };
       });
 
-      setSubscriptions(updatedSubs);
+      setSubscriptions(subs);
+      setNextCursor(loadedNextCursor);
       setIsLoading(false);
     }, (err) => {
-      console.error("Firestore Error: ", err);
+      console.error("Data Store Error: ", err);
       setError("Failed to load subscription data.");
       setIsLoading(false);
     });
 
     return () => unsubscribe();
-  }, [isAuthReady]);
+  }, [store, hasRole, canMigrateFulfillments, queryKey, pageCursor]);
 
-  const addLog = async (subId, message, actor) => {
-    const sub = subscriptions.find(s => s.id === subId);
-    if (!sub) return;
+  useEffect(() => {
+    if (!hasRole) return;
+    return store.subscribeCatalog(setCatalog, (err) => {
+      console.error("Drug catalog error: ", err);
+      setError("Failed to load the drug catalog.");
+    });
+  }, [store, hasRole]);
+
+  useEffect(() => {
+    if (!hasRole) return;
+    return store.subscribeInventory(setInventory, (err) => {
+      console.error("Inventory error: ", err);
+      setError("Failed to load the inventory.");
+    });
+  }, [store, hasRole]);
+
+  // Everything that could reserve stock, whichever page of the table is showing.
+  useEffect(() => {
+    if (!hasRole) return;
+    return store.subscribeDueBy(reservationEnd(RESERVATION_DAYS), setDueSubscriptions, (err) => {
+      console.error("Reservations error: ", err);
+      setError("Failed to load the stock reservations.");
+    });
+  }, [store, hasRole]);
+
+  const addLog = async (subId, message) => {
+    const newLog = { date: new Date(), message, ...actorFor(user) };
 
-    const newLog = { date: new Date(), message, actor };
-    
     try {
-        const collectionPath = `subscriptions`; // Simplified Path
-        const docRef = doc(db, collectionPath, subId);
-        await updateDoc(docRef, {
-            communicationLog: [...(sub.communicationLog || []), newLog]
-        });
+        await store.appendLog(subId, newLog);
     } catch(e) {
         console.error("Error adding log: ", e);
         setError("Failed to add log entry.");
@@ -372,66 +852,325 @@ export default function App() {
   const handleSaveSubscription = async (subData) => {
     setIsModalOpen(false);
     setEditingSubscription(null);
-    const collectionPath = `subscriptions`; // Simplified Path
 
     if (subData.id) {
       const { id, ...dataToUpdate } = subData;
-      const docRef = doc(db, collectionPath, id);
-      try { await updateDoc(docRef, dataToUpdate); } catch (e) { setError("Could not update the subscription."); }
+      // Holds are a manual decision, so changing one is logged under the user who made it.
+      const withHoldLog = (latest) => {
+        if ((latest.hold || null) === dataToUpdate.hold) return dataToUpdate;
+        const entry = { date: new Date(), message: describeHoldChange(latest.hold, dataToUpdate.hold, dataToUpdate.holdReason), ...actorFor(user) };
+        return { ...dataToUpdate, communicationLog: [...latest.communicationLog, entry] };
+      };
+      try { await store.mutate(id, withHoldLog); } catch (e) { setError("Could not update the subscription."); }
     } else {
-      try { await addDoc(collection(db, collectionPath), subData); } catch (e) { setError("Could not create the subscription."); }
+      const id = store.newId();
+      const dataToCreate = { ...subData, fulfillments: assignFulfillmentIds(id, subData.fulfillments) };
+      try { await store.create(id, dataToCreate); } catch (e) { setError("Could not create the subscription."); }
+    }
+  };
+
+  // `rows` are the previewImport entries that passed validation.
+  const handleImport = async (fileName, rows) => {
+    const entries = rows.map(row => {
+      const id = store.newId();
+      const data = importedSubscription(row, fileName, actorFor(user));
+      return { id, data: { ...data, fulfillments: assignFulfillmentIds(id, data.fulfillments) } };
+    });
+    try {
+      await store.createMany(entries, fileName);
+      setIsImportOpen(false);
+      setNotice(`Imported ${entries.length} subscription${entries.length === 1 ? '' : 's'} from ${fileName}.`);
+    } catch (e) {
+      console.error("Error importing subscriptions: ", e);
+      setError("Could not import the subscriptions. Some rows may have been created; check the table before importing again.");
+    }
+  };
+
+  const handleCatalogImport = async (fileName, entries) => {
+    try {
+      await store.importCatalog(entries);
+      setIsCatalogOpen(false);
+      setNotice(`Imported ${entries.length} product${entries.length === 1 ? '' : 's'} into the drug catalog from ${fileName}.`);
+    } catch (e) {
+      console.error("Error importing the drug catalog: ", e);
+      setError("Could not import the drug catalog. Some products may have been added; import the file again to finish.");
     }
   };
 
-  const handleDelete = async (id) => {
-      if (window.confirm('Are you sure? This is permanent.')) {
-          try {
-              await deleteDoc(doc(db, `subscriptions`, id)); // Simplified Path
-          } catch(e) { setError("Could not delete the subscription."); }
-      }
+  // Exports every subscription matching the current filters, not just the page on screen, unless
+  // a batch export passes the selected ones.
+  const handleExport = async (format, selected = null) => {
+    try {
+      const rows = exportRows(selected || filterSubscriptions(await store.list(filters), filters));
+      const fileName = `subscriptions-${toIsoDay(toCalendarDay(new Date()))}`;
+      if (format === 'xlsx') await downloadXlsx(rows, `${fileName}.xlsx`, 'Subscriptions');
+      else downloadCsv(rows, `${fileName}.csv`);
+    } catch (e) {
+      console.error("Error exporting subscriptions: ", e);
+      setError("Could not export the subscriptions.");
+    }
+  };
+
+  // Drill-down from the metrics view: show just that subscription in the table, expanded.
+  const openSubscription = (sub) => {
+    setFilters({ ...DEFAULT_FILTERS, q: sub.patient?.mrn || sub.patientName });
+    setExpandedIds([sub.id]);
+    setView('table');
+  };
+
+  // The change is planned against the latest stored subscription inside the store's atomic
+  // update. `plan(sub, fulfillment)` returns { changes, logEntry } and throws a TransitionError or
+  // ScheduleError when the change is not allowed; a ConflictError is thrown when someone else
+  // changed the fulfillment after it was opened. Nothing is written in any of those cases.
+  // Resolves to true once the change is written.
+  const changeFulfillment = async (subId, seenFulfillment, plan) => {
+    let result;
+    try {
+        result = await store.updateFulfillment(subId, seenFulfillment.id, (sub, fulfillment) => {
+            if (fulfillment.status !== seenFulfillment.status) {
+                throw new ConflictError(`Someone else changed this fulfillment to "${fulfillment.status}" while you were working on it. Review the latest status and try again.`);
+            }
+            if (fulfillment.fulfillmentDate.getTime() !== seenFulfillment.fulfillmentDate.getTime()) {
+                throw new ConflictError(`Someone else rescheduled this fulfillment to ${formatDate(fulfillment.fulfillmentDate)} while you were working on it. Review the latest date and try again.`);
+            }
+            return plan(sub, fulfillment);
+        });
+    } catch (e) {
+        if (e instanceof TransitionError || e instanceof ScheduleError || e instanceof ConflictError) throw e;
+        console.error("Error updating fulfillment: ", e);
+        setError("Failed to update the fulfillment.");
+        return false;
+    }
+
+    if (result.retried) {
+        setNotice("Another user edited this subscription at the same moment. Your change was re-applied on top of theirs.");
+    }
+    setActionModalData({ subscriptionId: null, fulfillmentId: null });
+    return true;
+  };
+
+  const updateFulfillment = (subId, fulfillmentToUpdate, newStatus, context = {}) => (
+    changeFulfillment(subId, fulfillmentToUpdate, (sub, fulfillment) => {
+        const changes = planTransition(sub, fulfillment, newStatus, context);
+        const logEntry = {
+            date: new Date(),
+            message: describeTransition(fulfillment, changes),
+            ...(MANUAL_FULFILLMENT_STATUSES.includes(newStatus) ? actorFor(user) : { actor: 'System' }),
+        };
+        return { changes, logEntry };
+    })
+  );
+
+  const rescheduleFulfillment = (subId, fulfillmentToUpdate, isoDate) => (
+    changeFulfillment(subId, fulfillmentToUpdate, (sub, fulfillment) => {
+        const { changes, message } = planReschedule(fulfillment, isoDate);
+        return { changes, logEntry: { date: new Date(), message, ...actorFor(user) } };
+    })
+  );
+
+  // Sends the message, then records it in the communication log; templates with `moveTo` also
+  // move the fulfillment on. That transition is checked before sending, so no message goes out
+  // for a change that cannot be made. A message that went out is logged on its own whenever the
+  // status change is not saved. OutreachErrors are rethrown for the modal to show.
+  const sendOutreach = async (subId, seenFulfillment, templateKey, channel) => {
+    const sub = subscriptions.find(s => s.id === subId);
+    const { moveTo } = OUTREACH_TEMPLATES[templateKey];
+    const composed = composeMessage(templateKey, channel, sub, seenFulfillment);
+    if (moveTo) planTransition(sub, seenFulfillment, moveTo);
+    let sent;
+    try {
+      sent = await outreach.send(composed);
+    } catch (e) {
+      if (e instanceof OutreachError) throw e;
+      console.error("Error sending message: ", e);
+      throw new OutreachError('The message could not be sent. Try again.');
+    }
+    // The http provider composes again on the server; log what actually went out.
+    const message = sent.message || composed;
+
+    if (!moveTo) {
+      await addLog(subId, describeSentMessage(message));
+      setActionModalData({ subscriptionId: null, fulfillmentId: null });
+      return true;
+    }
+    let moved = false;
+    try {
+      moved = await changeFulfillment(subId, seenFulfillment, (latest, fulfillment) => {
+        const changes = planTransition(latest, fulfillment, moveTo);
+        const logEntry = { date: new Date(), message: `${describeSentMessage(message)} ${describeTransition(fulfillment, changes)}`, ...actorFor(user) };
+        return { changes, logEntry };
+      });
+      return moved;
+    } finally {
+      // The message is already out; keep a record of it even though the status stays put.
+      if (!moved) await addLog(subId, describeSentMessage(message));
+    }
   };
 
-  const updateFulfillment = async (subId, fulfillmentToUpdate, newStatus, tracking = null) => {
+  // Buys the label, then stores it on the fulfillment so shipping picks up its tracking number.
+  // A label that was paid for is logged with its tracking number whenever storing it fails.
+  // ShippingErrors are rethrown for the modal to show.
+  const buyLabel = async (subId, seenFulfillment) => {
     const sub = subscriptions.find(s => s.id === subId);
-    if (!sub) return;
+    const purchased = await shipping.buyLabel(labelRequest(sub, seenFulfillment));
+    let saved = false;
+    try {
+      const { changes, message } = planLabel(seenFulfillment, purchased);
+      saved = await changeFulfillment(subId, seenFulfillment, () => ({ changes, logEntry: { date: new Date(), message, ...actorFor(user) } }));
+      return saved;
+    } finally {
+      if (!saved) await addLog(subId, describeUnsavedLabel(seenFulfillment, purchased));
+    }
+  };
 
-    const newFulfillments = sub.fulfillments.map(f => {
-        if (f.fulfillmentDate.getTime() === fulfillmentToUpdate.fulfillmentDate.getTime()) {
-            return { ...f, status: newStatus, tracking: tracking !== null ? tracking : f.tracking };
-        }
-        return f;
+  const printPackingSlip = (sub, fulfillment) => {
+    if (!printHtml(packingSlipHtml(sub, fulfillment))) setError("The packing slip window was blocked. Allow pop-ups for this site and try again.");
+  };
+
+  // Asks the carrier where a shipped fulfillment is and records what it reports. Only the local
+  // dashboard has an adapter; on Firestore the track-shipments function does this. CarrierErrors
+  // and TransitionErrors are rethrown for the modal to show.
+  const checkTracking = async (subId, seenFulfillment) => {
+    const update = await carriers.track(requireTrackable(seenFulfillment));
+    const sub = subscriptions.find(s => s.id === subId);
+    if (!planTrackingUpdate(sub, seenFulfillment, update)) throw new CarrierError(`Nothing new from the carrier: ${update.description}`);
+    await changeFulfillment(subId, seenFulfillment, (latest, fulfillment) => {
+      const { changes, message } = planTrackingUpdate(latest, fulfillment, update);
+      return { changes, logEntry: { date: new Date(), message, actor: 'System' } };
     });
+  };
 
-    const logMessage = newStatus === 'Shipped'
-      ? `Marked fulfillment for ${formatDate(fulfillmentToUpdate.fulfillmentDate)} as Shipped. Tracking: ${tracking}`
-      : `Updated fulfillment for ${formatDate(fulfillmentToUpdate.fulfillmentDate)} to status: ${newStatus}.`;
-    
-    await addLog(subId, logMessage, newStatus === 'Shipped' ? 'Pharmacy Staff' : 'System');
+  // Subscription-level changes; `plan(latest)` is one of the schedule.js, archive.js or approvals/ planners.
+  // Their errors and ConflictErrors are rethrown for the modal to show. Resolves to true once the
+  // change is written.
+  const changeSubscription = async (subId, plan) => {
+    let result;
+    try {
+        result = await store.mutate(subId, (latest) => {
+            const { changes, message } = plan(latest);
+            const entry = { date: new Date(), message, ...actorFor(user) };
+            return { ...changes, communicationLog: [...latest.communicationLog, entry] };
+        });
+    } catch (e) {
+        if (e instanceof ScheduleError || e instanceof ArchiveError || e instanceof ApprovalError || e instanceof ConflictError) throw e;
+        console.error("Error changing subscription: ", e);
+        setError("Failed to change the subscription.");
+        return false;
+    }
 
+    if (result.retried) {
+        setNotice("Another user edited this subscription at the same moment. Your change was re-applied on top of theirs.");
+    }
+    return true;
+  };
+
+  // --- Physician Approval ---
+  // Sends the request to the prescriber, then records it on the subscription. A request that went
+  // out stays in the communication log whenever recording it fails. ApprovalErrors are rethrown
+  // for the panel to show.
+  const sendApprovalRequest = async (subId, channel) => {
+    const composed = approvalRequest(subscriptions.find(s => s.id === subId), channel);
+    const sent = await approvals.send(composed);
+    // The http sender builds the request again on the server; record what actually went out.
+    const request = sent.request || composed;
+    let recorded = false;
     try {
-        await updateDoc(doc(db, `subscriptions`, subId), { fulfillments: newFulfillments }); // Simplified Path
-        setActionModalData({ subscription: null, fulfillment: null });
-    } catch(e) { setError("Failed to update fulfillment status."); }
-  }
+      recorded = await changeSubscription(subId, latest => planApprovalRequest(latest, request, sent, actorFor(user)));
+      return recorded;
+    } finally {
+      if (!recorded) await addLog(subId, describeSentRequest(request));
+    }
+  };
+
+  // For faxing by hand, or keeping a PDF of the request.
+  const printApprovalRequest = (request) => {
+    if (!printHtml(request.html)) setError("The approval request window was blocked. Allow pop-ups for this site and try again.");
+  };
+
+  const decideApproval = (subId, decision, note) => changeSubscription(subId, latest => planApprovalDecision(latest, decision, note, actorFor(user)));
+
+  // ConflictErrors (someone else finished the call) are rethrown for the queue to show.
+  const logCall = (subId, outcome, notes) => changeSubscription(subId, latest => planCallOutcome(latest, outcome, notes, actorFor(user)));
+
+  // --- Inventory ---
+  // Receiving (`kind` 'receive') or counting stock. InventoryErrors are rethrown for the form to
+  // show. Resolves to the planner's message once the change is written.
+  const adjustInventory = async (ndc, kind, quantity) => {
+    const plan = kind === 'count' ? planStockCount : planStockReceipt;
+    let message = null;
+    try {
+        await store.adjustInventory(ndc, (latest) => {
+            const planned = plan(latest, ndc, quantity, actorFor(user));
+            message = planned.message;
+            return planned.changes;
+        });
+    } catch (e) {
+        if (e instanceof InventoryError) throw e;
+        console.error("Error adjusting inventory: ", e);
+        setError("Failed to update the inventory.");
+        return false;
+    }
+    return message;
+  };
 
+  // --- Batch Operations ---
+  // The single-item handlers above, resolving to false when the item was not changed.
+  const batchActions = batchActionsFor(user);
 
-  const getNextActionableDate = (sub) => {
-    const nextActionable = sub.fulfillments.find(f => f.status !== 'Shipped');
-    return nextActionable ? nextActionable.fulfillmentDate : null;
+  const batchShip = ({ sub, fulfillment }, tracking) => updateFulfillment(sub.id, fulfillment, 'Shipped', { tracking });
+
+  const batchSendIntake = async ({ sub, fulfillment }) => {
+    const [channel] = availableChannels(sub);
+    if (!channel) throw new OutreachError('The patient has no phone number or email on file.');
+    return sendOutreach(sub.id, fulfillment, 'intakeRequest', channel);
   };
 
-  const sortedSubscriptions = [...subscriptions].sort((a, b) => {
-    // Prioritize 'Action Required'
-    if (a.status === 'Action Required' && b.status !== 'Action Required') return -1;
-    if (b.status === 'Action Required' && a.status !== 'Action Required') return 1;
+  const batchHold = (sub, reason) => changeSubscription(sub.id, latest => planPause(latest, reason));
+
+  const toggleRowSelected = (subId) => setSelection(prev => ({ ...prev, subscriptionIds: toggleSelected(prev.subscriptionIds, subId) }));
+  const toggleFulfillmentSelected = (fulfillmentId) => setSelection(prev => ({ ...prev, fulfillmentIds: toggleSelected(prev.fulfillmentIds, fulfillmentId) }));
+
+  const changeSchedule = async (subId, plan) => {
+    if (await changeSubscription(subId, plan)) setScheduleModalSubscriptionId(null);
+  };
+
+  const archiveSubscription = async (subId, reason) => {
+    if (await changeSubscription(subId, latest => planArchive(latest, reason, actorFor(user)))) setArchiveModalSubscription(null);
+  };
 
-    const dateA = getNextActionableDate(a);
-    const dateB = getNextActionableDate(b);
-    if (!dateA) return 1;
-    if (!dateB) return -1;
-    return dateA - dateB;
+  const restoreSubscription = async (sub) => {
+    if (!window.confirm(`Restore ${sub.patientName} (${sub.drugName}) from the archive?`)) return;
+    try {
+        await changeSubscription(sub.id, latest => planRestore(latest));
+    } catch (e) {
+        setError(e.message);
+    }
+  };
+
+
+  const actionSubscription = subscriptions.find(s => s.id === actionModalData.subscriptionId) || null;
+  const scheduleSubscription = subscriptions.find(s => s.id === scheduleModalSubscriptionId) || null;
+  const approvalSubscription = subscriptions.find(s => s.id === approvalSubscriptionId) || null;
+  const levels = stockLevels(inventory, reservationsFor(dueSubscriptions, RESERVATION_DAYS));
+  const actionFulfillment = findFulfillment(actionSubscription, actionModalData.fulfillmentId);
+
+  // The page arrives ordered ('Action Required' first, then by next action date) and filtered by
+  // the store; this re-applies the filters the query could not express, e.g. the full search text.
+  const sortedSubscriptions = filterSubscriptions(subscriptions, filters);
+  const allRowsSelected = sortedSubscriptions.length > 0 && sortedSubscriptions.every(sub => selection.subscriptionIds.includes(sub.id));
+
+  const selectReadyToShip = () => setSelection({
+    subscriptionIds: [],
+    fulfillmentIds: sortedSubscriptions.filter(sub => !isArchived(sub)).flatMap(sub => sub.fulfillments.filter(f => f.status === 'RX Received').map(f => f.id)),
   });
 
+  if (user === undefined) {
+    return <div className="bg-gray-50 min-h-screen font-sans text-center py-10"><p>Loading...</p></div>;
+  }
+  if (user === null) {
+    return <LoginScreen store={store} />;
+  }
+
   return (
     <div className="bg-gray-50 min-h-screen font-sans">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -440,24 +1179,75 @@ export default function App() {
             <h1 className="text-3xl font-bold text-gray-900">Prescription Fulfillment Dashboard</h1>
             <p className="mt-1 text-sm text-gray-600">
               Event-driven tracking for multi-month patient subscriptions.
-              {userId && <span className="ml-2 bg-gray-200 text-gray-700 text-xs font-mono py-0.5 px-1.5 rounded">User: {userId}</span>}
+              <span className="ml-2 bg-gray-200 text-gray-700 text-xs font-mono py-0.5 px-1.5 rounded">{user.displayName} ({user.role || 'no role'})</span>
             </p>
           </div>
-          <button
-            onClick={() => { setEditingSubscription(null); setIsModalOpen(true); }}
-            className="mt-4 sm:mt-0 flex items-center justify-center bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-transform transform hover:scale-105"
-          >
-            <Plus size={20} className="mr-2" /> New Subscription
-          </button>
+          <div className="mt-4 sm:mt-0 flex items-center space-x-3">
+            {hasRole && VIEWS.map(({ key, label, icon: ViewIcon }) => (
+              <button key={key} onClick={() => setView(key)} aria-pressed={view === key} className={`flex items-center text-sm ${view === key ? 'text-indigo-700 font-semibold' : 'text-gray-600 hover:text-indigo-600'}`}><ViewIcon size={18} className="mr-1" />{label}</button>
+            ))}
+            {can(user, 'exportSubscriptions') && (
+              <>
+                <Tooltip text="Export the filtered table as CSV"><button onClick={() => handleExport('csv')} className="flex items-center text-sm text-gray-600 hover:text-indigo-600"><Download size={18} className="mr-1" />CSV</button></Tooltip>
+                <Tooltip text="Export the filtered table as Excel"><button onClick={() => handleExport('xlsx')} className="flex items-center text-sm text-gray-600 hover:text-indigo-600"><Download size={18} className="mr-1" />XLSX</button></Tooltip>
+              </>
+            )}
+            {can(user, 'manageCatalog') && (
+              <Tooltip text="Import the drug catalog from an NDC file"><button onClick={() => setIsCatalogOpen(true)} className="flex items-center text-sm text-gray-600 hover:text-indigo-600"><BookOpen size={18} className="mr-1" />Drug Catalog</button></Tooltip>
+            )}
+            {can(user, 'importSubscriptions') && (
+              <button onClick={() => setIsImportOpen(true)} className="flex items-center justify-center bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-bold py-2 px-4 rounded-lg shadow-sm"><Upload size={18} className="mr-2" /> Import</button>
+            )}
+            <button
+              onClick={() => { setEditingSubscription(null); setIsModalOpen(true); }}
+              disabled={!hasRole}
+              className="flex items-center justify-center bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-transform transform hover:scale-105 disabled:opacity-40 disabled:hover:scale-100"
+            >
+              <Plus size={20} className="mr-2" /> New Subscription
+            </button>
+            <Tooltip text="Sign out"><button onClick={() => store.signOut()} className="text-gray-400 hover:text-gray-700"><LogOut size={20} /></button></Tooltip>
+          </div>
         </header>
 
+        {!hasRole && <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-4 mb-4 rounded-md" role="alert"><p>Your account has no role assigned yet. Ask an admin to grant you access.</p></div>}
+
         {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4 rounded-md" role="alert"><p>{error}</p></div>}
+        {notice && <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-4 mb-4 rounded-md flex justify-between items-center" role="status"><p>{notice}</p><button onClick={() => setNotice(null)} className="text-yellow-700 hover:text-yellow-900"><X size={18} /></button></div>}
         
-        {isLoading ? <div className="text-center py-10"><p>Loading subscriptions...</p></div> : (
+        {hasRole && view === 'metrics' && <MetricsView store={store} onOpenSubscription={openSubscription} />}
+
+        {hasRole && view === 'calls' && <CallQueueView store={store} onLogCall={logCall} canLogCalls={can(user, 'logCall')} />}
+
+        {hasRole && view === 'inventory' && <InventoryView levels={levels} catalog={catalog} days={RESERVATION_DAYS} canManage={can(user, 'manageInventory')} onAdjust={adjustInventory} />}
+
+        {hasRole && view === 'table' && (
+          <FilterBar filters={filters} onChange={setFilters} statusOptions={[...WORKFLOW_STATUSES, ...HOLD_STATUSES]} fulfillmentStatusOptions={Object.keys(FULFILLMENT_STATUSES)} />
+        )}
+
+        {hasRole && view === 'table' && !isLoading && batchActions.length > 0 && (
+          <BatchPanel
+              subscriptions={sortedSubscriptions}
+              selection={selection}
+              actions={batchActions}
+              onClearSelection={() => setSelection(EMPTY_SELECTION)}
+              onSelectReadyToShip={selectReadyToShip}
+              onShip={batchShip}
+              onSendIntake={batchSendIntake}
+              onHold={batchHold}
+              onExport={(subs, format) => handleExport(format, subs)}
+          />
+        )}
+
+        {hasRole && view === 'table' && (isLoading ? <div className="text-center py-10"><p>Loading subscriptions...</p></div> : (
           <div className="bg-white shadow-xl rounded-lg overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200">
               <thead className="bg-gray-50">
                 <tr>
+                  {batchActions.length > 0 && (
+                    <th scope="col" className="pl-6 py-3">
+                      <input type="checkbox" checked={allRowsSelected} onChange={() => setSelection(prev => ({ ...prev, subscriptionIds: allRowsSelected ? [] : sortedSubscriptions.map(sub => sub.id) }))} aria-label="Select all on this page" />
+                    </th>
+                  )}
                   <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Patient / Drug</th>
                   <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Overall Status</th>
                   <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Next Action Date</th>
@@ -468,22 +1258,42 @@ export default function App() {
               <tbody className="bg-white divide-y divide-gray-200">
                 {sortedSubscriptions.map((sub) => {
                   const nextDate = getNextActionableDate(sub);
-                  const isPastDue = nextDate && new Date(nextDate) < new Date();
+                  const isPastDue = nextDate && toCalendarDay(nextDate) < toCalendarDay(new Date());
+                  
+                  const isExpanded = expandedIds.includes(sub.id);
+                  const stock = levels.get(sub.ndc);
+                  const shortIds = isShort(stock) ? stock.shortIds.filter(id => sub.fulfillments.some(f => f.id === id)) : [];
                   
                   return (
-                    <tr key={sub.id} className={`${sub.status === 'Action Required' ? 'bg-purple-50' : ''} hover:bg-gray-50`}>
+                    <React.Fragment key={sub.id}>
+                    <tr className={`${sub.status === 'Action Required' && !sub.hold ? 'bg-purple-50' : ''} hover:bg-gray-50`}>
+                      {batchActions.length > 0 && (
+                        <td className="pl-6 py-4">
+                          <input type="checkbox" checked={selection.subscriptionIds.includes(sub.id)} onChange={() => toggleRowSelected(sub.id)} aria-label={`Select ${sub.patientName}`} />
+                        </td>
+                      )}
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div>
-                          <div className="text-sm font-medium text-gray-900">{sub.patientName}</div>
-                          <div className="text-sm text-gray-500 flex items-center">
-                            <Pill size={14} className="mr-1.5 text-gray-400"/>
-                            {sub.drugName}
-                            {sub.newRxCall && <Tooltip text="New RX: Call Patient"><Phone size={16} className="ml-2 text-red-500 animate-pulse" /></Tooltip>}
+                        <div className="flex items-start">
+                          <button onClick={() => toggleExpanded(sub.id)} className="mr-2 mt-0.5 text-gray-400 hover:text-gray-700" aria-expanded={isExpanded} aria-label="Show details">
+                            {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                          </button>
+                          <div>
+                            <div className="text-sm font-medium text-gray-900">{sub.patientName}{sub.patient?.mrn && <span className="ml-2 text-xs font-mono text-gray-400">{sub.patient.mrn}</span>}</div>
+                            <div className="text-sm text-gray-500 flex items-center">
+                              <Pill size={14} className="mr-1.5 text-gray-400"/>
+                              {sub.drugName}{sub.strength && ` ${sub.strength}`}
+                              {sub.deaSchedule && <span className="ml-2 px-1 text-xs font-semibold rounded bg-red-100 text-red-800" title="DEA controlled substance schedule">{describeDeaSchedule(sub.deaSchedule)}</span>}
+                              {shortIds.length > 0 && <Tooltip text={`Short stock: ${describeShortage(stock, RESERVATION_DAYS)}`}><AlertTriangle size={16} className="ml-2 text-amber-500" /></Tooltip>}
+                              {sub.renewalNeeded && <Tooltip text="Prescription renewal needed"><RefreshCw size={16} className="ml-2 text-red-500" /></Tooltip>}
+                              {sub.newRxCall && <Tooltip text={`New RX: Call Patient${sub.patient?.phone ? ` at ${formatPhone(sub.patient.phone)}` : ''}`}><Phone size={16} className="ml-2 text-red-500 animate-pulse" /></Tooltip>}
+                            </div>
                           </div>
                         </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
-                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_COLORS[sub.status]}`}>{sub.status}</span>
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_COLORS[displayStatus(sub)]}`} title={sub.hold ? `${sub.holdReason || sub.hold} (workflow status: ${sub.status})` : undefined}>{displayStatus(sub)}</span>
+                          {isArchived(sub) && <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-200 text-gray-700" title={`Archived ${formatDate(sub.archive.date)} by ${sub.archive.actor}: ${sub.archive.reason}`}>Archived</span>}
+                          {!isArchived(sub) && <ApprovalBadge subscription={sub} onClick={() => setApprovalSubscriptionId(sub.id)} />}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className={`text-sm ${isPastDue ? 'text-red-600 font-bold' : 'text-gray-900'}`}>
@@ -492,13 +1302,16 @@ export default function App() {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="flex items-center space-x-2">
-                          {sub.fulfillments.map((f, index) => {
+                          {sortByDate(sub.fulfillments).map((f) => {
                               const StatusIcon = FULFILLMENT_STATUSES[f.status].icon;
                               const statusInfo = FULFILLMENT_STATUSES[f.status];
                               return (
-                                <Tooltip key={index} text={`${statusInfo.label} (Due: ${formatDate(f.fulfillmentDate)})`}>
-                                    <button onClick={() => setActionModalData({ subscription: sub, fulfillment: f })} className="flex items-center justify-center p-1 rounded-full hover:bg-gray-200">
-                                        <StatusIcon size={20} className={`${statusInfo.color} ${f.status === 'RX Received' ? 'animate-pulse' : ''}`} />
+                                <Tooltip key={f.id} text={`${statusInfo.label} (Due: ${formatDate(f.fulfillmentDate)})${isOpen(f) && f.renewalNeeded ? ` - ${RENEWAL_REASONS[f.renewalNeeded]}` : ''}${shortIds.includes(f.id) ? ' - Not enough stock' : ''}`}>
+                                    <button
+                                        onClick={(e) => (e.shiftKey && batchActions.length > 0 ? toggleFulfillmentSelected(f.id) : setActionModalData({ subscriptionId: sub.id, fulfillmentId: f.id }))}
+                                        className={`flex items-center justify-center p-1 rounded-full hover:bg-gray-200 ${selection.fulfillmentIds.includes(f.id) ? 'ring-2 ring-indigo-500' : ''} ${shortIds.includes(f.id) ? 'bg-amber-100' : ''}`}
+                                    >
+                                        <StatusIcon size={20} className={`${isOpen(f) && f.renewalNeeded ? 'text-red-500' : statusInfo.color} ${f.status === 'RX Received' ? 'animate-pulse' : ''}`} />
                                     </button>
                                 </Tooltip>
                               )
@@ -508,34 +1321,105 @@ export default function App() {
                       <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-medium">
                         <div className="flex justify-center items-center space-x-2">
                            <Tooltip text="Communication Log"><button onClick={() => setLogModalSubscription(sub)} className="text-gray-400 hover:text-indigo-600"><MessageSquare size={18}/></button></Tooltip>
-                           <Tooltip text="Edit Subscription"><button onClick={() => { setEditingSubscription(sub); setIsModalOpen(true); }} className="text-gray-400 hover:text-blue-600"><Edit size={18}/></button></Tooltip>
-                           <Tooltip text="Delete Subscription"><button onClick={() => handleDelete(sub.id)} className="text-gray-400 hover:text-red-600"><Trash2 size={18}/></button></Tooltip>
+                           <Tooltip text="Audit Trail"><button onClick={() => setAuditSubscription(sub)} className="text-gray-400 hover:text-indigo-600"><History size={18}/></button></Tooltip>
+                           {!isArchived(sub) && <Tooltip text="Physician Approval"><button onClick={() => setApprovalSubscriptionId(sub.id)} className="text-gray-400 hover:text-indigo-600"><Stethoscope size={18}/></button></Tooltip>}
+                           {!isArchived(sub) && can(user, 'manageSchedule') && <Tooltip text="Manage Schedule"><button onClick={() => setScheduleModalSubscriptionId(sub.id)} className="text-gray-400 hover:text-indigo-600"><CalendarClock size={18}/></button></Tooltip>}
+                           {!isArchived(sub) && <Tooltip text="Edit Subscription"><button onClick={() => { setEditingSubscription(sub); setIsModalOpen(true); }} className="text-gray-400 hover:text-blue-600"><Edit size={18}/></button></Tooltip>}
+                           {!isArchived(sub) && can(user, 'archiveSubscription') && <Tooltip text="Archive Subscription"><button onClick={() => setArchiveModalSubscription(sub)} className="text-gray-400 hover:text-red-600"><Archive size={18}/></button></Tooltip>}
+                           {isArchived(sub) && can(user, 'restoreSubscription') && <Tooltip text="Restore Subscription"><button onClick={() => restoreSubscription(sub)} className="text-gray-400 hover:text-green-600"><ArchiveRestore size={18}/></button></Tooltip>}
                         </div>
                       </td>
                     </tr>
+                    {isExpanded && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={batchActions.length > 0 ? 6 : 5} className="px-6 py-4"><SubscriptionDetail subscription={sub} /></td>
+                      </tr>
+                    )}
+                    </React.Fragment>
                   )
                 })}
               </tbody>
             </table>
+            {(currentPage.index > 0 || nextCursor !== null) && (
+                <div className="flex justify-between items-center px-6 py-3 border-t text-sm text-gray-600">
+                    <button onClick={() => setPage({ ...currentPage, index: currentPage.index - 1 })} disabled={currentPage.index === 0} className="flex items-center hover:text-indigo-600 disabled:opacity-40"><ChevronLeft size={16} className="mr-1" />Previous</button>
+                    <span>Page {currentPage.index + 1}</span>
+                    <button onClick={() => setPage({ ...currentPage, index: currentPage.index + 1, cursors: [...currentPage.cursors.slice(0, currentPage.index + 1), nextCursor] })} disabled={nextCursor === null} className="flex items-center hover:text-indigo-600 disabled:opacity-40">Next<ChevronRight size={16} className="ml-1" /></button>
+                </div>
+            )}
             {sortedSubscriptions.length === 0 && (
-                <div className="text-center py-12 px-6"><Package size={48} className="mx-auto text-gray-300"/><h3 className="mt-2 text-sm font-medium text-gray-900">No subscriptions found</h3><p className="mt-1 text-sm text-gray-500">Get started by creating a new subscription.</p></div>
+                <div className="text-center py-12 px-6"><Package size={48} className="mx-auto text-gray-300"/><h3 className="mt-2 text-sm font-medium text-gray-900">No subscriptions found</h3><p className="mt-1 text-sm text-gray-500">{isDefaultFilters(filters) ? 'Get started by creating a new subscription.' : 'No subscriptions match the current filters.'}</p></div>
             )}
           </div>
-        )}
+        ))}
       </div>
 
       <Modal isOpen={isModalOpen} onClose={() => { setIsModalOpen(false); setEditingSubscription(null); }} title={editingSubscription ? `Edit: ${editingSubscription.patientName}` : "Create New Subscription"}>
-        <SubscriptionForm onSave={handleSaveSubscription} onCancel={() => { setIsModalOpen(false); setEditingSubscription(null); }} subscription={editingSubscription}/>
+        <SubscriptionForm onSave={handleSaveSubscription} onCancel={() => { setIsModalOpen(false); setEditingSubscription(null); }} subscription={editingSubscription} catalog={catalog} actor={actorFor(user)} canEditPrescription={can(user, 'updateFulfillment')} />
+      </Modal>
+
+      <Modal isOpen={isImportOpen} onClose={() => setIsImportOpen(false)} title="Import Subscriptions">
+        <SubscriptionImport catalog={catalog} onImport={handleImport} onCancel={() => setIsImportOpen(false)} />
+      </Modal>
+
+      <Modal isOpen={isCatalogOpen} onClose={() => setIsCatalogOpen(false)} title="Drug Catalog">
+        <DrugCatalogImport catalog={catalog} onImport={handleCatalogImport} onCancel={() => setIsCatalogOpen(false)} />
       </Modal>
 
+      <Modal isOpen={!!auditSubscription} onClose={() => setAuditSubscription(null)} title={`Audit Trail: ${auditSubscription?.patientName} (${auditSubscription?.drugName})`}>
+        {auditSubscription && <AuditTrail store={store} subscriptionId={auditSubscription.id} />}
+      </Modal>
+      <Modal isOpen={!!approvalSubscription} onClose={() => setApprovalSubscriptionId(null)} title={`Physician Approval: ${approvalSubscription?.patientName} (${approvalSubscription?.drugName})`}>
+        {approvalSubscription && (
+            <ApprovalPanel
+                key={approvalSubscription.id}
+                subscription={approvalSubscription}
+                onSendRequest={sendApprovalRequest}
+                onPrintRequest={printApprovalRequest}
+                onDecide={decideApproval}
+                canRequest={can(user, 'requestApproval')}
+                canDecide={can(user, 'approvePhysician')}
+            />
+        )}
+      </Modal>
       {logModalSubscription && (<LogModal subscription={logModalSubscription} onClose={() => setLogModalSubscription(null)} onAddLog={addLog}/>)}
 
-      {actionModalData.subscription && actionModalData.fulfillment && (
+      {actionSubscription && actionFulfillment && (
           <FulfillmentActionModal
-              {...actionModalData}
-              onClose={() => setActionModalData({ subscription: null, fulfillment: null })}
+              key={actionFulfillment.id}
+              subscription={actionSubscription}
+              fulfillment={actionFulfillment}
+              onClose={() => setActionModalData({ subscriptionId: null, fulfillmentId: null })}
               onUpdateFulfillment={updateFulfillment}
-              onMarkAsShipped={(subId, fulfillment, tracking) => updateFulfillment(subId, fulfillment, 'Shipped', tracking)}
+              onMarkAsShipped={(subId, fulfillment, tracking) => updateFulfillment(subId, fulfillment, 'Shipped', { tracking })}
+              onReschedule={rescheduleFulfillment}
+              onSendOutreach={sendOutreach}
+              onCheckTracking={carriers ? checkTracking : null}
+              onBuyLabel={buyLabel}
+              onPrintPackingSlip={printPackingSlip}
+              canSimulateEvents={store.kind === 'local' && !isArchived(actionSubscription)}
+              canUpdate={can(user, 'updateFulfillment') && !isArchived(actionSubscription)}
+              canShip={can(user, 'shipFulfillment') && !isArchived(actionSubscription)}
+              canManageSchedule={can(user, 'manageSchedule') && !isArchived(actionSubscription)}
+              canSendOutreach={can(user, 'sendOutreach') && !isArchived(actionSubscription)}
+          />
+      )}
+
+      {archiveModalSubscription && (
+          <ArchiveModal
+              key={archiveModalSubscription.id}
+              subscription={archiveModalSubscription}
+              onClose={() => setArchiveModalSubscription(null)}
+              onArchive={archiveSubscription}
+          />
+      )}
+
+      {scheduleSubscription && (
+          <ScheduleModal
+              key={scheduleSubscription.id}
+              subscription={scheduleSubscription}
+              onClose={() => setScheduleModalSubscriptionId(null)}
+              onChangeSchedule={changeSchedule}
           />
       )}
 
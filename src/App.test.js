@@ -0,0 +1,143 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App';
+import { createLocalStore } from './store/localStore';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const PHARMACIST = { uid: 'u1', email: 'pat@demo.local', displayName: 'Pat', role: 'pharmacist' };
+const ADMIN = { uid: 'u2', email: 'alex@demo.local', displayName: 'Alex', role: 'admin' };
+const TECHNICIAN = { uid: 'u3', email: 'terry@demo.local', displayName: 'Terry', role: 'technician' };
+
+const DUE = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+
+const seedSubscription = (overrides = {}) => ({
+  id: 'sub-1',
+  patientName: 'Alex Doe',
+  drugName: 'Atorvastatin',
+  physicianStatus: 'Approved',
+  patient: { phone: '5125550100' },
+  fulfillments: [{ id: 'sub-1-1', seq: 1, fulfillmentDate: DUE, status: 'Scheduled' }],
+  communicationLog: [],
+  ...overrides,
+});
+
+let container;
+let root;
+
+const renderApp = async (store) => {
+  container = document.createElement('div');
+  document.body.appendChild(container);
+  root = createRoot(container);
+  await act(async () => { root.render(<App store={store} />); });
+};
+
+afterEach(async () => {
+  await act(async () => { root.unmount(); });
+  container.remove();
+});
+
+const click = (element) => act(async () => { element.dispatchEvent(new MouseEvent('click', { bubbles: true })); });
+
+const buttonLabelled = (text) => [...container.querySelectorAll('button')].find(button => button.textContent.trim() === text);
+
+// Icon buttons are labelled by the Tooltip that wraps them.
+const iconButton = (tooltip) => [...container.querySelectorAll('.group')]
+  .find(group => group.lastElementChild?.textContent === tooltip)
+  ?.querySelector('button');
+
+// Everything the edit form needs to pass validation.
+const completeRecord = {
+  patient: { dob: '1970-01-01', mrn: 'MRN-1', phone: '5125550100' },
+  shippingAddress: { line1: '1 Main St', city: 'Austin', state: 'TX', zip: '78701' },
+  prescriber: { name: 'Dr. Lee', npi: '1234567893' },
+  prescription: { rxNumber: 'RX-7', writtenDate: new Date(2026, 0, 2), expirationDate: new Date(2036, 0, 2), refillsAuthorized: 3, refillsRemaining: 3 },
+  ndc: '0071-0155-23',
+  quantity: 30,
+  daysSupply: 30,
+  startDate: new Date(2026, 0, 2),
+  cadence: { type: 'interval', days: 30 },
+  duration: 1,
+  autoRenew: false,
+};
+
+const typeInto = (input, value) => act(async () => {
+  Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set.call(input, value);
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+});
+
+const storedSubscription = (store, id) => {
+  let subs;
+  store.subscribe(next => { subs = next; })();
+  return subs.find(sub => sub.id === id);
+};
+
+describe('App', () => {
+  test('signs in with a demo account and shows the table', async () => {
+    const store = createLocalStore({ storage: null, seed: [seedSubscription()] });
+    await renderApp(store);
+    expect(container.textContent).toContain('Sign In');
+
+    await typeInto(container.querySelector('#email'), 'pharmacist@demo.local');
+    await typeInto(container.querySelector('#password'), 'demo');
+    await click(buttonLabelled('Sign In'));
+
+    expect(container.textContent).toContain('Alex Doe');
+    expect(container.textContent).toContain('Atorvastatin');
+  });
+
+  test('shows the row actions the role allows', async () => {
+    await renderApp(createLocalStore({ storage: null, user: PHARMACIST, seed: [seedSubscription()] }));
+    expect(iconButton('Manage Schedule')).toBeDefined();
+    expect(iconButton('Archive Subscription')).toBeUndefined();
+    await act(async () => { root.unmount(); });
+    container.remove();
+
+    await renderApp(createLocalStore({ storage: null, user: ADMIN, seed: [seedSubscription()] }));
+    expect(iconButton('Archive Subscription')).toBeDefined();
+  });
+
+  test('moves a fulfillment on from its action modal', async () => {
+    const store = createLocalStore({ storage: null, user: PHARMACIST, seed: [seedSubscription()] });
+    await renderApp(store);
+
+    await click(iconButton(`Scheduled (Due: ${DUE.toLocaleDateString('en-US')})`));
+    await click(buttonLabelled('Simulate: Intake Sent'));
+
+    expect(storedSubscription(store, 'sub-1').fulfillments[0].status).toBe('Intake Sent');
+    expect(storedSubscription(store, 'sub-1').communicationLog.map(entry => entry.message)).toEqual([
+      expect.stringContaining('Updated fulfillment sub-1-1'),
+      'Status changed from Approved to Active.',
+    ]);
+  });
+
+  test('shows why a fulfillment cannot ship', async () => {
+    const ready = seedSubscription({ physicianStatus: 'Pending', fulfillments: [{ id: 'sub-1-1', seq: 1, fulfillmentDate: DUE, status: 'RX Received', rxId: 'RX-7' }] });
+    const store = createLocalStore({ storage: null, user: PHARMACIST, seed: [ready] });
+    await renderApp(store);
+
+    await click(iconButton(`RX Received - Ready to Ship (Due: ${DUE.toLocaleDateString('en-US')})`));
+    await click(buttonLabelled('Mark as Shipped'));
+
+    expect(container.querySelector('[role=alert]').textContent).toContain('The physician has not approved this subscription yet.');
+    expect(storedSubscription(store, 'sub-1').fulfillments[0].status).toBe('RX Received');
+  });
+
+  test('a technician edits the patient but not the prescription or the fulfillments', async () => {
+    const store = createLocalStore({ storage: null, user: TECHNICIAN, seed: [seedSubscription(completeRecord)] });
+    await renderApp(store);
+    const before = storedSubscription(store, 'sub-1');
+
+    await click(iconButton('Edit Subscription'));
+    expect(['rxNumber', 'rxExpirationDate', 'refillsAuthorized', 'drugSearch'].map(id => container.querySelector(`#${id}`).matches(':disabled'))).toEqual([true, true, true, true]);
+    expect(container.textContent).toContain('Only a pharmacist can change the prescription or the drug.');
+
+    await typeInto(container.querySelector('#phone'), '5125550199');
+    await click(buttonLabelled('Update Subscription'));
+
+    const after = storedSubscription(store, 'sub-1');
+    expect(after.patient.phone).toBe('5125550199');
+    expect(after.prescription).toEqual(before.prescription);
+    expect(after.fulfillments).toEqual(before.fulfillments);
+  });
+});
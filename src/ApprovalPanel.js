@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { Send, Printer, CheckCircle, XCircle } from 'lucide-react';
+import { formatDate } from './dates';
+import { formatPhone } from './validation';
+import { ConflictError } from './store/errors';
+import { ApprovalError, APPROVAL_CHANNELS, PHYSICIAN_STATUSES, approvalOf, availableApprovalChannels, approvalRequest, daysAwaiting } from './approvals';
+
+const inputClass = 'w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+const buttonClass = 'flex items-center text-sm bg-white border border-gray-300 text-gray-700 px-3 py-1.5 rounded-md hover:bg-gray-50 disabled:opacity-40';
+
+const STATUS_COLORS = {
+  Pending: 'bg-gray-100 text-gray-700',
+  Requested: 'bg-blue-100 text-blue-800',
+  Approved: 'bg-green-100 text-green-800',
+  Denied: 'bg-red-100 text-red-800',
+};
+
+// Table badge for subscriptions that cannot ship yet; approved ones show nothing.
+export const ApprovalBadge = ({ subscription: sub, onClick }) => {
+  if (sub.physicianStatus === 'Approved') return null;
+  const days = daysAwaiting(sub);
+  const escalated = sub.physicianStatus === 'Requested' && approvalOf(sub).escalatedAt;
+  const label = escalated ? 'Approval Escalated' : sub.physicianStatus === 'Requested' ? `Approval Requested ${days}d` : `Approval ${sub.physicianStatus}`;
+  return (
+    <button onClick={onClick} className={`ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${escalated ? 'bg-red-100 text-red-800' : STATUS_COLORS[sub.physicianStatus]}`}>{label}</button>
+  );
+};
+
+const describeRecipient = (channel, to) => (channel === 'fax' ? formatPhone(to) : to);
+
+// Status, timestamps and request history of a subscription's physician approval, with sending a
+// request to the prescriber and recording their answer. Handlers are the App's; ApprovalErrors and
+// ConflictErrors they throw are shown here, and anything else is logged and shown as a generic error.
+export const ApprovalPanel = ({ subscription: sub, onSendRequest, onPrintRequest, onDecide, canRequest, canDecide }) => {
+  const channels = availableApprovalChannels(sub);
+  const [chosenChannel, setChannel] = useState(channels[0] || '');
+  // The prescriber's fax or email can be removed while the panel is open.
+  const channel = channels.includes(chosenChannel) ? chosenChannel : channels[0] || '';
+  const [note, setNote] = useState('');
+  const [actionError, setActionError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const approval = approvalOf(sub);
+  const preview = channel && sub.physicianStatus !== 'Approved' ? approvalRequest(sub, channel) : null;
+
+  const run = async (action) => {
+    setActionError(null);
+    setIsBusy(true);
+    try {
+      if (await action()) setNote('');
+    } catch (e) {
+      if (e instanceof ApprovalError || e instanceof ConflictError) {
+        setActionError(e);
+      } else {
+        console.error('Approval action failed: ', e);
+        setActionError(new Error('Could not complete the approval action. Review the latest status and try again.'));
+      }
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-2">
+        <span className={`px-2 inline-flex text-sm leading-6 font-semibold rounded-full ${STATUS_COLORS[sub.physicianStatus]}`}>{sub.physicianStatus}</span>
+        {sub.physicianStatus === 'Requested' && <span className="text-sm text-gray-600">Waiting {daysAwaiting(sub)} day{daysAwaiting(sub) === 1 ? '' : 's'} for the prescriber.</span>}
+        {sub.physicianStatus === 'Requested' && approval.escalatedAt && <span className="text-sm font-medium text-red-700">Escalated {formatDate(approval.escalatedAt)}.</span>}
+      </div>
+
+      {actionError && (
+        <div className={`border-l-4 p-3 rounded-md text-sm ${actionError instanceof ConflictError ? 'bg-yellow-100 border-yellow-500 text-yellow-800' : 'bg-red-100 border-red-500 text-red-700'}`} role="alert">{actionError.message}</div>
+      )}
+
+      <dl className="grid grid-cols-3 gap-4 text-sm">
+        {PHYSICIAN_STATUSES.filter(status => status !== 'Pending').map(status => (
+          <div key={status}>
+            <dt className="text-xs font-medium text-gray-500 uppercase tracking-wider">{status}</dt>
+            <dd className="mt-0.5 text-gray-900">{approval.statusDates[status] ? formatDate(approval.statusDates[status]) : <span className="text-gray-400">-</span>}</dd>
+          </div>
+        ))}
+      </dl>
+      {approval.decidedBy && (
+        <p className="text-sm text-gray-600">Recorded by {approval.decidedBy}{approval.note && `: ${approval.note}`}</p>
+      )}
+
+      {approval.requests.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-1">Requests Sent</h4>
+          <ul className="text-sm text-gray-700 space-y-1">
+            {[...approval.requests].reverse().map((request, i) => (
+              <li key={i}>{formatDate(request.date)}: {APPROVAL_CHANNELS[request.channel]} to {describeRecipient(request.channel, request.to)} by {request.actor}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {canRequest && sub.physicianStatus !== 'Approved' && (
+        <div className="pt-4 border-t space-y-2">
+          <h4 className="font-semibold text-gray-700">{approval.requests.length > 0 ? 'Follow Up' : 'Request Approval'}</h4>
+          {channels.length === 0 ? (
+            <p className="text-sm text-gray-600">Add the prescriber's fax number or email to the subscription to send a request.</p>
+          ) : (
+            <>
+              <div className="flex space-x-2">
+                <select value={channel} onChange={(e) => setChannel(e.target.value)} aria-label="Channel" className={inputClass}>
+                  {channels.map(key => <option key={key} value={key}>{APPROVAL_CHANNELS[key]} ({describeRecipient(key, key === 'fax' ? sub.prescriber.fax : sub.prescriber.email)})</option>)}
+                </select>
+                <button onClick={() => run(() => onSendRequest(sub.id, channel))} disabled={isBusy} className="flex items-center bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-40 whitespace-nowrap"><Send size={16} className="mr-2" />Send</button>
+                <button onClick={() => onPrintRequest(preview)} className={buttonClass} title="Print the request, or save it as a PDF"><Printer size={16} className="mr-1" />Print</button>
+              </div>
+              {preview && <pre className="text-xs bg-gray-50 border rounded-md p-3 whitespace-pre-wrap max-h-48 overflow-y-auto">{preview.body}</pre>}
+              {approval.requests.length > 0 && <p className="text-xs text-gray-500">Sending a follow-up starts the escalation window again.</p>}
+            </>
+          )}
+        </div>
+      )}
+
+      {canDecide && (
+        <div className="pt-4 border-t space-y-2">
+          <h4 className="font-semibold text-gray-700">Record the Prescriber's Answer</h4>
+          <input type="text" value={note} onChange={(e) => setNote(e.target.value)} placeholder="Note, e.g. approved by phone; required for a denial..." className={inputClass} />
+          <div className="flex space-x-2">
+            <button onClick={() => run(() => onDecide(sub.id, 'Approved', note))} disabled={isBusy || sub.physicianStatus === 'Approved'} className="flex items-center bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-40"><CheckCircle size={16} className="mr-2" />Approve</button>
+            <button onClick={() => run(() => onDecide(sub.id, 'Denied', note))} disabled={isBusy || sub.physicianStatus === 'Denied' || !note.trim()} className="flex items-center bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 disabled:opacity-40"><XCircle size={16} className="mr-2" />Deny</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { AUDIT_SOURCES, describeAuditValue, describeApprovalChange } from './audit';
+import { FIELD_LABELS } from './subscriptionFields';
+
+const FIELD_NAMES = {
+  ...FIELD_LABELS,
+  patient: 'Patient',
+  shippingAddress: 'Shipping Address',
+  prescriber: 'Prescriber',
+  prescription: 'Prescription',
+  drugName: 'Drug',
+  strength: 'Strength',
+  dosageForm: 'Dosage Form',
+  deaSchedule: 'DEA Schedule',
+  physicianStatus: 'Physician Status',
+  approval: 'Physician Approval',
+  pausedAt: 'Paused Since',
+  hold: 'Hold',
+  holdReason: 'Hold Reason',
+  newRxCall: 'New RX - Call Patient',
+  startDate: 'Start Date',
+  cadence: 'Cadence',
+  autoRenew: 'Auto-Renew',
+  archive: 'Archived',
+  fulfillmentDate: 'Date',
+  status: 'Status',
+  rxId: 'RX ID',
+  rxNumber: 'Dispensed Under RX',
+  tracking: 'Tracking',
+  reason: 'Reason',
+};
+
+const describeChange = (event) => {
+  if (event.action === 'create') return 'Subscription created';
+  if (event.action === 'recompute') return `Recomputed ${event.to.join(', ')}`;
+  if (event.field === 'approval') {
+    return <><span className="font-medium">{FIELD_NAMES.approval}</span>: {describeApprovalChange(event.from, event.to)}</>;
+  }
+  return (
+    <>
+      <span className="font-medium">{FIELD_NAMES[event.field] || event.field}</span>: {describeAuditValue(event.from)} → {describeAuditValue(event.to)}
+    </>
+  );
+};
+
+// Read-only view of a subscription's audit events, newest first.
+export const AuditTrail = ({ store, subscriptionId }) => {
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = store.subscribeAudit(subscriptionId, setEvents, (err) => {
+      console.error("Audit Trail Error: ", err);
+      setError("Could not load the audit trail.");
+    });
+    return () => unsubscribe();
+  }, [store, subscriptionId]);
+
+  if (error) return <p className="text-sm text-red-600">{error}</p>;
+  if (!events) return <p className="text-sm text-gray-500">Loading audit trail...</p>;
+  if (events.length === 0) return <p className="text-sm text-gray-500">No audited changes yet.</p>;
+
+  return (
+    <div className="max-h-96 overflow-y-auto border rounded-md">
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50 sticky top-0">
+          <tr className="text-left text-xs text-gray-500 uppercase tracking-wider">
+            <th className="px-3 py-2 font-medium">When</th>
+            <th className="px-3 py-2 font-medium">Who</th>
+            <th className="px-3 py-2 font-medium">Source</th>
+            <th className="px-3 py-2 font-medium">Fulfillment</th>
+            <th className="px-3 py-2 font-medium">Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {events.map((event, index) => (
+            <tr key={event.id || index} className="border-t align-top">
+              <td className="px-3 py-2 whitespace-nowrap">{event.at.toLocaleString()}</td>
+              <td className="px-3 py-2">{event.actor || '—'}</td>
+              <td className="px-3 py-2 whitespace-nowrap">{AUDIT_SOURCES[event.source] || event.source}{event.reference && <span className="block text-xs text-gray-500">{event.reference}</span>}</td>
+              <td className="px-3 py-2 font-mono text-xs">{event.fulfillmentId || '—'}</td>
+              <td className="px-3 py-2">{describeChange(event)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
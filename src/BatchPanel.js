@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { X, Truck, Mail, PauseCircle, Download, CheckCircle, AlertTriangle } from 'lucide-react';
+import { formatDate } from './dates';
+import { BATCH_ACTIONS, batchTargets, selectedSubscriptions, parseTrackingList, assignTracking } from './batch';
+import { CARRIERS, detectCarrier } from './carriers/carriers';
+import { TransitionError } from './fulfillmentMachine';
+import { ScheduleError } from './schedule';
+import { ConflictError } from './store/errors';
+import { OutreachError } from './outreach/errors';
+
+const inputClass = 'w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+const buttonClass = 'flex items-center text-sm bg-white border border-gray-300 text-gray-700 px-3 py-1.5 rounded-md hover:bg-gray-50 disabled:opacity-40';
+
+const ACTION_ICONS = { ship: Truck, intake: Mail, hold: PauseCircle, export: Download };
+
+// Why a single item could not be changed; anything else is also logged to the console.
+const ITEM_ERRORS = [TransitionError, ScheduleError, ConflictError, OutreachError];
+
+const describeItem = ({ sub, fulfillment }) => (
+  fulfillment ? `${sub.patientName} · ${fulfillment.id} (${formatDate(fulfillment.fulfillmentDate)})` : `${sub.patientName} (${sub.drugName})`
+);
+
+const ItemList = ({ items, className }) => (
+  <ul className={`text-sm space-y-1 max-h-48 overflow-y-auto ${className}`}>
+    {items.map(item => <li key={item.fulfillment?.id || item.sub.id}>{describeItem(item)}{item.message && `: ${item.message}`}</li>)}
+  </ul>
+);
+
+// Results of a run, updated as each item finishes. Skipped items never ran.
+const BatchResults = ({ run, onDone }) => {
+  const failed = run.results.filter(r => !r.ok);
+  const succeeded = run.results.length - failed.length;
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-medium text-gray-800">
+          {BATCH_ACTIONS[run.action].label}: {run.finished ? `${succeeded} of ${run.total} done.` : `${run.results.length} of ${run.total}...`}
+        </p>
+        {run.finished && <button onClick={onDone} className={buttonClass}>Done</button>}
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div className={`h-2 rounded-full ${failed.length > 0 ? 'bg-yellow-500' : 'bg-green-600'}`} style={{ width: `${run.total ? (run.results.length / run.total) * 100 : 100}%` }} />
+      </div>
+      {run.finished && failed.length === 0 && run.skipped.length === 0 && (
+        <p className="text-sm text-green-700 flex items-center"><CheckCircle size={16} className="mr-1" />All done.</p>
+      )}
+      {failed.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-red-700 flex items-center"><AlertTriangle size={16} className="mr-1" />{failed.length} failed and were left unchanged:</p>
+          <ItemList items={failed} className="text-red-700" />
+        </div>
+      )}
+      {run.skipped.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-gray-600">{run.skipped.length} skipped:</p>
+          <ItemList items={run.skipped} className="text-gray-600" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Bulk actions on the table selection. Handlers are the App's single-item ones; each resolves to
+// false (or throws) when its item was not changed.
+export const BatchPanel = ({ subscriptions, selection, actions, onClearSelection, onSelectReadyToShip, onShip, onSendIntake, onHold, onExport }) => {
+  const [action, setAction] = useState(null);
+  const [trackingText, setTrackingText] = useState('');
+  const [holdReason, setHoldReason] = useState('');
+  const [run, setRun] = useState(null);
+
+  const selectedCount = selectedSubscriptions(subscriptions, selection).length;
+  const fulfillmentCount = subscriptions.flatMap(sub => sub.fulfillments).filter(f => selection.fulfillmentIds.includes(f.id)).length;
+
+  const runBatch = async (batchAction, { targets, skipped }, runItem) => {
+    setRun({ action: batchAction, total: targets.length, results: [], skipped, finished: false });
+    for (const item of targets) {
+      let result;
+      try {
+        result = (await runItem(item)) === false ? { ...item, ok: false, message: 'Could not be saved.' } : { ...item, ok: true };
+      } catch (e) {
+        // One failure must not stop the rest of the batch; it is reported with its item.
+        if (!ITEM_ERRORS.some(ErrorClass => e instanceof ErrorClass)) console.error('Batch item failed: ', e);
+        result = { ...item, ok: false, message: e.message };
+      }
+      setRun(prev => ({ ...prev, results: [...prev.results, result] }));
+    }
+    setRun(prev => ({ ...prev, finished: true }));
+  };
+
+  const finish = () => {
+    setRun(null);
+    setAction(null);
+    setTrackingText('');
+    setHoldReason('');
+    onClearSelection();
+  };
+
+  if (run) return <div className="bg-white shadow rounded-lg p-4 mb-4"><BatchResults run={run} onDone={finish} /></div>;
+  if (selectedCount === 0) {
+    return actions.includes('ship') ? (
+      <div className="flex justify-end mb-2">
+        <button onClick={onSelectReadyToShip} className="text-sm text-indigo-600 hover:underline">Select everything ready to ship on this page</button>
+      </div>
+    ) : null;
+  }
+
+  const { targets, skipped } = action ? batchTargets(subscriptions, selection, action) : { targets: [], skipped: [] };
+  const tracking = action === 'ship' ? assignTracking(targets, parseTrackingList(trackingText)) : null;
+
+  return (
+    <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-4 mb-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <p className="text-sm font-medium text-indigo-900 mr-2">
+          {selectedCount} subscription{selectedCount === 1 ? '' : 's'}{fulfillmentCount > 0 && `, ${fulfillmentCount} fulfillment${fulfillmentCount === 1 ? '' : 's'}`} selected
+        </p>
+        {actions.map(key => {
+          const Icon = ACTION_ICONS[key];
+          return <button key={key} onClick={() => setAction(key)} aria-pressed={action === key} className={`${buttonClass} ${action === key ? 'ring-2 ring-indigo-500' : ''}`}><Icon size={16} className="mr-1" />{BATCH_ACTIONS[key].label}</button>;
+        })}
+        <button onClick={finish} className="ml-auto text-indigo-700 hover:text-indigo-900" aria-label="Clear selection"><X size={18} /></button>
+      </div>
+      <p className="text-xs text-indigo-800">Shift-click pipeline icons to pick single fulfillments instead of whole rows.</p>
+
+      {action && action !== 'export' && skipped.length > 0 && (
+        <p className="text-sm text-gray-600">{skipped.length} selected item{skipped.length === 1 ? ' does' : 's do'} not apply and will be skipped.</p>
+      )}
+
+      {action === 'ship' && (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-700">Paste one tracking number per line, in the order listed. Fulfillments with a bought label ship with its number.</p>
+          <textarea value={trackingText} onChange={(e) => setTrackingText(e.target.value)} rows={5} aria-label="Tracking numbers" className={`${inputClass} font-mono`} />
+          <table className="min-w-full text-sm">
+            <tbody>
+              {tracking.assignments.map(({ sub, fulfillment, tracking: number, problem }) => (
+                <tr key={fulfillment.id} className="border-t border-indigo-100">
+                  <td className="py-1 pr-4">{describeItem({ sub, fulfillment })}</td>
+                  <td className={`py-1 font-mono ${problem && number ? 'text-red-600' : 'text-gray-700'}`}>
+                    {number || '-'}{number && (problem ? <span className="ml-2 font-sans">{problem}</span> : <span className="ml-2 font-sans text-gray-500">{CARRIERS[detectCarrier(number)].label}{fulfillment.label && ', label'}</span>)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {tracking.problem && <p className="text-sm text-red-600">{tracking.problem}</p>}
+          <button
+            onClick={() => runBatch('ship', { targets: tracking.assignments, skipped }, item => onShip(item, item.tracking))}
+            disabled={targets.length === 0 || !!tracking.problem || tracking.assignments.some(a => a.problem)}
+            className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-40"
+          >Ship {targets.length}</button>
+        </div>
+      )}
+
+      {action === 'intake' && (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-700">Sends the intake request by SMS, or by email when there is no phone number, and moves each fulfillment to Intake Sent.</p>
+          <button onClick={() => runBatch('intake', { targets, skipped }, onSendIntake)} disabled={targets.length === 0} className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-40">Send {targets.length}</button>
+        </div>
+      )}
+
+      {action === 'hold' && (
+        <div className="flex space-x-2">
+          <input type="text" value={holdReason} onChange={(e) => setHoldReason(e.target.value)} placeholder="Reason, e.g. awaiting insurance..." className={inputClass} />
+          <button onClick={() => runBatch('hold', { targets, skipped }, ({ sub }) => onHold(sub, holdReason))} disabled={targets.length === 0 || !holdReason.trim()} className="bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800 disabled:opacity-40 whitespace-nowrap">Hold {targets.length}</button>
+        </div>
+      )}
+
+      {action === 'export' && (
+        <div className="flex space-x-2">
+          <button onClick={() => onExport(targets.map(({ sub }) => sub), 'csv')} className={buttonClass}><Download size={16} className="mr-1" />CSV</button>
+          <button onClick={() => onExport(targets.map(({ sub }) => sub), 'xlsx')} className={buttonClass}><Download size={16} className="mr-1" />XLSX</button>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { Phone, Mail, AlertTriangle } from 'lucide-react';
+import { formatDate } from './dates';
+import { formatPhone, formatAddress } from './validation';
+import { DEFAULT_FILTERS } from './subscriptionFilters';
+import { CALL_OUTCOMES, sortCallQueue, isCallDue, needsNewNumber, lastCallAttempt, daysUntilNextFulfillment } from './callQueue';
+import { ConflictError } from './store/errors';
+
+// More than a day's worth of calls; the rest show up as these are worked off.
+const CALL_QUEUE_LIMIT = 200;
+
+const inputClass = 'px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+const describeNextFulfillment = (sub) => {
+  const days = daysUntilNextFulfillment(sub);
+  if (days === null) return 'No upcoming fulfillment';
+  if (days < 0) return `Fulfillment ${-days} day${days === -1 ? '' : 's'} overdue`;
+  if (days === 0) return 'Fulfillment due today';
+  return `Fulfillment due in ${days} day${days === 1 ? '' : 's'}`;
+};
+
+const CallOutcomeForm = ({ sub, onLogCall }) => {
+  const [outcome, setOutcome] = useState('reached');
+  const [notes, setNotes] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const handleLog = async () => {
+    setActionError(null);
+    setIsSaving(true);
+    try {
+      await onLogCall(sub.id, outcome, notes);
+      setNotes('');
+    } catch (e) {
+      if (e instanceof ConflictError) {
+        setActionError(e.message);
+      } else {
+        console.error('Logging the call failed: ', e);
+        setActionError('Could not log the call. Check the patient\'s log and try again.');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2">
+        <select value={outcome} onChange={(e) => setOutcome(e.target.value)} aria-label="Call outcome" className={inputClass}>
+          {Object.entries(CALL_OUTCOMES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <input type="text" value={notes} onChange={(e) => setNotes(e.target.value)} placeholder="Notes..." className={`${inputClass} flex-grow`} />
+        <button onClick={handleLog} disabled={isSaving} className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-40">Log Call</button>
+      </div>
+      {actionError && <p className="text-sm text-yellow-800">{actionError}</p>}
+    </div>
+  );
+};
+
+// Patients flagged "New RX - Call Patient", most urgent first, with an outcome form per patient.
+export const CallQueueView = ({ store, onLogCall, canLogCalls }) => {
+  const [subscriptions, setSubscriptions] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const options = { filters: { ...DEFAULT_FILTERS, newRxCall: true }, pageSize: CALL_QUEUE_LIMIT, cursor: null };
+    const unsubscribe = store.subscribePage(options, ({ subscriptions: loaded }) => setSubscriptions(loaded), (err) => {
+      console.error("Call Queue Error: ", err);
+      setError("Failed to load the call queue.");
+    });
+    return () => unsubscribe();
+  }, [store]);
+
+  if (error) return <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4 rounded-md" role="alert"><p>{error}</p></div>;
+  if (!subscriptions) return <div className="text-center py-10"><p>Loading call queue...</p></div>;
+
+  const queue = sortCallQueue(subscriptions);
+  const dueCount = queue.filter(sub => isCallDue(sub)).length;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">{dueCount} of {queue.length} patient{queue.length === 1 ? '' : 's'} to call now.</p>
+      {queue.length === 0 && (
+        <div className="bg-white shadow rounded-lg text-center py-12 px-6"><Phone size={48} className="mx-auto text-gray-300"/><h3 className="mt-2 text-sm font-medium text-gray-900">No patients to call</h3></div>
+      )}
+      {queue.map(sub => {
+        const last = lastCallAttempt(sub);
+        const due = isCallDue(sub);
+        return (
+          <div key={sub.id} className={`bg-white shadow rounded-lg p-4 space-y-3 ${due ? 'border-l-4 border-red-500' : 'opacity-75'}`}>
+            <div className="flex flex-wrap justify-between gap-4">
+              <div>
+                <p className="font-medium text-gray-900">{sub.patientName}{sub.patient?.mrn && <span className="ml-2 text-xs font-mono text-gray-400">{sub.patient.mrn}</span>}</p>
+                <p className="text-sm text-gray-500">{[sub.drugName, sub.strength].filter(Boolean).join(' ')} · {describeNextFulfillment(sub)}</p>
+                {sub.prescriber?.name && <p className="text-sm text-gray-500">Prescriber: {sub.prescriber.name}</p>}
+              </div>
+              <div className="text-sm text-right space-y-1">
+                {sub.patient?.phone
+                  ? <a href={`tel:${sub.patient.phone}`} className="flex items-center justify-end text-indigo-600 hover:underline font-medium"><Phone size={14} className="mr-1" />{formatPhone(sub.patient.phone)}</a>
+                  : <p className="text-red-600">No phone number on file</p>}
+                {sub.patient?.email && <a href={`mailto:${sub.patient.email}`} className="flex items-center justify-end text-gray-600 hover:underline"><Mail size={14} className="mr-1" />{sub.patient.email}</a>}
+                {formatAddress(sub.shippingAddress) && <p className="text-gray-500">{formatAddress(sub.shippingAddress)}</p>}
+              </div>
+            </div>
+            <div className="text-sm text-gray-600">
+              {last
+                ? <>Last call {formatDate(last.date)} by {last.actor}: {CALL_OUTCOMES[last.outcome].label}{last.notes && ` (${last.notes})`}. {(sub.callAttempts || []).length} attempt{(sub.callAttempts || []).length === 1 ? '' : 's'} so far.</>
+                : 'Not called yet.'}
+              {!due && !needsNewNumber(sub) && sub.nextCallDate && <span className="ml-1">Next attempt {formatDate(sub.nextCallDate)}.</span>}
+              {needsNewNumber(sub) && <span className="ml-1 inline-flex items-center text-red-600"><AlertTriangle size={14} className="mr-1" />Update the phone number before calling again.</span>}
+            </div>
+            {canLogCalls && <CallOutcomeForm sub={sub} onLogCall={onLogCall} />}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
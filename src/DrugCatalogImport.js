@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { Upload, AlertTriangle } from 'lucide-react';
+import { parseNdcFile, isScheduleII } from './drugCatalog';
+
+const MAX_LISTED_PROBLEMS = 20;
+
+// Loads an NDC file into the drug catalog. Entries with an NDC already in the catalog replace
+// it; nothing is written before the import button is pressed.
+export const DrugCatalogImport = ({ catalog, onImport, onCancel }) => {
+  const [file, setFile] = useState(null);
+  const [readError, setReadError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    setReadError(null);
+    setFile(null);
+    if (!selected) return;
+    try {
+      setFile({ name: selected.name, ...parseNdcFile(await selected.text()) });
+    } catch (err) {
+      console.error("Error reading NDC file: ", err);
+      setReadError('Could not read the file. Use a CSV or the tab-delimited NDC directory text file.');
+    }
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      await onImport(file.name, file.entries);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const known = new Set(catalog.map(entry => entry.ndc));
+  const replaced = file ? file.entries.filter(entry => known.has(entry.ndc)).length : 0;
+  const scheduleII = file ? file.entries.filter(entry => isScheduleII(entry.schedule)).length : 0;
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">The catalog has {catalog.length} product{catalog.length === 1 ? '' : 's'}. New subscriptions pick their drug from it by NDC.</p>
+      <div>
+        <label htmlFor="ndcFile" className="block text-sm font-medium text-gray-700">NDC file</label>
+        <input id="ndcFile" type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFile} className="mt-1 block w-full text-sm text-gray-700" />
+        <p className="mt-1 text-xs text-gray-500">One package per row with a header row: NDC, name and strength, optionally generic name, dosage form, package size and DEA schedule. The FDA NDC directory column names work as they are.</p>
+        {readError && <p className="mt-2 text-sm text-red-600">{readError}</p>}
+      </div>
+
+      {file && (
+        <div className="space-y-2 text-sm">
+          <p className="text-gray-700">
+            {file.entries.length} product{file.entries.length === 1 ? '' : 's'} ready: {file.entries.length - replaced} new, {replaced} replacing catalog entries{scheduleII > 0 && `, ${scheduleII} Schedule II`}.
+          </p>
+          {file.problems.length > 0 && (
+            <div>
+              <p className="font-medium text-red-700 flex items-center"><AlertTriangle size={14} className="mr-1" />{file.problems.length} row{file.problems.length === 1 ? ' is' : 's are'} skipped:</p>
+              <ul className="text-red-700 max-h-40 overflow-y-auto">
+                {file.problems.slice(0, MAX_LISTED_PROBLEMS).map(problem => <li key={problem.rowNumber}>Row {problem.rowNumber}: {problem.message}</li>)}
+                {file.problems.length > MAX_LISTED_PROBLEMS && <li>...and {file.problems.length - MAX_LISTED_PROBLEMS} more.</li>}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-3 pt-4">
+        <button type="button" onClick={onCancel} className="bg-white py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50">Cancel</button>
+        <button type="button" onClick={handleImport} disabled={!file || file.entries.length === 0 || isImporting} className="inline-flex items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-40">
+          <Upload size={16} className="mr-2" />{isImporting ? 'Importing...' : `Import ${file ? file.entries.length : 0} product${file?.entries.length === 1 ? '' : 's'}`}
+        </button>
+      </div>
+    </div>
+  );
+};
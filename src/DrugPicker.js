@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Search } from 'lucide-react';
+import { describeDrug, describePackage, describeDeaSchedule, isScheduleII, searchCatalog } from './drugCatalog';
+
+// Autocomplete over the drug catalog for SubscriptionForm (and InventoryView). `values` are the
+// form values; the picked entry goes to onSelect, which copies its details onto the form.
+export const DrugPicker = ({ catalog, values, error, onSelect, id = 'drugSearch', label = 'Drug', className = '' }) => {
+  const [query, setQuery] = useState('');
+  const matches = searchCatalog(catalog, query);
+  const picked = catalog.find(entry => entry.ndc === values.ndc) || null;
+
+  const select = (entry) => {
+    onSelect(entry);
+    setQuery('');
+  };
+
+  return (
+    <div className={className}>
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700">{label}</label>
+      {values.ndc ? (
+        <div className="mt-1 text-sm text-gray-900">
+          <span className="font-medium">{[values.drugName, values.strength, values.dosageForm].filter(Boolean).join(' ')}</span>
+          <span className="ml-2 font-mono text-xs text-gray-500">NDC {values.ndc}</span>
+          {picked && describePackage(picked) && <span className="ml-2 text-xs text-gray-500">Package of {describePackage(picked)}</span>}
+          {values.deaSchedule && <span className={`ml-2 px-1.5 text-xs font-semibold rounded ${isScheduleII(values.deaSchedule) ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}>{describeDeaSchedule(values.deaSchedule)}</span>}
+        </div>
+      ) : values.drugName && (
+        <p className="mt-1 text-sm text-gray-600">{[values.drugName, values.strength].filter(Boolean).join(' ')} is not linked to the catalog yet. Choose its catalog entry below.</p>
+      )}
+      <div className="relative mt-1">
+        <Search size={16} className="absolute left-3 top-2.5 text-gray-400" />
+        <input
+          type="text"
+          id={id}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={values.ndc ? 'Search to change the drug...' : 'Search by name or NDC...'}
+          autoComplete="off"
+          aria-invalid={!!error}
+          className={`block w-full pl-9 pr-3 py-2 bg-white border rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm ${error ? 'border-red-500' : 'border-gray-300'}`}
+        />
+        {query && (
+          <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto" role="listbox" aria-label="Matching drugs">
+            {matches.length === 0 && <li className="px-3 py-2 text-sm text-gray-500">{catalog.length === 0 ? 'The drug catalog is empty. Import an NDC file first.' : 'No catalog entry matches.'}</li>}
+            {matches.map(entry => (
+              <li key={entry.ndc} role="option" aria-selected={entry.ndc === values.ndc}>
+                <button type="button" onClick={() => select(entry)} className="w-full text-left px-3 py-2 text-sm hover:bg-indigo-50">
+                  {describeDrug(entry)}
+                  <span className="ml-2 font-mono text-xs text-gray-500">{entry.ndc}</span>
+                  {describePackage(entry) && <span className="ml-2 text-xs text-gray-500">{describePackage(entry)}</span>}
+                  {entry.schedule && <span className="ml-2 text-xs font-semibold text-red-700">{describeDeaSchedule(entry.schedule)}</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
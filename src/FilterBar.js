@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Search, Bookmark, Trash2, X } from 'lucide-react';
+import { DEFAULT_FILTERS, BUILT_IN_VIEWS, isDefaultFilters, filtersToSearch, filtersFromSearch } from './subscriptionFilters';
+import { PHYSICIAN_STATUSES } from './approvals';
+
+const SAVED_VIEWS_KEY = 'prescription-dashboard:saved-views';
+
+const inputClass = 'px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+const loadSavedViews = () => {
+  try {
+    // Views saved before a filter existed get its default value.
+    const views = JSON.parse(window.localStorage.getItem(SAVED_VIEWS_KEY)) || [];
+    return views.map(view => ({ ...view, filters: { ...DEFAULT_FILTERS, ...view.filters } }));
+  } catch (e) {
+    return [];
+  }
+};
+
+const persistSavedViews = (views) => {
+  window.localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(views));
+};
+
+// Keeps the filters in the query string, so a filtered table can be bookmarked or shared and
+// the browser's back button steps through earlier filters.
+export const useUrlFilters = () => {
+  const [filters, setFilters] = useState(() => filtersFromSearch(window.location.search));
+
+  useEffect(() => {
+    const handlePopState = () => setFilters(filtersFromSearch(window.location.search));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const updateFilters = useCallback((next) => {
+    setFilters(next);
+    const search = filtersToSearch(next);
+    if (search === window.location.search) return;
+    // Typing in the search box replaces the entry instead of adding one per keystroke.
+    const previous = filtersFromSearch(window.location.search);
+    const onlySearchChanged = filtersToSearch({ ...previous, q: next.q }) === search;
+    const url = `${window.location.pathname}${search}`;
+    if (onlySearchChanged) window.history.replaceState(null, '', url);
+    else window.history.pushState(null, '', url);
+  }, []);
+
+  return [filters, updateFilters];
+};
+
+export const FilterBar = ({ filters, onChange, statusOptions, fulfillmentStatusOptions }) => {
+  const [savedViews, setSavedViews] = useState(loadSavedViews);
+  const views = [...BUILT_IN_VIEWS, ...savedViews];
+  const activeView = views.find(v => filtersToSearch(v.filters) === filtersToSearch(filters));
+
+  const set = (name, value) => onChange({ ...filters, [name]: value });
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    set(name, type === 'checkbox' ? checked : value);
+  };
+
+  const handleSaveView = () => {
+    const name = window.prompt('Name this view:');
+    if (!name || !name.trim()) return;
+    const next = [...savedViews.filter(v => v.name !== name.trim()), { name: name.trim(), filters }];
+    setSavedViews(next);
+    persistSavedViews(next);
+  };
+
+  const handleDeleteView = (name) => {
+    const next = savedViews.filter(v => v.name !== name);
+    setSavedViews(next);
+    persistSavedViews(next);
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 mb-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="relative flex-grow min-w-[14rem]">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input type="search" name="q" value={filters.q} onChange={handleChange} placeholder="Search patient, MRN or drug..." className={`${inputClass} w-full pl-9`} />
+        </div>
+        <select name="status" value={filters.status} onChange={handleChange} className={inputClass} aria-label="Overall status">
+          <option value="">Any overall status</option>
+          {statusOptions.map(s => <option key={s}>{s}</option>)}
+        </select>
+        <select name="fulfillmentStatus" value={filters.fulfillmentStatus} onChange={handleChange} className={inputClass} aria-label="Fulfillment status">
+          <option value="">Any fulfillment status</option>
+          {fulfillmentStatusOptions.map(s => <option key={s}>{s}</option>)}
+        </select>
+        <select name="physicianStatus" value={filters.physicianStatus} onChange={handleChange} className={inputClass} aria-label="Physician status">
+          <option value="">Any physician status</option>
+          {PHYSICIAN_STATUSES.map(s => <option key={s}>{s}</option>)}
+        </select>
+        <select name="due" value={filters.due} onChange={handleChange} className={inputClass} aria-label="Due">
+          <option value="">Any due date</option>
+          <option value="today">Due today or earlier</option>
+          <option value="pastDue">Past due</option>
+        </select>
+        <label className="flex items-center text-sm text-gray-700">
+          <input type="checkbox" name="newRxCall" checked={filters.newRxCall} onChange={handleChange} className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500" />
+          New RX - Call Patient
+        </label>
+        <label className="flex items-center text-sm text-gray-700">
+          <input type="checkbox" name="renewalNeeded" checked={filters.renewalNeeded} onChange={handleChange} className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500" />
+          Needs RX renewal
+        </label>
+        <label className="flex items-center text-sm text-gray-700">
+          <input type="checkbox" name="archived" checked={filters.archived} onChange={handleChange} className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500" />
+          Archived
+        </label>
+        {!isDefaultFilters(filters) && (
+          <button onClick={() => onChange(DEFAULT_FILTERS)} className="text-sm text-gray-500 hover:text-gray-800 flex items-center"><X size={16} className="mr-1" />Clear</button>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-gray-500">Views:</span>
+        {views.map(view => (
+          <span key={view.name} className={`inline-flex items-center rounded-full border px-3 py-0.5 ${activeView === view ? 'bg-indigo-600 border-indigo-600 text-white' : 'border-gray-300 text-gray-700 hover:bg-gray-100'}`}>
+            <button onClick={() => onChange({ ...DEFAULT_FILTERS, ...view.filters })}>{view.name}</button>
+            {savedViews.includes(view) && (
+              <button onClick={() => handleDeleteView(view.name)} className="ml-1.5 opacity-60 hover:opacity-100" aria-label={`Delete view ${view.name}`}><Trash2 size={12} /></button>
+            )}
+          </span>
+        ))}
+        {!isDefaultFilters(filters) && !activeView && (
+          <button onClick={handleSaveView} className="inline-flex items-center text-indigo-600 hover:text-indigo-800"><Bookmark size={14} className="mr-1" />Save view</button>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Boxes, AlertTriangle } from 'lucide-react';
+import { describeDrug, findDrug } from './drugCatalog';
+import { DrugPicker } from './DrugPicker';
+import { InventoryError, isShort, describeLastChange } from './inventory';
+
+const inputClass = 'px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+const ADJUSTMENTS = {
+  receive: 'Receive',
+  count: 'Count',
+};
+
+// Receiving adds to the stock; a count replaces it. Untracked drugs start with a count.
+const StockForm = ({ ndc, isTracked, onAdjust }) => {
+  const [kind, setKind] = useState(isTracked ? 'receive' : 'count');
+  const [quantity, setQuantity] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [savedMessage, setSavedMessage] = useState(null);
+
+  const handleSave = async () => {
+    setActionError(null);
+    setSavedMessage(null);
+    setIsSaving(true);
+    try {
+      const message = await onAdjust(ndc, kind, quantity);
+      if (message) {
+        setQuantity('');
+        setSavedMessage(message);
+      }
+    } catch (e) {
+      if (e instanceof InventoryError) {
+        setActionError(e.message);
+      } else {
+        console.error('Stock change failed: ', e);
+        setActionError('Could not save the stock change. Check the stock on hand and try again.');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-end space-x-2">
+        <select value={kind} onChange={(e) => setKind(e.target.value)} aria-label="Adjustment" className={inputClass}>
+          {Object.entries(ADJUSTMENTS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <input type="number" min="0" value={quantity} onChange={(e) => setQuantity(e.target.value)} aria-label="Quantity" className={`${inputClass} w-24`} />
+        <button onClick={handleSave} disabled={isSaving || quantity === ''} className="bg-indigo-600 text-white px-3 py-2 rounded-md text-sm hover:bg-indigo-700 disabled:opacity-40">Save</button>
+      </div>
+      {actionError && <p className="mt-1 text-xs text-red-600 text-right">{actionError}</p>}
+      {savedMessage && <p className="mt-1 text-xs text-green-700 text-right">{savedMessage}</p>}
+    </div>
+  );
+};
+
+// Stock on hand against the fulfillments reserving it. `levels` is App's stockLevels map; the
+// handler is App's, resolving to a message once saved and throwing InventoryErrors for the form.
+export const InventoryView = ({ levels, catalog, days, canManage, onAdjust }) => {
+  const [addedNdcs, setAddedNdcs] = useState([]);
+
+  const rows = [
+    ...levels.values(),
+    ...addedNdcs.filter(ndc => !levels.has(ndc)).map(ndc => ({ ndc, item: null, onHand: null, reserved: 0, available: null, shortIds: [] })),
+  ].map(level => ({ ...level, entry: findDrug(catalog, level.ndc) }));
+  const rank = (level) => (isShort(level) ? 0 : level.item ? 2 : 1);
+  rows.sort((a, b) => (rank(a) - rank(b)) || (a.entry ? describeDrug(a.entry) : a.ndc).localeCompare(b.entry ? describeDrug(b.entry) : b.ndc));
+  const shortCount = rows.filter(isShort).length;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Open fulfillments due in the next {days} days reserve their quantity.{shortCount > 0 && <span className="ml-1 font-medium text-amber-800">{shortCount} drug{shortCount === 1 ? ' is' : 's are'} short.</span>}
+      </p>
+
+      {canManage && (
+        <div className="bg-white shadow rounded-lg p-4">
+          <DrugPicker id="inventoryDrugSearch" label="Track a Drug" catalog={catalog} values={{}} onSelect={(entry) => setAddedNdcs(prev => (prev.includes(entry.ndc) ? prev : [...prev, entry.ndc]))} />
+        </div>
+      )}
+
+      {rows.length === 0 ? (
+        <div className="bg-white shadow rounded-lg text-center py-12 px-6"><Boxes size={48} className="mx-auto text-gray-300"/><h3 className="mt-2 text-sm font-medium text-gray-900">No stock tracked yet</h3><p className="mt-1 text-sm text-gray-500">Drugs show up here once they are counted or have fulfillments coming up.</p></div>
+      ) : (
+        <div className="bg-white shadow-xl rounded-lg overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Drug</th>
+                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">On Hand</th>
+                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Reserved</th>
+                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Available</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Change</th>
+                {canManage && <th scope="col" className="px-6 py-3" />}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rows.map(level => (
+                <tr key={level.ndc} className={isShort(level) ? 'bg-amber-50' : ''}>
+                  <td className="px-6 py-4 text-sm">
+                    <div className="font-medium text-gray-900 flex items-center">
+                      {isShort(level) && <AlertTriangle size={16} className="mr-1.5 text-amber-600" />}
+                      {level.entry ? describeDrug(level.entry) : 'Not in the catalog'}
+                    </div>
+                    <div className="font-mono text-xs text-gray-500">{level.ndc}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-right">{level.item ? level.onHand : <span className="text-gray-400">Not tracked</span>}</td>
+                  <td className="px-6 py-4 text-sm text-right">{level.reserved}</td>
+                  <td className={`px-6 py-4 text-sm text-right ${level.available < 0 ? 'text-red-600 font-bold' : ''}`}>{level.item ? level.available : '-'}</td>
+                  <td className="px-6 py-4 text-xs text-gray-500">{level.item && describeLastChange(level.item)}</td>
+                  {canManage && <td className="px-6 py-4"><StockForm ndc={level.ndc} isTracked={!!level.item} onAdjust={onAdjust} /></td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X } from 'lucide-react';
+import { toCalendarDay, parseCalendarDay, toIsoDay, addDays, formatDate } from './dates';
+import { computeMetrics } from './metrics';
+
+const inputClass = 'px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+const RANGE_PRESETS = [7, 30, 90];
+
+const lastDays = (days, now = new Date()) => {
+  const to = toCalendarDay(now);
+  return { from: toIsoDay(addDays(to, -(days - 1))), to: toIsoDay(to) };
+};
+
+// Keeps the per-day chart readable.
+const MAX_RANGE_DAYS = 366;
+
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const checkRange = ({ from, to }) => {
+  if (!isDay(from) || !isDay(to)) return 'Pick a start and end date.';
+  if (parseCalendarDay(from) > parseCalendarDay(to)) return 'The start date must be before the end date.';
+  if (addDays(parseCalendarDay(from), MAX_RANGE_DAYS) <= parseCalendarDay(to)) return `Pick a range of at most ${MAX_RANGE_DAYS} days.`;
+  return null;
+};
+
+const formatDays = (days) => (days === null ? '—' : `${days.toFixed(1)} days`);
+
+const formatRatio = (ratio) => (ratio === null ? '—' : `${Math.round(ratio * 100)}%`);
+
+const StatCard = ({ label, value, detail, onClick }) => (
+  <button type="button" onClick={onClick} className="text-left bg-white shadow rounded-lg p-4 hover:ring-2 hover:ring-indigo-300">
+    <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</p>
+    <p className="mt-1 text-2xl font-bold text-gray-900">{value}</p>
+    {detail && <p className="mt-1 text-xs text-gray-500">{detail}</p>}
+  </button>
+);
+
+// Vertical bars scaled to the tallest one; `bars` are { key, label, items }.
+const BarChart = ({ title, bars, onSelect, barClass = 'bg-indigo-500' }) => {
+  const max = Math.max(1, ...bars.map(bar => bar.items.length));
+  return (
+    <div className="bg-white shadow rounded-lg p-4">
+      <h4 className="text-sm font-semibold text-gray-900 uppercase tracking-wider mb-3">{title}</h4>
+      <div className="flex items-end h-40 space-x-1 border-b border-gray-200">
+        {bars.map(bar => (
+          <button
+            key={bar.key}
+            type="button"
+            title={`${bar.label}: ${bar.items.length}`}
+            onClick={() => onSelect(bar.label, bar.items)}
+            className={`flex-1 min-w-[2px] rounded-t ${barClass} hover:opacity-75`}
+            style={{ height: `${(bar.items.length / max) * 100}%` }}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between mt-1 text-xs text-gray-500">
+        <span>{bars[0]?.label}</span>
+        {bars.length > 1 && <span>{bars[bars.length - 1].label}</span>}
+      </div>
+    </div>
+  );
+};
+
+// Labelled horizontal bars, for a handful of buckets.
+const BucketChart = ({ title, buckets, onSelect, barClass }) => {
+  const max = Math.max(1, ...buckets.map(bucket => bucket.items.length));
+  return (
+    <div className="bg-white shadow rounded-lg p-4">
+      <h4 className="text-sm font-semibold text-gray-900 uppercase tracking-wider mb-3">{title}</h4>
+      <div className="space-y-2">
+        {buckets.map(bucket => (
+          <button key={bucket.label} type="button" onClick={() => onSelect(`${title}: ${bucket.label}`, bucket.items)} className="w-full flex items-center text-sm group">
+            <span className="w-24 text-left text-gray-600">{bucket.label}</span>
+            <span className="flex-1 bg-gray-100 rounded h-4 mx-2">
+              <span className={`block h-4 rounded ${barClass} group-hover:opacity-75`} style={{ width: `${(bucket.items.length / max) * 100}%` }} />
+            </span>
+            <span className="w-8 text-right font-medium text-gray-900">{bucket.items.length}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const DrillDown = ({ selection, onClose, onOpenSubscription }) => (
+  <div className="bg-white shadow rounded-lg p-4">
+    <div className="flex justify-between items-center mb-3">
+      <h4 className="text-sm font-semibold text-gray-900 uppercase tracking-wider">{selection.title} ({selection.items.length})</h4>
+      <button onClick={onClose} className="text-gray-400 hover:text-gray-700"><X size={18} /></button>
+    </div>
+    {selection.items.length === 0 ? <p className="text-sm text-gray-500">Nothing here.</p> : (
+      <div className="max-h-80 overflow-y-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr className="text-left text-xs text-gray-500 uppercase tracking-wider">
+              <th className="px-3 py-2 font-medium">Patient</th>
+              <th className="px-3 py-2 font-medium">Drug</th>
+              <th className="px-3 py-2 font-medium">Fulfillment</th>
+              <th className="px-3 py-2 font-medium">Date</th>
+              <th className="px-3 py-2 font-medium">Status</th>
+              <th className="px-3 py-2 font-medium">Days</th>
+            </tr>
+          </thead>
+          <tbody>
+            {selection.items.map(({ sub, fulfillment, date, days }) => (
+              <tr key={`${sub.id}-${fulfillment?.id || ''}`} className="border-t">
+                <td className="px-3 py-2">
+                  <button onClick={() => onOpenSubscription(sub)} className="text-indigo-600 hover:underline">{sub.patientName}</button>
+                  {sub.patient?.mrn && <span className="ml-1 text-xs text-gray-500">{sub.patient.mrn}</span>}
+                </td>
+                <td className="px-3 py-2">{[sub.drugName, sub.strength].filter(Boolean).join(' ')}</td>
+                <td className="px-3 py-2 font-mono text-xs">{fulfillment?.id || '—'}</td>
+                <td className="px-3 py-2">{date ? formatDate(date) : '—'}</td>
+                <td className="px-3 py-2">{fulfillment ? fulfillment.status : (sub.hold || 'Active')}</td>
+                <td className="px-3 py-2">{days === undefined ? '—' : days.toFixed(days % 1 === 0 ? 0 : 1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
+// Operations metrics over a date range, computed from the whole collection. Every card and bar
+// opens the subscriptions behind it; `onOpenSubscription` shows one of them in the table.
+export const MetricsView = ({ store, onOpenSubscription }) => {
+  const [subscriptions, setSubscriptions] = useState(null);
+  const [error, setError] = useState(null);
+  const [range, setRange] = useState(() => lastDays(7));
+  const [selection, setSelection] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = store.subscribe(setSubscriptions, (err) => {
+      console.error("Metrics Data Error: ", err);
+      setError("Failed to load metrics data.");
+    });
+    return () => unsubscribe();
+  }, [store]);
+
+  const rangeError = checkRange(range);
+  const metrics = useMemo(() => (
+    subscriptions && !checkRange(range)
+      ? computeMetrics(subscriptions, { from: parseCalendarDay(range.from), to: parseCalendarDay(range.to) })
+      : null
+  ), [subscriptions, range]);
+
+  const select = (title, items) => setSelection({ title, items });
+
+  if (error) return <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4 rounded-md" role="alert"><p>{error}</p></div>;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white shadow rounded-lg p-4 flex flex-wrap items-end gap-3">
+        <div>
+          <label htmlFor="metricsFrom" className="block text-xs font-medium text-gray-500">From</label>
+          <input id="metricsFrom" type="date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="metricsTo" className="block text-xs font-medium text-gray-500">To</label>
+          <input id="metricsTo" type="date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} className={inputClass} />
+        </div>
+        {RANGE_PRESETS.map(days => (
+          <button key={days} type="button" onClick={() => setRange(lastDays(days))} className="py-2 px-3 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50">Last {days} days</button>
+        ))}
+        {rangeError && <p className="text-sm text-red-600">{rangeError}</p>}
+      </div>
+
+      {!metrics ? (!rangeError && <div className="text-center py-10"><p>Loading metrics...</p></div>) : (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <StatCard label="Shipments" value={metrics.shipments.length} detail={`${(metrics.shipments.length / metrics.shipmentsPerDay.length).toFixed(1)} per day`} onClick={() => select('Shipments', metrics.shipments)} />
+            <StatCard label="Intake to RX" value={formatDays(metrics.averageIntakeToRxDays)} detail={`Average over ${metrics.intakeToRx.length} prescriptions received`} onClick={() => select('Intake to RX', metrics.intakeToRx)} />
+            <StatCard label="Past Due" value={metrics.pastDue.length} detail="Open fulfillments past their date, as of today" onClick={() => select('Past due', metrics.pastDue)} />
+            <StatCard label="On Hold / Active" value={formatRatio(metrics.holdRatio)} detail={`${metrics.onHold.length} on hold, ${metrics.active.length} active, as of today`} onClick={() => select('On hold', metrics.onHold)} />
+          </div>
+
+          <BarChart
+            title="Shipments per Day"
+            bars={metrics.shipmentsPerDay.map(({ day, items }) => ({ key: toIsoDay(day), label: formatDate(day), items }))}
+            onSelect={(label, items) => select(`Shipped ${label}`, items)}
+          />
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <BucketChart title="Intake to RX" buckets={metrics.intakeToRxBuckets} onSelect={select} barClass="bg-teal-500" />
+            <BucketChart title="Days Past Due" buckets={metrics.pastDueBuckets} onSelect={select} barClass="bg-red-500" />
+            <BucketChart
+              title="Subscriptions"
+              buckets={[{ label: 'Active', items: metrics.active }, { label: 'On Hold', items: metrics.onHold }]}
+              onSelect={select}
+              barClass="bg-yellow-500"
+            />
+          </div>
+
+          {selection && <DrillDown selection={selection} onClose={() => setSelection(null)} onOpenSubscription={onOpenSubscription} />}
+        </>
+      )}
+    </div>
+  );
+};
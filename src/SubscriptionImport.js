@@ -0,0 +1,118 @@
+import React, { useState, useMemo } from 'react';
+import { Upload, AlertTriangle, CheckCircle } from 'lucide-react';
+import { parseCsv } from './csv';
+import { IMPORT_FIELDS, guessMapping, previewImport } from './subscriptionTransfer';
+
+const selectClass = 'block w-full px-2 py-1 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm';
+
+// Bulk CSV import: pick a file, map its columns, review every row's validation result, then
+// create the valid rows. Nothing is written before the final button is pressed.
+export const SubscriptionImport = ({ catalog, onImport, onCancel }) => {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [readError, setReadError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const preview = useMemo(() => (file ? previewImport(file.rows, mapping, catalog) : []), [file, mapping, catalog]);
+  const validRows = preview.filter(row => row.errors.length === 0);
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    setReadError(null);
+    setFile(null);
+    if (!selected) return;
+    try {
+      const rows = parseCsv(await selected.text());
+      if (rows.length < 2) {
+        setReadError('The file needs a header row and at least one data row.');
+        return;
+      }
+      setFile({ name: selected.name, rows });
+      setMapping(guessMapping(rows[0]));
+    } catch (err) {
+      console.error("Error reading import file: ", err);
+      setReadError('Could not read the file. Save it as CSV (comma delimited) and try again.');
+    }
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      await onImport(file.name, validRows);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <label htmlFor="importFile" className="block text-sm font-medium text-gray-700">CSV file</label>
+        <input id="importFile" type="file" accept=".csv,text/csv" onChange={handleFile} className="mt-1 block w-full text-sm text-gray-700" />
+        <p className="mt-1 text-xs text-gray-500">One subscription per row, with a header row. Drugs are matched to the catalog by NDC. Dates may be YYYY-MM-DD or M/D/YYYY.</p>
+        {readError && <p className="mt-2 text-sm text-red-600">{readError}</p>}
+      </div>
+
+      {file && (
+        <>
+          <fieldset className="space-y-2">
+            <legend className="text-sm font-semibold text-gray-900 uppercase tracking-wider">Columns</legend>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+              {IMPORT_FIELDS.map(({ key, label }) => (
+                <label key={key} className="flex items-center justify-between text-sm text-gray-700">
+                  <span className="mr-3 whitespace-nowrap">{label}</span>
+                  <select value={mapping[key]} onChange={(e) => setMapping({ ...mapping, [key]: e.target.value === '' ? '' : Number(e.target.value) })} className={`${selectClass} max-w-[12rem]`}>
+                    <option value="">(not in file)</option>
+                    {file.rows[0].map((header, index) => <option key={index} value={index}>{header || `Column ${index + 1}`}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <div className="space-y-2">
+            <h4 className="text-sm font-semibold text-gray-900 uppercase tracking-wider">Preview</h4>
+            <p className="text-sm text-gray-600">{validRows.length} of {preview.length} rows are ready to import. Rows with errors are skipped; fix them in the file and import it again.</p>
+            <div className="max-h-72 overflow-y-auto border rounded-md">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr className="text-left text-xs text-gray-500 uppercase tracking-wider">
+                    <th className="px-3 py-2 font-medium">Row</th>
+                    <th className="px-3 py-2 font-medium">Patient</th>
+                    <th className="px-3 py-2 font-medium">Drug</th>
+                    <th className="px-3 py-2 font-medium">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map(row => (
+                    <tr key={row.rowNumber} className={`border-t align-top ${row.errors.length > 0 ? 'bg-red-50' : ''}`}>
+                      <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                      <td className="px-3 py-2">{row.values.patientName}</td>
+                      <td className="px-3 py-2">{[row.values.drugName, row.values.strength].filter(Boolean).join(' ')}</td>
+                      <td className="px-3 py-2">
+                        {row.errors.length === 0
+                          ? <span className="flex items-center text-green-700"><CheckCircle size={14} className="mr-1" />Ready</span>
+                          : (
+                            <ul className="text-red-700 space-y-0.5">
+                              {row.errors.map(message => <li key={message} className="flex items-start"><AlertTriangle size={14} className="mr-1 mt-0.5 flex-shrink-0" />{message}</li>)}
+                            </ul>
+                          )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="flex justify-end space-x-3 pt-4">
+        <button type="button" onClick={onCancel} className="bg-white py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50">Cancel</button>
+        <button type="button" onClick={handleImport} disabled={validRows.length === 0 || isImporting} className="inline-flex items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-40">
+          <Upload size={16} className="mr-2" />{isImporting ? 'Importing...' : `Import ${validRows.length} row${validRows.length === 1 ? '' : 's'}`}
+        </button>
+      </div>
+    </div>
+  );
+};
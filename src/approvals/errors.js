@@ -0,0 +1,7 @@
+// Raised when an approval request cannot be sent or a decision cannot be recorded.
+export class ApprovalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApprovalError';
+  }
+}
@@ -0,0 +1,25 @@
+import { ApprovalError } from './errors';
+
+// Asks the send-approval-request function, which holds the fax and email credentials, to send
+// the request. Only the subscription and channel go over the wire: the function builds the request
+// again from the stored subscription and returns it as sent. `getIdToken` returns the signed-in
+// user's Firebase ID token; the function checks their role.
+export const createHttpApprovalSender = ({ getIdToken, endpoint = '/.netlify/functions/send-approval-request' }) => ({
+  kind: 'http',
+
+  async send(request) {
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${await getIdToken()}` },
+        body: JSON.stringify({ subscriptionId: request.subscriptionId, channel: request.channel }),
+      });
+    } catch (e) {
+      throw new ApprovalError('Could not reach the approval service. Check the connection and try again.');
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new ApprovalError(body.error || `The approval request could not be sent (HTTP ${response.status}).`);
+    return { id: body.id, request: body.request };
+  },
+});
@@ -0,0 +1,26 @@
+import { providerSelection } from '../providerSelection';
+import { createStubApprovalSender } from './stubSender';
+import { createHttpApprovalSender } from './httpSender';
+
+// --- Approval Sender Selection ---
+// Every sender exposes send(request) -> { id, request? }, where request comes from approvalRequest
+// in requests.js, and throws an ApprovalError when the request is rejected. Senders that build
+// the request on the server return the request they actually sent.
+// REACT_APP_APPROVAL_SENDER chooses it ("stub" or "http"), as providerSelection.js describes; on
+// Firestore "http" sends through the send-approval-request function.
+const selection = providerSelection({
+  name: 'approval sender',
+  envVar: 'REACT_APP_APPROVAL_SENDER',
+  standIn: 'stub',
+  factories: {
+    stub: () => createStubApprovalSender(),
+    http: ({ getIdToken }) => createHttpApprovalSender({ getIdToken }),
+  },
+});
+
+export const resolveApprovalSenderKind = selection.resolveKind;
+export const createApprovalSender = selection.create;
+
+export { createStubApprovalSender, createHttpApprovalSender };
+export { ApprovalError } from './errors';
+export * from './requests';
@@ -0,0 +1,166 @@
+import { formatDate } from '../dates';
+import { formatPhone } from '../validation';
+import { describeSchedule } from '../schedule';
+import { escapeHtml, tableRow as row } from '../html';
+import { ApprovalError } from './errors';
+
+// --- Physician Approval ---
+// `physicianStatus` is 'Pending' until a request goes to the prescriber, 'Requested' while we
+// wait for the answer, then 'Approved' or 'Denied' once a pharmacist records it. Fulfillments
+// only ship from an approved subscription (fulfillmentMachine.js). The history is kept beside it:
+//   approval { requests: [{ date, channel, to, id, actor, actorId }], statusDates: { <status>: Date },
+//              note, decidedBy, decidedById, escalatedAt }
+// A request left unanswered for the escalation window is escalated once by the
+// escalate-approvals job, which puts the subscription on top of the table as Action Required.
+// Sending a follow-up request starts the window again.
+
+export const PHYSICIAN_STATUSES = ['Pending', 'Requested', 'Approved', 'Denied'];
+
+export const APPROVAL_CHANNELS = {
+  fax: 'Fax',
+  email: 'Email',
+};
+
+export const DEFAULT_ESCALATION_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMPTY_APPROVAL = { requests: [], statusDates: {}, note: '', decidedBy: null, decidedById: null, escalatedAt: null };
+
+export const approvalOf = (sub) => ({ ...EMPTY_APPROVAL, ...sub.approval });
+
+const recipientFor = (sub, channel) => (channel === 'fax' ? sub.prescriber?.fax : sub.prescriber?.email) || '';
+
+export const availableApprovalChannels = (sub) => Object.keys(APPROVAL_CHANNELS).filter(channel => recipientFor(sub, channel));
+
+export const describeSentRequest = (request) => (
+  `Approval request ${request.channel === 'fax' ? 'faxed' : 'emailed'} to ${request.prescriberName || 'the prescriber'} at ${request.channel === 'fax' ? formatPhone(request.to) : request.to}.`
+);
+
+// Whole days since the latest request went out, or null when none is awaiting an answer.
+export const daysAwaiting = (sub, now = new Date()) => {
+  const requestedAt = approvalOf(sub).statusDates.Requested;
+  return sub.physicianStatus === 'Requested' && requestedAt ? Math.floor((now - requestedAt) / DAY_MS) : null;
+};
+
+// --- Request Documents ---
+
+const requestLines = (sub) => [
+  ['Patient', sub.patientName],
+  ['Date of Birth', sub.patient?.dob],
+  ['Medication', [sub.drugName, sub.strength].filter(Boolean).join(' ')],
+  ['Quantity', sub.quantity && `${sub.quantity} (${sub.daysSupply}-day supply)`],
+  ['Schedule', describeSchedule(sub)],
+  ['RX Number', sub.prescription?.rxNumber],
+  ['Prescriber', sub.prescriber?.name && `${sub.prescriber.name} (NPI ${sub.prescriber.npi})`],
+];
+
+const requestHtml = (sub, subject, now) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(subject)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #111; margin: 2rem; }
+  h1 { font-size: 1.4rem; margin: 0 0 0.25rem; }
+  .muted { color: #555; font-size: 0.85rem; }
+  table { border-collapse: collapse; width: 100%; margin-top: 1rem; }
+  th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #ccc; }
+  th { width: 35%; color: #333; }
+  .answer { margin-top: 2rem; line-height: 2.2; }
+  @media print { body { margin: 0.5in; } }
+</style>
+</head>
+<body>
+<h1>Refill Authorization Request</h1>
+<p class="muted">Sent ${escapeHtml(formatDate(now))}</p>
+<p>Please review the recurring prescription below and let us know whether we may continue to fill it.</p>
+<table>
+  ${requestLines(sub).map(([label, value]) => row(label, value)).join('\n  ')}
+</table>
+<div class="answer">
+  &#9744; Approved &nbsp;&nbsp; &#9744; Denied<br>
+  Reason or changes: ______________________________________________<br>
+  Prescriber signature: ______________________________ Date: ____________
+</div>
+</body>
+</html>`;
+
+// The request for `channel`: { subscriptionId, channel, to, prescriberName, subject, body, html }.
+// Fax senders transmit the printable `html`; email senders send `subject` and `body`.
+// Throws an ApprovalError when no request should go out.
+export const approvalRequest = (sub, channel, now = new Date()) => {
+  if (sub.physicianStatus === 'Approved') throw new ApprovalError('The physician has already approved this subscription.');
+  if (!APPROVAL_CHANNELS[channel]) throw new ApprovalError(`Unknown channel "${channel}".`);
+  const to = recipientFor(sub, channel);
+  if (!to) throw new ApprovalError(`The prescriber has no ${APPROVAL_CHANNELS[channel].toLowerCase()} on file.`);
+
+  const subject = `Refill authorization request: ${sub.patientName} (${[sub.drugName, sub.strength].filter(Boolean).join(' ')})`;
+  const lines = requestLines(sub).filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`);
+  const body = [
+    `Dear ${sub.prescriber?.name || 'Prescriber'},`,
+    'Please review the recurring prescription below and let us know whether we may continue to fill it.',
+    lines.join('\n'),
+    'Reply APPROVED or DENIED, with a reason or any changes.\n\nThank you.',
+  ].join('\n\n');
+  return { subscriptionId: sub.id, channel, to, prescriberName: sub.prescriber?.name || null, subject, body, html: requestHtml(sub, subject, now) };
+};
+
+// --- Planners ---
+// Like the schedule planners, these return { changes, message } or throw an ApprovalError.
+// `actor` is { actor, actorId } (permissions.actorFor).
+
+export const planApprovalRequest = (sub, request, sent, actor, now = new Date()) => {
+  if (sub.physicianStatus === 'Approved') throw new ApprovalError('The physician approved this subscription while the request was being sent.');
+  const approval = approvalOf(sub);
+  return {
+    changes: {
+      physicianStatus: 'Requested',
+      approval: {
+        ...approval,
+        requests: [...approval.requests, { date: now, channel: request.channel, to: request.to, id: sent.id || null, actor: actor.actor, actorId: actor.actorId || null }],
+        statusDates: { ...approval.statusDates, Requested: now },
+        escalatedAt: null,
+      },
+    },
+    message: describeSentRequest(request),
+  };
+};
+
+// `decision` is 'Approved' or 'Denied'; a denial needs the prescriber's reason.
+export const planApprovalDecision = (sub, decision, note, actor, now = new Date()) => {
+  if (decision !== 'Approved' && decision !== 'Denied') throw new ApprovalError(`Unknown decision "${decision}".`);
+  if (sub.physicianStatus === decision) throw new ApprovalError(`The physician status is already ${decision}.`);
+  if (decision === 'Denied' && !note.trim()) throw new ApprovalError('Record the reason the prescriber gave for denying.');
+  const approval = approvalOf(sub);
+  const suffix = note.trim() ? ` Note: ${note.trim()}` : '';
+  return {
+    changes: {
+      physicianStatus: decision,
+      approval: {
+        ...approval,
+        statusDates: { ...approval.statusDates, [decision]: now },
+        note: note.trim(),
+        decidedBy: actor.actor,
+        decidedById: actor.actorId || null,
+        escalatedAt: null,
+      },
+    },
+    message: `${decision === 'Approved' ? 'Physician approval recorded.' : 'Physician denied the refill request.'}${suffix}`,
+  };
+};
+
+export const isEscalationDue = (sub, days = DEFAULT_ESCALATION_DAYS, now = new Date()) => {
+  if (sub.archive || sub.physicianStatus !== 'Requested') return false;
+  const approval = approvalOf(sub);
+  return !approval.escalatedAt && daysAwaiting(sub, now) >= days;
+};
+
+export const planEscalation = (sub, days, now = new Date()) => {
+  if (!isEscalationDue(sub, days, now)) throw new ApprovalError('This approval request is not due for escalation.');
+  const approval = approvalOf(sub);
+  return {
+    changes: { approval: { ...approval, escalatedAt: now } },
+    message: `No answer from the prescriber ${daysAwaiting(sub, now)} days after the approval request. Escalated for follow-up.`,
+  };
+};
@@ -0,0 +1,20 @@
+import { defaultStorage } from '../browserStorage';
+
+// Stand-in sender for development and training: no fax or email leaves the machine. Requests are
+// written to the console and, when `storage` is available, kept in an outbox there so they can be
+// inspected later (localStorage key "prescription-dashboard:approval-outbox").
+const OUTBOX_KEY = 'prescription-dashboard:approval-outbox';
+
+export const createStubApprovalSender = ({ storage = defaultStorage(), outboxKey = OUTBOX_KEY } = {}) => ({
+  kind: 'stub',
+
+  async send(request) {
+    const { html, ...sent } = { id: `apr-${Date.now().toString(36)}`, sentAt: new Date().toISOString(), ...request };
+    console.info(`[approvals] ${request.channel} to ${request.to} "${request.subject}"\n${request.body}`);
+    if (storage) {
+      const outbox = JSON.parse(storage.getItem(outboxKey) || '[]');
+      storage.setItem(outboxKey, JSON.stringify([...outbox, sent]));
+    }
+    return { id: sent.id };
+  },
+});
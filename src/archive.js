@@ -0,0 +1,55 @@
+import { formatDate } from './dates';
+import { computeWorkflowStatus } from './derivedFields';
+import { CLOSED_FULFILLMENT_STATUSES } from './fulfillments';
+
+// --- Archive ---
+// Patient records must be retained, so subscriptions are archived instead of deleted:
+//   archive { date, reason, actor, actorId } | null
+// Archived subscriptions drop out of the table and are read-only until an admin restores them
+// from the Archived view. Fulfilled ones are archived automatically once the retention window
+// has passed (netlify/functions/archive-fulfilled.js).
+
+export const DEFAULT_RETENTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+export const isArchived = (sub) => !!sub.archive;
+
+// Like the schedule planners, these return { changes, message } or throw an ArchiveError.
+// `actor` is { actor, actorId } (permissions.actorFor), or { actor: 'System' } for the job.
+export const planArchive = (sub, reason, actor, now = new Date()) => {
+  if (isArchived(sub)) throw new ArchiveError('This subscription is already archived.');
+  if (!reason.trim()) throw new ArchiveError('A reason is required to archive a subscription.');
+  return {
+    changes: { archive: { date: now, reason: reason.trim(), actor: actor.actor, actorId: actor.actorId || null } },
+    message: `Subscription archived. Reason: ${reason.trim()}`,
+  };
+};
+
+export const planRestore = (sub) => {
+  if (!isArchived(sub)) throw new ArchiveError('This subscription is not archived.');
+  return {
+    changes: { archive: null },
+    message: `Subscription restored from the archive (archived ${formatDate(sub.archive.date)}: ${sub.archive.reason}).`,
+  };
+};
+
+// When the last fulfillment was closed, falling back to its date for fulfillments closed before
+// status times were recorded.
+export const fulfilledAt = (sub) => sub.fulfillments
+  .filter(f => CLOSED_FULFILLMENT_STATUSES.includes(f.status))
+  .map(f => f.statusDates?.[f.status] || f.fulfillmentDate)
+  .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+export const isDueForArchive = (sub, retentionDays = DEFAULT_RETENTION_DAYS, now = new Date()) => {
+  if (isArchived(sub) || computeWorkflowStatus(sub) !== 'Fulfilled') return false;
+  const closedAt = fulfilledAt(sub);
+  return !!closedAt && now - closedAt >= retentionDays * DAY_MS;
+};
@@ -0,0 +1,89 @@
+import { formatDate } from './dates';
+import { formatPhone } from './validation';
+import { APPROVAL_CHANNELS } from './approvals/requests';
+
+// --- Audit Trail ---
+// Structured, append-only record of every change to a subscription, kept apart from the
+// free-text communication log. Stores compute the events by diffing the stored document against
+// what they are about to write, so no caller can forget to record one:
+//   { at, actor, actorId, source, reference, action, fulfillmentId, field, from, to }
+// `action` is 'create' or 'update'; update events carry one field each, with
+// `fulfillmentId` set for fulfillment fields. The backfill-derived-fields job also writes one
+// 'recompute' event listing the fields it rewrote in `to`. `source` is where the change came from.
+
+export const AUDIT_SOURCES = {
+  ui: 'Dashboard',
+  import: 'CSV import',
+  webhook: 'Pharmacy webhook',
+  schedule: 'Scheduled job',
+  backfill: 'Backfill',
+};
+
+const SUBSCRIPTION_FIELDS = [
+  'patientName', 'patient', 'shippingAddress', 'prescriber', 'ndc', 'drugName', 'strength', 'dosageForm', 'deaSchedule', 'quantity', 'daysSupply',
+  'prescription', 'physicianStatus', 'approval', 'hold', 'holdReason', 'pausedAt', 'newRxCall', 'startDate', 'cadence', 'duration',
+  'autoRenew', 'archive',
+];
+
+const FULFILLMENT_FIELDS = ['fulfillmentDate', 'status', 'rxId', 'rxNumber', 'tracking', 'label', 'reason'];
+
+// Refills remaining is recomputed on every shipment; the shipment itself is what gets audited.
+const auditValue = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (field === 'prescription') {
+    const { refillsRemaining, ...rest } = value;
+    return rest;
+  }
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const fieldChanges = (fields, before, after, fulfillmentId = null) => fields.flatMap(field => {
+  const from = auditValue(field, before[field]);
+  const to = auditValue(field, after[field]);
+  return sameValue(from, to) ? [] : [{ action: 'update', fulfillmentId, field, from, to }];
+});
+
+// Fulfillments are matched by id; documents from before ids existed are matched by position.
+const fulfillmentChanges = (before, after) => {
+  const previous = new Map(before.map((f, i) => [f.id || after[i]?.id, f]));
+  return after.flatMap(f => fieldChanges(FULFILLMENT_FIELDS, previous.get(f.id) || {}, f, f.id));
+};
+
+// `meta` is { at, actor, actorId, source, reference }, shared by every event of one write.
+export const auditEvents = (before, after, meta) => {
+  const changes = before
+    ? [...fieldChanges(SUBSCRIPTION_FIELDS, before, after), ...fulfillmentChanges(before.fulfillments || [], after.fulfillments || [])]
+    : [{ action: 'create', fulfillmentId: null, field: null, from: null, to: null }];
+  return changes.map(change => ({ reference: null, ...meta, ...change }));
+};
+
+// --- Display ---
+
+const describeObject = (value) => Object.entries(value)
+  .filter(([, v]) => v !== null && v !== '' && v !== undefined)
+  .map(([key, v]) => `${key}: ${describeAuditValue(v)}`)
+  .join(', ');
+
+export const describeAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return describeObject(value) || '—';
+  return String(value);
+};
+
+// The approval history (approvals/requests.js) grows with every request, so its events show what
+// this change added rather than the whole object.
+export const describeApprovalChange = (from, to) => {
+  const before = { requests: [], statusDates: {}, ...from };
+  const after = { requests: [], statusDates: {}, ...to };
+  const parts = after.requests.slice(before.requests.length).map(request => (
+    `${APPROVAL_CHANNELS[request.channel] || request.channel} request to ${request.channel === 'fax' ? formatPhone(request.to) : request.to} sent by ${request.actor}`
+  ));
+  if (after.escalatedAt && !sameValue(after.escalatedAt, before.escalatedAt)) parts.push(`escalated ${formatDate(after.escalatedAt)}`);
+  const decision = ['Approved', 'Denied'].find(status => after.statusDates[status] && !sameValue(after.statusDates[status], before.statusDates[status]));
+  if (decision) parts.push(`${decision} recorded by ${after.decidedBy || 'unknown'}${after.note ? `: ${after.note}` : ''}`);
+  return parts.length > 0 ? parts.join('; ') : describeAuditValue(to);
+};
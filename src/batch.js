@@ -0,0 +1,92 @@
+import { can } from './permissions';
+import { sortByDate } from './fulfillments';
+import { isArchived } from './archive';
+import { trackingProblem } from './carriers/carriers';
+
+// --- Batch Operations ---
+// The table selection is { subscriptionIds, fulfillmentIds }: whole rows, and single pipeline
+// icons picked with shift-click. Each action works out its targets from the selection; selected
+// icons take precedence over their row. Targets are run one at a time through the same
+// handlers as the single-item modals, so every guard and conflict check still applies.
+
+export const EMPTY_SELECTION = { subscriptionIds: [], fulfillmentIds: [] };
+
+export const BATCH_ACTIONS = {
+  ship: { label: 'Mark as Shipped', permission: 'shipFulfillment' },
+  intake: { label: 'Send Intake', permission: 'sendOutreach' },
+  hold: { label: 'Put on Hold', permission: 'manageSchedule' },
+  export: { label: 'Export', permission: 'exportSubscriptions' },
+};
+
+export const batchActionsFor = (user) => Object.keys(BATCH_ACTIONS).filter(key => can(user, BATCH_ACTIONS[key].permission));
+
+export const toggleSelected = (ids, id) => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]);
+
+// Subscriptions on the page with their row or any of their fulfillments selected.
+export const selectedSubscriptions = (subs, selection) => subs.filter(sub => (
+  selection.subscriptionIds.includes(sub.id) || sub.fulfillments.some(f => selection.fulfillmentIds.includes(f.id))
+));
+
+// The fulfillments of `sub` an action considers: its selected icons, or for a row selected as a
+// whole, what `fromRow` picks.
+const candidatesOf = (sub, selection, fromRow) => {
+  const picked = sortByDate(sub.fulfillments).filter(f => selection.fulfillmentIds.includes(f.id));
+  if (picked.length > 0) return picked;
+  return selection.subscriptionIds.includes(sub.id) ? fromRow(sub) : [];
+};
+
+const fulfillmentTargets = (subs, selection, status, fromRow) => {
+  const targets = [];
+  const skipped = [];
+  selectedSubscriptions(subs, selection).forEach(sub => candidatesOf(sub, selection, fromRow).forEach(fulfillment => {
+    if (isArchived(sub)) skipped.push({ sub, fulfillment, message: 'Archived.' });
+    else if (fulfillment.status !== status) skipped.push({ sub, fulfillment, message: `${fulfillment.status}, not ${status}.` });
+    else targets.push({ sub, fulfillment });
+  }));
+  return { targets, skipped };
+};
+
+// Returns { targets, skipped }: targets are { sub, fulfillment } for fulfillment actions and
+// { sub, fulfillment: null } for subscription actions; skipped ones also carry a `message`.
+export const batchTargets = (subs, selection, action) => {
+  switch (action) {
+    case 'ship':
+      return fulfillmentTargets(subs, selection, 'RX Received', sub => sub.fulfillments.filter(f => f.status === 'RX Received'));
+    case 'intake':
+      // A whole row sends intake for its next scheduled fill only.
+      return fulfillmentTargets(subs, selection, 'Scheduled', sub => sortByDate(sub.fulfillments).filter(f => f.status === 'Scheduled').slice(0, 1));
+    case 'hold': {
+      const selected = selectedSubscriptions(subs, selection).map(sub => ({ sub, fulfillment: null }));
+      return {
+        targets: selected.filter(({ sub }) => !sub.hold && !isArchived(sub)),
+        skipped: selected.filter(({ sub }) => sub.hold || isArchived(sub)).map(item => ({ ...item, message: isArchived(item.sub) ? 'Archived.' : `Already ${item.sub.hold}.` })),
+      };
+    }
+    case 'export':
+      return { targets: selectedSubscriptions(subs, selection).map(sub => ({ sub, fulfillment: null })), skipped: [] };
+    default:
+      throw new Error(`Unknown batch action "${action}".`);
+  }
+};
+
+// --- Tracking Lists ---
+// Tracking numbers pasted one per line (blank lines and surrounding spaces ignored). Targets that
+// already have a bought label ship with it; the pasted numbers go, in order, to the rest.
+
+export const parseTrackingList = (text) => text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+// Returns { assignments: [{ sub, fulfillment, tracking, problem }], problem }, where the overall
+// problem is a count mismatch and each assignment's is an invalid number.
+export const assignTracking = (targets, numbers) => {
+  const needNumbers = targets.filter(({ fulfillment }) => !fulfillment.label);
+  let next = 0;
+  const assignments = targets.map(({ sub, fulfillment }) => {
+    const tracking = fulfillment.label ? fulfillment.label.trackingNumber : (numbers[next++] || '');
+    return { sub, fulfillment, tracking, problem: trackingProblem(tracking) };
+  });
+  let problem = null;
+  if (numbers.length !== needNumbers.length) {
+    problem = `${needNumbers.length} fulfillment${needNumbers.length === 1 ? ' needs' : 's need'} a tracking number, but ${numbers.length} ${numbers.length === 1 ? 'was' : 'were'} pasted.`;
+  }
+  return { assignments, problem };
+};
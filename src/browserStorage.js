@@ -0,0 +1,3 @@
+// localStorage where there is one, for the local store and the stand-in outboxes; null on the
+// server (Netlify functions), so those keep everything in memory.
+export const defaultStorage = () => (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
@@ -0,0 +1,71 @@
+import { addDays, toCalendarDay, formatDate } from './dates';
+import { getNextActionableDate } from './fulfillments';
+import { NO_NEXT_ACTION } from './derivedFields';
+import { ConflictError } from './store/errors';
+
+// --- New RX Call Queue ---
+// Subscriptions flagged `newRxCall` need a call to the patient. Each call is recorded with its
+// outcome; outcomes that do not finish the call schedule the next attempt:
+//   callAttempts [{ date, outcome, notes, phone, actor, actorId }], nextCallDate (calendar day) | null
+// `phone` is the number that was dialled, so a wrong number is retried once it has been updated.
+// The flag clears itself once the patient is reached or declines.
+
+export const CALL_OUTCOMES = {
+  reached: { label: 'Reached', done: true },
+  voicemail: { label: 'Left voicemail', done: false },
+  wrongNumber: { label: 'Wrong number', done: false },
+  declined: { label: 'Declined', done: true },
+};
+
+// Days until the next attempt after the 1st, 2nd, 3rd... unanswered call.
+const FOLLOW_UP_DAYS = [1, 2, 3];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const attemptsOf = (sub) => sub.callAttempts || [];
+
+export const lastCallAttempt = (sub) => attemptsOf(sub)[attemptsOf(sub).length - 1] || null;
+
+export const needsNewNumber = (sub) => lastCallAttempt(sub)?.outcome === 'wrongNumber' && lastCallAttempt(sub).phone === (sub.patient?.phone || null);
+
+export const isCallDue = (sub, now = new Date()) => (
+  !needsNewNumber(sub) && (!sub.nextCallDate || sub.nextCallDate <= toCalendarDay(now))
+);
+
+// Calls that are due come first, then the ones waiting on a follow-up date, then wrong numbers;
+// within each group the subscription whose next fulfillment is soonest comes first.
+export const sortCallQueue = (subs, now = new Date()) => {
+  const group = (sub) => (needsNewNumber(sub) ? 2 : (isCallDue(sub, now) ? 0 : 1));
+  const nextDate = (sub) => getNextActionableDate(sub) || NO_NEXT_ACTION;
+  return subs
+    .filter(sub => sub.newRxCall)
+    .sort((a, b) => (group(a) - group(b)) || (nextDate(a) - nextDate(b)));
+};
+
+export const daysUntilNextFulfillment = (sub, now = new Date()) => {
+  const nextDate = getNextActionableDate(sub);
+  return nextDate ? Math.round((toCalendarDay(nextDate) - toCalendarDay(now)) / DAY_MS) : null;
+};
+
+// Returns { changes, message } like the schedule planners. Throws a ConflictError when someone
+// else has already finished the call.
+export const planCallOutcome = (sub, outcome, notes, actor, now = new Date()) => {
+  if (!sub.newRxCall) throw new ConflictError('This patient has already been called and taken off the queue.');
+  const { label, done } = CALL_OUTCOMES[outcome];
+  const attempts = [...attemptsOf(sub), { date: now, outcome, notes: notes.trim(), phone: sub.patient?.phone || null, ...actor }];
+  const unanswered = attempts.filter(a => a.outcome === 'voicemail').length;
+
+  let nextCallDate = null;
+  let followUp = '';
+  if (outcome === 'voicemail') {
+    nextCallDate = addDays(toCalendarDay(now), FOLLOW_UP_DAYS[Math.min(unanswered, FOLLOW_UP_DAYS.length) - 1]);
+    followUp = ` Next attempt ${formatDate(nextCallDate)}.`;
+  } else if (outcome === 'wrongNumber') {
+    followUp = ' Update the phone number to call again.';
+  }
+
+  return {
+    changes: { newRxCall: !done, callAttempts: attempts, nextCallDate },
+    message: `Call ${attempts.length}: ${label}.${notes.trim() ? ` ${notes.trim()}` : ''}${done ? ' Removed from the call queue.' : followUp}`,
+  };
+};
@@ -0,0 +1,69 @@
+import { parseCalendarDay, toIsoDay } from './dates';
+import { ConflictError } from './store/errors';
+import { isCallDue, needsNewNumber, planCallOutcome, sortCallQueue } from './callQueue';
+
+const NOW = new Date(2026, 9, 18, 9);
+const ACTOR = { actor: 'Pat', actorId: 'u1' };
+
+const subscriptionWith = (overrides = {}) => ({
+  id: 'sub-1',
+  newRxCall: true,
+  patient: { phone: '5125550100' },
+  callAttempts: [],
+  nextCallDate: null,
+  fulfillments: [{ id: 'sub-1-1', fulfillmentDate: parseCalendarDay('2026-10-25'), status: 'Scheduled' }],
+  ...overrides,
+});
+
+const attempt = (outcome, phone = '5125550100') => ({ date: NOW, outcome, notes: '', phone, ...ACTOR });
+
+describe('planCallOutcome', () => {
+  test('a voicemail schedules the next attempt further out each time', () => {
+    const first = planCallOutcome(subscriptionWith(), 'voicemail', '', ACTOR, NOW);
+    expect(toIsoDay(first.changes.nextCallDate)).toBe('2026-10-19');
+    expect(first.changes.newRxCall).toBe(true);
+
+    const third = planCallOutcome(subscriptionWith({ callAttempts: [attempt('voicemail'), attempt('voicemail')] }), 'voicemail', '', ACTOR, NOW);
+    expect(toIsoDay(third.changes.nextCallDate)).toBe('2026-10-21');
+    const fourth = planCallOutcome(subscriptionWith({ callAttempts: [attempt('voicemail'), attempt('voicemail'), attempt('voicemail')] }), 'voicemail', '', ACTOR, NOW);
+    expect(toIsoDay(fourth.changes.nextCallDate)).toBe('2026-10-21');
+  });
+
+  test('reaching the patient takes them off the queue', () => {
+    const { changes, message } = planCallOutcome(subscriptionWith(), 'reached', ' Confirmed address ', ACTOR, NOW);
+    expect(changes).toMatchObject({ newRxCall: false, nextCallDate: null });
+    expect(changes.callAttempts).toEqual([{ date: NOW, outcome: 'reached', notes: 'Confirmed address', phone: '5125550100', ...ACTOR }]);
+    expect(message).toBe('Call 1: Reached. Confirmed address Removed from the call queue.');
+  });
+
+  test('a wrong number waits for a new one', () => {
+    const { changes, message } = planCallOutcome(subscriptionWith(), 'wrongNumber', '', ACTOR, NOW);
+    expect(changes).toMatchObject({ newRxCall: true, nextCallDate: null });
+    expect(message).toBe('Call 1: Wrong number. Update the phone number to call again.');
+  });
+
+  test('someone else finishing the call first is a conflict', () => {
+    expect(() => planCallOutcome(subscriptionWith({ newRxCall: false }), 'reached', '', ACTOR, NOW)).toThrow(ConflictError);
+  });
+});
+
+describe('call queue order', () => {
+  test('a wrong number is retried once the phone number changes', () => {
+    const wrong = subscriptionWith({ callAttempts: [attempt('wrongNumber')] });
+    expect(needsNewNumber(wrong)).toBe(true);
+    expect(isCallDue(wrong, NOW)).toBe(false);
+    expect(needsNewNumber({ ...wrong, patient: { phone: '5125550199' } })).toBe(false);
+  });
+
+  test('due calls come first, then follow-ups, then wrong numbers, soonest fulfillment first', () => {
+    const later = (id, isoDate, overrides) => subscriptionWith({ id, fulfillments: [{ id: `${id}-1`, fulfillmentDate: parseCalendarDay(isoDate), status: 'Scheduled' }], ...overrides });
+    const subs = [
+      later('wrong', '2026-10-19', { callAttempts: [attempt('wrongNumber')] }),
+      later('followUp', '2026-10-19', { nextCallDate: parseCalendarDay('2026-10-20') }),
+      later('dueLater', '2026-11-01'),
+      later('notFlagged', '2026-10-19', { newRxCall: false }),
+      later('dueSoon', '2026-10-20'),
+    ];
+    expect(sortCallQueue(subs, NOW).map(sub => sub.id)).toEqual(['dueSoon', 'dueLater', 'followUp', 'wrong']);
+  });
+});
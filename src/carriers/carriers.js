@@ -0,0 +1,46 @@
+// --- Carriers ---
+// Tracking number formats and tracking pages for the carriers we ship with. Numbers are stored
+// normalized (no spaces or dashes, upper case) together with the detected carrier key.
+// Some formats overlap (FedEx SmartPost and USPS both issue 20-22 digit numbers), so patterns
+// are tried in order and the first match wins.
+
+export const CARRIERS = {
+  ups: {
+    label: 'UPS',
+    patterns: [/^1Z[0-9A-Z]{16}$/],
+    trackingUrl: (number) => `https://www.ups.com/track?tracknum=${number}`,
+  },
+  fedex: {
+    label: 'FedEx',
+    patterns: [/^\d{12}$/, /^\d{15}$/, /^96\d{20}$/],
+    trackingUrl: (number) => `https://www.fedex.com/fedextrack/?trknbr=${number}`,
+  },
+  usps: {
+    label: 'USPS',
+    patterns: [/^9[2-5]\d{18,20}$/, /^[A-Z]{2}\d{9}US$/],
+    trackingUrl: (number) => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${number}`,
+  },
+};
+
+export const normalizeTrackingNumber = (value) => (value || '').replace(/[\s-]/g, '').toUpperCase();
+
+// The carrier key for a tracking number, or null when it matches no known format.
+export const detectCarrier = (value) => {
+  const number = normalizeTrackingNumber(value);
+  return Object.keys(CARRIERS).find(key => CARRIERS[key].patterns.some(pattern => pattern.test(number))) || null;
+};
+
+// Why a tracking number cannot be used, or null when it can.
+export const trackingProblem = (value) => {
+  if (!normalizeTrackingNumber(value)) return 'A tracking number is required to ship.';
+  if (!detectCarrier(value)) return 'The tracking number is not a valid UPS, USPS or FedEx number.';
+  return null;
+};
+
+// Fulfillments shipped before carriers were detected only have the number; detect it again.
+export const carrierOf = (fulfillment) => fulfillment.carrier || detectCarrier(fulfillment.tracking);
+
+export const trackingUrl = (fulfillment) => {
+  const carrier = carrierOf(fulfillment);
+  return carrier ? CARRIERS[carrier].trackingUrl(normalizeTrackingNumber(fulfillment.tracking)) : null;
+};
@@ -0,0 +1,7 @@
+// Raised when a carrier cannot report on a tracking number or has nothing new to report.
+export class CarrierError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CarrierError';
+  }
+}
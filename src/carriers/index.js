@@ -0,0 +1,19 @@
+import { createMockCarrierAdapter } from './mockAdapter';
+
+// --- Carrier Adapter Selection ---
+// Adapters implement track() as described in tracking.js. "mock" is the only one so far; a real
+// carrier API plugs in here, and runs in the track-shipments function where its credentials live.
+// The function reads CARRIER_ADAPTER; the local dashboard always uses the mock.
+export const createCarrierAdapter = (kind = 'mock') => {
+  switch (kind) {
+    case 'mock':
+      return createMockCarrierAdapter();
+    default:
+      throw new Error(`Unknown carrier adapter "${kind}". Use "mock".`);
+  }
+};
+
+export { createMockCarrierAdapter };
+export { CarrierError } from './errors';
+export * from './carriers';
+export * from './tracking';
@@ -0,0 +1,31 @@
+import { CARRIERS } from './carriers';
+import { CarrierError } from './errors';
+
+// Stand-in carrier for development and training: no carrier is contacted. Each package plays
+// out the same way, measured from when it shipped:
+//   in transit straight away, delivered after MOCK_DELIVERY_DAYS.
+// Numbers ending in 0 hit a delivery exception after a day and are delivered two days late, so
+// the exception workflow can be exercised locally.
+export const MOCK_DELIVERY_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hasException = (trackingNumber) => trackingNumber.endsWith('0');
+
+export const createMockCarrierAdapter = ({ now = () => new Date() } = {}) => ({
+  kind: 'mock',
+
+  async track({ carrier, trackingNumber, shippedAt }) {
+    if (!CARRIERS[carrier]) throw new CarrierError(`Unknown carrier "${carrier}".`);
+    const at = now();
+    const days = (at - shippedAt) / DAY_MS;
+
+    if (hasException(trackingNumber) && days >= 1 && days < MOCK_DELIVERY_DAYS + 2) {
+      return { status: 'exception', description: 'Delivery attempted, recipient not available. Held at the local facility.', at };
+    }
+    if (days >= (hasException(trackingNumber) ? MOCK_DELIVERY_DAYS + 2 : MOCK_DELIVERY_DAYS)) {
+      return { status: 'delivered', description: 'Delivered to the front door.', at };
+    }
+    return { status: 'in_transit', description: 'Departed the origin facility.', at };
+  },
+});
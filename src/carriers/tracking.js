@@ -0,0 +1,46 @@
+import { planTransition, describeTransition } from '../fulfillmentMachine';
+import { CARRIERS, carrierOf, normalizeTrackingNumber } from './carriers';
+import { CarrierError } from './errors';
+
+// --- Carrier Tracking ---
+// Carrier adapters report where a shipped fulfillment is. Every adapter exposes
+//   track({ carrier, trackingNumber, shippedAt }) -> { status, description, at }
+// where status is one of TRACKING_STATUSES, and throws a CarrierError when the carrier cannot
+// report on the number. The track-shipments function polls them for every fulfillment awaiting
+// delivery; the local dashboard asks from the fulfillment modal.
+
+// Adapter statuses and the fulfillment status each one moves to. A label that has not been
+// scanned yet leaves the fulfillment as Shipped.
+export const TRACKING_STATUSES = {
+  pre_transit: null,
+  in_transit: 'In Transit',
+  delivered: 'Delivered',
+  exception: 'Exception',
+};
+
+export const trackingRequest = (fulfillment) => ({
+  carrier: carrierOf(fulfillment),
+  trackingNumber: normalizeTrackingNumber(fulfillment.tracking),
+  shippedAt: fulfillment.statusDates?.Shipped || fulfillment.fulfillmentDate,
+});
+
+// Throws a CarrierError for fulfillments no carrier can be asked about.
+export const requireTrackable = (fulfillment) => {
+  const request = trackingRequest(fulfillment);
+  if (!request.carrier) throw new CarrierError(`"${fulfillment.tracking || 'No tracking number'}" is not a UPS, USPS or FedEx tracking number, so it cannot be tracked.`);
+  return request;
+};
+
+// Returns { changes, message } for the fulfillment, or null when the update does not change its
+// status. Throws a TransitionError when the fulfillment cannot take the update.
+export const planTrackingUpdate = (subscription, fulfillment, update, now = new Date()) => {
+  const to = TRACKING_STATUSES[update.status];
+  if (to === undefined) throw new CarrierError(`Unknown carrier status "${update.status}".`);
+  if (!to || to === fulfillment.status) return null;
+
+  const changes = planTransition(subscription, fulfillment, to, { reason: update.description }, now);
+  // The exception description is already the reason in the transition message.
+  const carrier = CARRIERS[carrierOf(fulfillment)].label;
+  const source = to === 'Exception' ? carrier : `${carrier}: ${update.description}`;
+  return { changes, message: `${describeTransition(fulfillment, changes)} (${source})` };
+};
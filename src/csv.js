@@ -0,0 +1,46 @@
+// --- CSV ---
+// RFC 4180: comma-separated, fields with commas, quotes or line breaks are quoted and quotes
+// inside them doubled. Both CRLF and LF line endings are accepted when parsing.
+
+// Returns an array of rows, each an array of strings. Blank lines are skipped.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => { row.push(field); field = ''; };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') inQuotes = true;
+    else if (char === ',') endField();
+    else if (char === '\n') endRow();
+    else if (char !== '\r') field += char;
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas, so exported text that
+// starts with one is prefixed with a quote.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const neutralizeFormula = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+const escapeCell = (value) => {
+  const text = neutralizeFormula(value === null || value === undefined ? '' : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
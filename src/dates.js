@@ -0,0 +1,33 @@
+// --- Date Helpers ---
+// Schedule dates are calendar days stored as 12:00 UTC on that day. Doing the arithmetic on the
+// UTC calendar fields gives the same answer on every machine and across DST changes, and noon
+// keeps the displayed day the same anywhere between UTC-11 and UTC+11.
+const calendarDay = (year, month, day) => new Date(Date.UTC(year, month, day, 12));
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// The local calendar day of `date`, e.g. today for `new Date()`.
+export const toCalendarDay = (date) => calendarDay(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const parseCalendarDay = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return calendarDay(year, month - 1, day);
+};
+
+export const toIsoDay = (day) => day.toISOString().slice(0, 10);
+
+export const addDays = (day, days) => calendarDay(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + days);
+
+// Lands on `dayOfMonth`, clamped to the length of the target month, so a schedule anchored on the
+// 31st goes Jan 31, Feb 28, Mar 31 rather than drifting into early March.
+export const addMonths = (day, months, dayOfMonth = day.getUTCDate()) => {
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth() + months;
+  return calendarDay(year, month, Math.min(dayOfMonth, daysInMonth(year, month)));
+};
+
+export const formatDate = (date) => {
+  if (!date) return 'N/A';
+  const d = date instanceof Date ? date : date.toDate();
+  return d.toLocaleDateString('en-US');
+};
@@ -0,0 +1,96 @@
+import { getNextActionableDate, isOpen } from './fulfillments';
+import { reconcilePrescription } from './prescriptions';
+
+// --- Derived Fields ---
+// Values computed from a subscription's fulfillments and names, stored on the document so the
+// table can be queried, ordered and paginated server-side. Every store write recomputes them.
+//
+// `status` is the workflow status and is never set by hand. Staff pause or stop a subscription
+// with the separate `hold` flag, which the table shows in place of the workflow status.
+
+// Stored as the next action date of completed subscriptions so they sort after everything else.
+export const NO_NEXT_ACTION = new Date('9999-12-31T00:00:00.000Z');
+
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 15;
+
+export const WORKFLOW_STATUSES = ['Pending', 'Approved', 'Active', 'Action Required', 'Fulfilled'];
+export const HOLD_STATUSES = ['On Hold', 'Cancelled'];
+
+// A delivery exception needs staff attention even when nothing is left to ship. So does a
+// prescriber's denial or an approval request escalated for going unanswered (approvals/).
+export const computeWorkflowStatus = (sub) => {
+  if (sub.fulfillments.some(f => f.status === 'Exception')) return 'Action Required';
+  if (!sub.fulfillments.some(isOpen)) return 'Fulfilled';
+  if (sub.fulfillments.some(f => f.status === 'RX Received')) return 'Action Required';
+  if (sub.physicianStatus === 'Denied' || (sub.physicianStatus === 'Requested' && sub.approval?.escalatedAt)) return 'Action Required';
+  if (sub.physicianStatus !== 'Approved') return 'Pending';
+  if (sub.fulfillments.every(f => f.status === 'Scheduled' || f.status === 'Skipped' || f.status === 'Cancelled')) return 'Approved';
+  return 'Active';
+};
+
+// Documents from before the hold flag existed stored "On Hold" as their status.
+const holdOf = (sub) => (sub.hold !== undefined ? sub.hold : (sub.status === 'On Hold' ? 'On Hold' : null));
+
+export const displayStatus = (sub) => sub.hold || sub.status;
+
+export const describeHoldChange = (previousHold, hold, reason) => {
+  const suffix = reason ? ` Reason: ${reason}` : '';
+  if (!hold) return `Hold released (was ${previousHold}).${suffix}`;
+  return `${hold === 'Cancelled' ? 'Subscription cancelled' : 'Subscription put on hold'}.${suffix}`;
+};
+
+// Lowercase word prefixes of the patient and drug names, for `array-contains` search queries.
+export const toSearchTerms = (...texts) => {
+  const terms = new Set();
+  texts.join(' ').toLowerCase().split(/[^a-z0-9]+/).forEach(word => {
+    for (let length = MIN_TERM_LENGTH; length <= Math.min(word.length, MAX_TERM_LENGTH); length++) {
+      terms.add(word.slice(0, length));
+    }
+  });
+  return [...terms];
+};
+
+// The one term a search box query is matched against on the server (its longest word); the
+// full query is still applied to the returned page on the client.
+export const searchTermFor = (q) => {
+  const words = q.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= MIN_TERM_LENGTH);
+  const longest = words.sort((a, b) => b.length - a.length)[0];
+  return longest ? longest.slice(0, MAX_TERM_LENGTH) : null;
+};
+
+export const deriveFields = (sub) => {
+  const fulfillments = sub.fulfillments || [];
+  const status = computeWorkflowStatus({ ...sub, fulfillments });
+  const hold = holdOf(sub);
+  return {
+    status,
+    hold,
+    sortPriority: status === 'Action Required' && !hold ? 0 : 1,
+    nextActionDate: getNextActionableDate({ fulfillments }) || NO_NEXT_ACTION,
+    fulfillmentStatuses: [...new Set(fulfillments.map(f => f.status))],
+    renewalNeeded: fulfillments.some(f => isOpen(f) && !!f.renewalNeeded),
+    isArchived: !!sub.archive,
+    searchTerms: toSearchTerms(sub.patientName || '', sub.drugName || '', sub.patient?.mrn || ''),
+  };
+};
+
+// The fields a store writes for `data` applied on top of `current` (null when creating): the
+// derived fields, the fulfillments and prescription after the prescription coverage check, and
+// System log entries for fulfillments that need a renewal and for workflow status changes.
+export const withDerivedFields = (current, data, now = new Date()) => {
+  const merged = { fulfillments: [], communicationLog: [], ...current, ...data };
+  const { fulfillments, prescription, messages } = reconcilePrescription(merged);
+  const next = prescription ? { ...merged, fulfillments, prescription } : merged;
+  const written = prescription ? { ...data, fulfillments, prescription } : data;
+  const derived = deriveFields(next);
+
+  const entries = messages.map(message => ({ date: now, message, actor: 'System' }));
+  // Legacy documents may still carry "On Hold" as their status; that is no workflow status.
+  const previousStatus = current && WORKFLOW_STATUSES.includes(current.status) ? current.status : null;
+  if (previousStatus && previousStatus !== derived.status) {
+    entries.push({ date: now, message: `Status changed from ${previousStatus} to ${derived.status}.`, actor: 'System' });
+  }
+  if (entries.length === 0) return { ...written, ...derived };
+  return { ...written, ...derived, communicationLog: [...next.communicationLog, ...entries] };
+};
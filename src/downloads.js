@@ -0,0 +1,39 @@
+import { toCsv } from './csv';
+
+// --- File Downloads ---
+const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// The byte order mark makes Excel open the file as UTF-8.
+export const downloadCsv = (rows, fileName) => {
+  saveBlob(new Blob(['\ufeff', toCsv(rows)], { type: 'text/csv;charset=utf-8' }), fileName);
+};
+
+// Opens the page in a new window and brings up the print dialog. Returns false when the browser
+// blocked the window.
+export const printHtml = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
+
+// SheetJS is only needed here, so it is loaded on first use rather than with the app.
+export const downloadXlsx = async (rows, fileName, sheetName) => {
+  const XLSX = await import('xlsx');
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), sheetName);
+  const data = XLSX.write(book, { bookType: 'xlsx', type: 'array' });
+  saveBlob(new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), fileName);
+};
@@ -0,0 +1,144 @@
+import { parseCsv } from './csv';
+
+// --- Drug Catalog ---
+// The products we dispense, keyed by package NDC and imported from an NDC file:
+//   { ndc, name, genericName, strength, form, packageSize, packageUnit, schedule }
+// `ndc` is the 11-digit 5-4-2 form with dashes; `schedule` is the DEA schedule ('CII' ... 'CV')
+// or null. Subscriptions pick their drug from the catalog and keep a copy of what they need
+// (ndc, drugName, strength, dosageForm, deaSchedule), so they read the same without it.
+
+export const DEA_SCHEDULES = ['CI', 'CII', 'CIII', 'CIV', 'CV'];
+
+// Schedule II prescriptions cannot be refilled, so each one covers a single fulfillment.
+export const isScheduleII = (schedule) => schedule === 'CII';
+
+export const describeDeaSchedule = (schedule) => (schedule ? `C-${schedule.slice(1)}` : null);
+
+// The three NDC segment layouts on labels, padded to 5-4-2.
+const SEGMENT_LAYOUTS = { '4-4-2': [1, 0, 0], '5-3-2': [0, 1, 0], '5-4-1': [0, 0, 1], '5-4-2': [0, 0, 0] };
+
+// Package NDCs as printed (dashed 4-4-2, 5-3-2 or 5-4-1) or as 11 plain digits; returns the
+// 5-4-2 form, or null when the text is not one. Plain 10-digit codes are ambiguous and rejected.
+export const normalizeNdc = (text) => {
+  const value = String(text || '').trim();
+  if (/^\d{11}$/.test(value)) return `${value.slice(0, 5)}-${value.slice(5, 9)}-${value.slice(9)}`;
+  const segments = value.split('-');
+  const padding = SEGMENT_LAYOUTS[segments.map(s => s.length).join('-')];
+  if (!padding || !segments.every(s => /^\d+$/.test(s))) return null;
+  return segments.map((s, i) => '0'.repeat(padding[i]) + s).join('-');
+};
+
+// --- NDC Files ---
+// CSV, or the tab-delimited text of the FDA NDC directory, one package per row. Columns are
+// found by name; the FDA names and plainer ones both work.
+const COLUMNS = {
+  ndc: ['ndcpackagecode', 'packagendc', 'ndc', 'ndc11'],
+  name: ['proprietaryname', 'name', 'drugname', 'drug', 'brandname', 'productname'],
+  genericName: ['nonproprietaryname', 'genericname', 'generic'],
+  strength: ['strength'],
+  strengthNumber: ['activenumeratorstrength'],
+  strengthUnit: ['activeingredunit'],
+  form: ['dosageformname', 'dosageform', 'form'],
+  package: ['packagedescription', 'packagesize', 'package'],
+  schedule: ['deaschedule', 'schedule', 'deaclass'],
+};
+
+const normalizeHeader = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const splitRows = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  if (!firstLine.includes('\t')) return parseCsv(text);
+  return text.split(/\r?\n/).filter(line => line.trim()).map(line => line.split('\t'));
+};
+
+// "10" with "mg/1" is 10 mg; combination products list one value per ingredient.
+const toStrength = (number, unit) => {
+  const numbers = number.split(';').map(s => s.trim());
+  const units = unit.split(';').map(s => s.trim().replace(/\/1$/, '').toLowerCase());
+  return numbers.map((n, i) => `${n} ${units[i] || units[0] || ''}`.trim()).join('; ');
+};
+
+// "30 TABLET in 1 BOTTLE (0093-0311-01)" holds 30 tablets; for nested packages ("1 BOTTLE in 1
+// CARTON > 30 TABLET in 1 BOTTLE") the innermost count is what gets dispensed.
+const toPackage = (text) => {
+  const innermost = text.split('>').pop().trim();
+  const match = innermost.match(/^(\d+(?:\.\d+)?)\s*([A-Za-z][A-Za-z ,]*?)?(?:\s+in\s+|\s*\(|$)/i);
+  if (!match) return { packageSize: null, packageUnit: null };
+  return { packageSize: Number(match[1]), packageUnit: match[2] ? match[2].trim().toLowerCase() : null };
+};
+
+const toSchedule = (text) => {
+  const roman = text.trim().toUpperCase().replace(/^C-?|^SCHEDULE\s+/, '');
+  const fromDigit = { 1: 'I', 2: 'II', 3: 'III', 4: 'IV', 5: 'V' }[roman] || roman;
+  return DEA_SCHEDULES.includes(`C${fromDigit}`) ? `C${fromDigit}` : null;
+};
+
+// Returns { entries, problems }: one entry per valid package (a repeated NDC keeps its last row)
+// and { rowNumber, message } for every row that was left out. Row 1 is the header row.
+export const parseNdcFile = (text) => {
+  const rows = splitRows(text.charCodeAt(0) === 0xfeff ? text.slice(1) : text);
+  if (rows.length < 2) return { entries: [], problems: [{ rowNumber: 1, message: 'The file needs a header row and at least one product.' }] };
+
+  const headers = rows[0].map(normalizeHeader);
+  const column = Object.fromEntries(Object.entries(COLUMNS).map(([key, names]) => [key, names.map(name => headers.indexOf(name)).find(i => i !== -1)]));
+  const missing = ['ndc', 'name'].filter(key => column[key] === undefined);
+  if (missing.length > 0) {
+    return { entries: [], problems: [{ rowNumber: 1, message: `No ${missing.map(key => (key === 'ndc' ? 'NDC' : 'drug name')).join(' or ')} column found.` }] };
+  }
+
+  const byNdc = new Map();
+  const problems = [];
+  rows.slice(1).forEach((row, i) => {
+    const rowNumber = i + 2;
+    const cell = (key) => (column[key] === undefined ? '' : String(row[column[key]] || '').trim());
+    const ndc = normalizeNdc(cell('ndc'));
+    const strength = cell('strength') || (cell('strengthNumber') ? toStrength(cell('strengthNumber'), cell('strengthUnit')) : '');
+    const name = cell('name') || cell('genericName');
+    if (!ndc) problems.push({ rowNumber, message: `"${cell('ndc')}" is not a package NDC.` });
+    else if (!name) problems.push({ rowNumber, message: 'Drug name is missing.' });
+    else if (!strength) problems.push({ rowNumber, message: 'Strength is missing.' });
+    else {
+      byNdc.set(ndc, {
+        ndc,
+        name,
+        genericName: cell('genericName') || null,
+        strength,
+        form: cell('form').toLowerCase() || null,
+        ...toPackage(cell('package')),
+        schedule: toSchedule(cell('schedule')),
+      });
+    }
+  });
+  return { entries: [...byNdc.values()], problems };
+};
+
+// --- Lookup ---
+
+export const describeDrug = (entry) => [entry.name, entry.strength, entry.form].filter(Boolean).join(' ');
+
+export const describePackage = (entry) => (entry.packageSize ? `${entry.packageSize}${entry.packageUnit ? ` ${entry.packageUnit}` : ''}` : null);
+
+export const findDrug = (catalog, ndc) => catalog.find(entry => entry.ndc === ndc) || null;
+
+// Entries matching every word of the query in their names, strength, form or NDC (with or
+// without dashes), by name.
+export const searchCatalog = (catalog, query, limit = 10) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+  return catalog
+    .filter(entry => {
+      const text = `${entry.name} ${entry.genericName || ''} ${entry.strength} ${entry.form || ''} ${entry.ndc} ${entry.ndc.replace(/-/g, '')}`.toLowerCase();
+      return words.every(word => text.includes(word));
+    })
+    .sort((a, b) => describeDrug(a).localeCompare(describeDrug(b)))
+    .slice(0, limit);
+};
+
+// The subscription form values for a picked entry.
+export const drugValues = (entry) => ({
+  ndc: entry.ndc,
+  drugName: entry.name,
+  strength: entry.strength,
+  dosageForm: entry.form || '',
+  deaSchedule: entry.schedule || '',
+});
@@ -0,0 +1,151 @@
+import { formatDate } from './dates';
+import { hasContact, hasShippingAddress } from './subscriptionFields';
+import { dispenseProblem } from './prescriptions';
+import { CARRIERS, detectCarrier, normalizeTrackingNumber, trackingProblem } from './carriers/carriers';
+
+// --- Fulfillment State Machine ---
+// The only way a fulfillment changes status. Each transition lists the guards that must pass
+// and the effect that produces the field changes to write alongside the new status. The time
+// each status was reached is kept in `statusDates` for the metrics view.
+
+export class TransitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransitionError';
+  }
+}
+
+// Archived records are read-only until an admin restores them.
+const requireNotArchived = ({ subscription }) => (
+  subscription.archive ? 'This subscription is archived.' : null
+);
+
+const requireNotOnHold = ({ subscription }) => (
+  subscription.hold ? `This subscription is ${subscription.hold === 'Cancelled' ? 'cancelled' : 'on hold'}.` : null
+);
+
+const requireRxId = ({ fulfillment, context }) => (
+  context.rxId || fulfillment.rxId ? null : 'An RX id is required.'
+);
+
+const requirePhysicianApproval = ({ subscription }) => {
+  if (subscription.physicianStatus === 'Approved') return null;
+  return subscription.physicianStatus === 'Denied'
+    ? 'The physician denied this subscription. Send a new approval request and record the approval first.'
+    : 'The physician has not approved this subscription yet.';
+};
+
+const requirePatientContact = ({ subscription }) => (
+  hasContact(subscription) ? null : 'The patient has no phone number or email on file.'
+);
+
+const requireShippingAddress = ({ subscription }) => (
+  hasShippingAddress(subscription) ? null : 'The subscription has no shipping address.'
+);
+
+// Subscriptions created before prescriptions were tracked have none to check.
+const requireDispensablePrescription = ({ subscription }) => (
+  subscription.prescription ? dispenseProblem(subscription.prescription, subscription.fulfillments) : null
+);
+
+// A typed tracking number wins; otherwise the one from the label bought for this fulfillment.
+const trackingFor = ({ fulfillment, context }) => (
+  context.tracking && context.tracking.trim() ? context.tracking : fulfillment.label?.trackingNumber
+);
+
+const requireTracking = (args) => trackingProblem(trackingFor(args));
+
+const requireReason = ({ context }) => (
+  context.reason && context.reason.trim() ? null : 'A reason is required.'
+);
+
+// Any fulfillment that has not shipped can be skipped (the patient does not need this one) or
+// cancelled (it will never be sent). Neither is blocked by a hold.
+const closeTransitions = (to) => ['Scheduled', 'Intake Sent', 'Awaiting RX', 'RX Received'].map(from => ({
+  from,
+  to,
+  guards: [requireNotArchived, requireReason],
+  effect: ({ context }) => ({ reason: context.reason.trim() }),
+}));
+
+// Carrier updates (src/carriers/tracking.js) move a shipped fulfillment on. The carrier can
+// report any of these in any order, e.g. a package back in transit after an exception.
+const carrierTransitions = (to, guards, effect) => ['Shipped', 'In Transit', 'Exception']
+  .filter(from => from !== to)
+  .map(from => ({ from, to, guards: [requireNotArchived, ...guards], effect }));
+
+export const TRANSITIONS = [
+  {
+    from: 'Scheduled',
+    to: 'Intake Sent',
+    guards: [requireNotArchived, requireNotOnHold, requirePatientContact],
+    effect: () => ({}),
+  },
+  {
+    from: 'Intake Sent',
+    to: 'Awaiting RX',
+    guards: [requireNotArchived, requireNotOnHold],
+    effect: () => ({}),
+  },
+  {
+    from: 'Awaiting RX',
+    to: 'RX Received',
+    guards: [requireNotArchived, requireNotOnHold, requireRxId],
+    effect: ({ fulfillment, context }) => ({ rxId: context.rxId || fulfillment.rxId }),
+  },
+  {
+    from: 'RX Received',
+    to: 'Shipped',
+    guards: [requireNotArchived, requireNotOnHold, requireRxId, requirePhysicianApproval, requireShippingAddress, requireDispensablePrescription, requireTracking],
+    effect: (args) => ({
+      tracking: normalizeTrackingNumber(trackingFor(args)),
+      carrier: detectCarrier(trackingFor(args)),
+      rxNumber: args.subscription.prescription?.rxNumber || null,
+    }),
+  },
+  ...closeTransitions('Skipped'),
+  ...closeTransitions('Cancelled'),
+  ...carrierTransitions('In Transit', [], () => ({ reason: null })),
+  ...carrierTransitions('Delivered', [], () => ({ reason: null })),
+  ...carrierTransitions('Exception', [requireReason], ({ context }) => ({ reason: context.reason.trim() })),
+];
+
+const findTransition = (from, to) => TRANSITIONS.find(t => t.from === from && t.to === to);
+
+export const getAllowedTransitions = (fulfillment) => (
+  TRANSITIONS.filter(t => t.from === fulfillment.status).map(t => t.to)
+);
+
+// Returns the changes to apply to the fulfillment, or throws a TransitionError explaining why not.
+export const planTransition = (subscription, fulfillment, to, context = {}, now = new Date()) => {
+  const transition = findTransition(fulfillment.status, to);
+  if (!transition) {
+    throw new TransitionError(`Cannot move a fulfillment from "${fulfillment.status}" to "${to}".`);
+  }
+
+  const args = { subscription, fulfillment, context };
+  const failures = transition.guards.map(guard => guard(args)).filter(Boolean);
+  if (failures.length > 0) {
+    throw new TransitionError(`Cannot move to "${to}": ${failures.join(' ')}`);
+  }
+
+  return { status: to, ...transition.effect(args), statusDates: { ...fulfillment.statusDates, [to]: now } };
+};
+
+export const describeTransition = (fulfillment, changes) => {
+  const label = `fulfillment ${fulfillment.id} (${formatDate(fulfillment.fulfillmentDate)})`;
+  switch (changes.status) {
+    case 'Shipped':
+      return `Marked ${label} as Shipped. Tracking: ${changes.carrier ? `${CARRIERS[changes.carrier].label} ` : ''}${changes.tracking}`;
+    case 'In Transit':
+    case 'Delivered':
+      return `Carrier update: ${label} is ${changes.status}.`;
+    case 'Exception':
+      return `Carrier reported a delivery exception for ${label}: ${changes.reason}`;
+    case 'Skipped':
+    case 'Cancelled':
+      return `${changes.status} ${label}. Reason: ${changes.reason}`;
+    default:
+      return `Updated ${label} to status: ${changes.status}.`;
+  }
+};
@@ -0,0 +1,106 @@
+import { TransitionError, getAllowedTransitions, planTransition } from './fulfillmentMachine';
+
+const NOW = new Date(2026, 9, 18);
+const UPS_TRACKING = '1Z999AA10123456784';
+
+const subscriptionWith = (overrides = {}) => ({
+  id: 'sub-1',
+  physicianStatus: 'Approved',
+  patient: { phone: '5125550100', email: null },
+  shippingAddress: { line1: '1 Main St', city: 'Austin', state: 'TX', zip: '78701' },
+  fulfillments: [],
+  ...overrides,
+});
+
+const fulfillmentWith = (overrides = {}) => ({
+  id: 'sub-1-1',
+  fulfillmentDate: new Date(2026, 9, 20),
+  status: 'Scheduled',
+  statusDates: {},
+  ...overrides,
+});
+
+describe('planTransition', () => {
+  test('rejects moves that are not in the transition table', () => {
+    expect(() => planTransition(subscriptionWith(), fulfillmentWith(), 'Shipped')).toThrow(TransitionError);
+    expect(() => planTransition(subscriptionWith(), fulfillmentWith({ status: 'Delivered' }), 'Skipped')).toThrow('Cannot move a fulfillment from "Delivered" to "Skipped".');
+  });
+
+  test('records when the new status was reached', () => {
+    const changes = planTransition(subscriptionWith(), fulfillmentWith(), 'Intake Sent', {}, NOW);
+    expect(changes).toEqual({ status: 'Intake Sent', statusDates: { 'Intake Sent': NOW } });
+  });
+
+  test('blocks archived and held subscriptions', () => {
+    expect(() => planTransition(subscriptionWith({ archive: { date: NOW } }), fulfillmentWith(), 'Intake Sent')).toThrow('This subscription is archived.');
+    expect(() => planTransition(subscriptionWith({ hold: 'Cancelled' }), fulfillmentWith(), 'Intake Sent')).toThrow('This subscription is cancelled.');
+    expect(() => planTransition(subscriptionWith({ hold: 'Paused' }), fulfillmentWith(), 'Intake Sent')).toThrow('This subscription is on hold.');
+  });
+
+  test('needs a way to reach the patient before sending intake', () => {
+    expect(() => planTransition(subscriptionWith({ patient: {} }), fulfillmentWith(), 'Intake Sent')).toThrow('The patient has no phone number or email on file.');
+  });
+
+  test('needs an RX id to mark the RX received', () => {
+    const awaiting = fulfillmentWith({ status: 'Awaiting RX' });
+    expect(() => planTransition(subscriptionWith(), awaiting, 'RX Received')).toThrow('An RX id is required.');
+    expect(planTransition(subscriptionWith(), awaiting, 'RX Received', { rxId: 'RX-7' }, NOW).rxId).toBe('RX-7');
+  });
+
+  describe('shipping', () => {
+    const ready = fulfillmentWith({ status: 'RX Received', rxId: 'RX-7' });
+
+    test('reports every failing guard at once', () => {
+      const sub = subscriptionWith({ physicianStatus: 'Pending', shippingAddress: null });
+      expect(() => planTransition(sub, ready, 'Shipped')).toThrow(
+        'Cannot move to "Shipped": The physician has not approved this subscription yet. The subscription has no shipping address. A tracking number is required to ship.',
+      );
+    });
+
+    test('asks for a new approval after a denial', () => {
+      expect(() => planTransition(subscriptionWith({ physicianStatus: 'Denied' }), ready, 'Shipped', { tracking: UPS_TRACKING }))
+        .toThrow('The physician denied this subscription.');
+    });
+
+    test('rejects tracking numbers no carrier issues', () => {
+      expect(() => planTransition(subscriptionWith(), ready, 'Shipped', { tracking: '12345' }))
+        .toThrow('The tracking number is not a valid UPS, USPS or FedEx number.');
+    });
+
+    test('stores the normalized tracking number and its carrier', () => {
+      const changes = planTransition(subscriptionWith(), ready, 'Shipped', { tracking: ' 1z999aa1-0123456784 ' }, NOW);
+      expect(changes).toMatchObject({ status: 'Shipped', tracking: UPS_TRACKING, carrier: 'ups', rxNumber: null });
+    });
+
+    test("falls back to the bought label's tracking number", () => {
+      const labelled = { ...ready, label: { carrier: 'ups', trackingNumber: UPS_TRACKING } };
+      expect(planTransition(subscriptionWith(), labelled, 'Shipped', {}, NOW).tracking).toBe(UPS_TRACKING);
+    });
+
+    test('checks the prescription has a fill left', () => {
+      const prescription = { rxNumber: 'RX-7', refillsAuthorized: 0, expirationDate: new Date(2099, 0, 1) };
+      const shipped = fulfillmentWith({ id: 'sub-1-0', status: 'Delivered', rxNumber: 'RX-7' });
+      const sub = subscriptionWith({ prescription, fulfillments: [shipped, ready] });
+      expect(() => planTransition(sub, ready, 'Shipped', { tracking: UPS_TRACKING }, NOW)).toThrow('RX RX-7 has no refills left.');
+    });
+  });
+
+  test('skipping and cancelling need a reason but are not blocked by a hold', () => {
+    const held = subscriptionWith({ hold: 'Paused' });
+    expect(() => planTransition(held, fulfillmentWith(), 'Skipped', { reason: ' ' })).toThrow('A reason is required.');
+    expect(planTransition(held, fulfillmentWith(), 'Cancelled', { reason: ' Moved away ' }, NOW).reason).toBe('Moved away');
+  });
+
+  test('carrier exceptions keep the reason and later updates clear it', () => {
+    const shipped = fulfillmentWith({ status: 'Shipped' });
+    expect(planTransition(subscriptionWith(), shipped, 'Exception', { reason: 'Damaged' }, NOW).reason).toBe('Damaged');
+    expect(planTransition(subscriptionWith(), { ...shipped, status: 'Exception', reason: 'Damaged' }, 'In Transit', {}, NOW).reason).toBeNull();
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  test('lists the statuses a fulfillment can move to', () => {
+    expect(getAllowedTransitions(fulfillmentWith())).toEqual(['Intake Sent', 'Skipped', 'Cancelled']);
+    expect(getAllowedTransitions(fulfillmentWith({ status: 'Delivered' }))).toEqual([]);
+  });
+});
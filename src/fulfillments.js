@@ -0,0 +1,47 @@
+// --- Fulfillment Identifiers ---
+// Fulfillments are addressed by a persistent id of the form `<subscriptionId>-<seq>`, where seq
+// is a 1-based sequence number that is never reused within a subscription.
+
+export const fulfillmentId = (subId, seq) => `${subId}-${seq}`;
+
+export const nextFulfillmentSeq = (fulfillments) => (
+  fulfillments.reduce((max, f) => Math.max(max, f.seq || 0), 0) + 1
+);
+
+// Gives every fulfillment without an id a seq and id, keeping existing ones untouched. Also
+// migrates documents written before ids existed, numbering them in their stored order.
+export const assignFulfillmentIds = (subId, fulfillments) => {
+  let seq = nextFulfillmentSeq(fulfillments);
+  return fulfillments.map(f => {
+    if (f.id) return f;
+    const assignedSeq = f.seq || seq++;
+    return { ...f, seq: assignedSeq, id: fulfillmentId(subId, assignedSeq) };
+  });
+};
+
+export const needsFulfillmentIds = (sub) => sub.fulfillments.some(f => !f.id);
+
+export const findFulfillment = (sub, id) => sub?.fulfillments.find(f => f.id === id) || null;
+
+// Once shipped, the carrier moves a fulfillment on (src/carriers/tracking.js). All of these
+// count as dispensed.
+export const SHIPPED_STATUSES = ['Shipped', 'In Transit', 'Delivered', 'Exception'];
+
+// Shipped, skipped and cancelled fulfillments need no further work from the pharmacy. A
+// delivery exception still needs attention, which the workflow status reports separately.
+export const CLOSED_FULFILLMENT_STATUSES = [...SHIPPED_STATUSES, 'Skipped', 'Cancelled'];
+
+export const isOpen = (f) => !CLOSED_FULFILLMENT_STATUSES.includes(f.status);
+
+export const isShipped = (f) => SHIPPED_STATUSES.includes(f.status);
+
+// Shipped fulfillments the carrier has not reported as delivered yet.
+export const isAwaitingDelivery = (f) => isShipped(f) && f.status !== 'Delivered';
+
+// Rescheduling can move a fulfillment past its neighbours; the table lists them in date order.
+export const sortByDate = (fulfillments) => [...fulfillments].sort((a, b) => a.fulfillmentDate - b.fulfillmentDate);
+
+export const getNextActionableDate = (sub) => {
+  const nextActionable = sortByDate(sub.fulfillments).find(isOpen);
+  return nextActionable ? nextActionable.fulfillmentDate : null;
+};
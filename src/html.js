@@ -0,0 +1,6 @@
+// --- Printable HTML ---
+// Helpers for the standalone pages the dashboard prints (packing slips, approval requests).
+
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+export const tableRow = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value || '-')}</td></tr>`;
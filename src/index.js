@@ -1,10 +1,22 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { createStore } from './store';
+import { createOutreachProvider, resolveOutreachKind } from './outreach';
+import { createShippingProvider, resolveShippingKind } from './shipping';
+import { createCarrierAdapter } from './carriers';
+import { createApprovalSender, resolveApprovalSenderKind } from './approvals';
+
+const store = createStore();
+const outreach = createOutreachProvider(resolveOutreachKind(store.kind), { getIdToken: () => store.getIdToken() });
+const shipping = createShippingProvider(resolveShippingKind(store.kind), { getIdToken: () => store.getIdToken() });
+const approvals = createApprovalSender(resolveApprovalSenderKind(store.kind), { getIdToken: () => store.getIdToken() });
+// On Firestore, carrier updates arrive through the track-shipments function instead.
+const carriers = store.kind === 'local' ? createCarrierAdapter('mock') : null;
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <App store={store} outreach={outreach} shipping={shipping} approvals={approvals} carriers={carriers} />
   </React.StrictMode>
 );
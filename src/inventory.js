@@ -0,0 +1,122 @@
+import { addDays, toCalendarDay, formatDate } from './dates';
+import { isOpen, isShipped } from './fulfillments';
+
+// --- Inventory ---
+// Stock on hand per drug, keyed by package NDC like the catalog (src/drugCatalog.js):
+//   { ndc, onHand, lastChange: { date, change, reason, actor, actorId } }
+// `onHand` counts dispensing units (the unit of a subscription's `quantity`). Drugs only have an
+// item once someone counts or receives them; until then they are not tracked and never short.
+// Shipping takes the shipped quantity off in the same atomic write as the shipment (the stores
+// and the pharmacy-events function call planDispense).
+//
+// Reservations are not stored: every open fulfillment due within the reservation window holds
+// its subscription's quantity, first come first served by date. Fulfillments the stock on hand
+// cannot cover are short, and the table flags them.
+
+export class InventoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InventoryError';
+  }
+}
+
+export const DEFAULT_RESERVATION_DAYS = 14;
+
+// REACT_APP_RESERVATION_DAYS widens or narrows the window.
+export const resolveReservationDays = (env = process.env) => Number(env.REACT_APP_RESERVATION_DAYS) || DEFAULT_RESERVATION_DAYS;
+
+// The last calendar day whose fulfillments are reserved.
+export const reservationEnd = (days, now = new Date()) => addDays(toCalendarDay(now), days);
+
+// Held, archived and denied subscriptions will not ship soon, so they reserve nothing.
+const reserves = (sub) => !!sub.ndc && !sub.hold && !sub.archive && sub.physicianStatus !== 'Denied';
+
+// { ndc, subscriptionId, fulfillmentId, date, quantity } for every reserving fulfillment due by
+// the end of the window (overdue ones included), in date order.
+export const reservationsFor = (subs, days, now = new Date()) => {
+  const end = reservationEnd(days, now);
+  return subs
+    .filter(reserves)
+    .flatMap(sub => sub.fulfillments
+      .filter(f => isOpen(f) && f.fulfillmentDate <= end)
+      .map(f => ({ ndc: sub.ndc, subscriptionId: sub.id, fulfillmentId: f.id, date: f.fulfillmentDate, quantity: sub.quantity || 0 })))
+    .sort((a, b) => a.date - b.date);
+};
+
+// Per NDC, for every tracked item and every drug with reservations:
+//   { ndc, item, onHand, reserved, available, shortIds }
+// `item` and `onHand` are null for untracked drugs; `shortIds` are the fulfillments the stock
+// does not cover.
+export const stockLevels = (inventory, reservations) => {
+  const levels = new Map(inventory.map(item => [item.ndc, { ndc: item.ndc, item, onHand: item.onHand, reserved: 0, available: item.onHand, shortIds: [] }]));
+  reservations.forEach(({ ndc, fulfillmentId, quantity }) => {
+    const level = levels.get(ndc) || { ndc, item: null, onHand: null, reserved: 0, available: null, shortIds: [] };
+    level.reserved += quantity;
+    if (level.item) {
+      level.available = level.onHand - level.reserved;
+      if (level.available < 0) level.shortIds.push(fulfillmentId);
+    }
+    levels.set(ndc, level);
+  });
+  return levels;
+};
+
+export const isShort = (level) => !!level && level.shortIds.length > 0;
+
+export const describeShortage = (level, days) => (
+  `${level.reserved} reserved for the next ${days} days, ${level.onHand} on hand.`
+);
+
+// --- Planners ---
+// Like the schedule planners, these return { changes, message } or throw an InventoryError.
+// `item` is the latest stored item, or null for a drug that is not tracked yet; `actor` is
+// { actor, actorId } (permissions.actorFor).
+
+const toQuantity = (value) => (typeof value === 'number' ? value : Number(String(value).trim() || NaN));
+
+const stockChange = (ndc, onHand, change, reason, actor, now) => ({
+  ndc,
+  onHand,
+  lastChange: { date: now, change, reason, actor: actor.actor, actorId: actor.actorId || null },
+});
+
+export const planStockReceipt = (item, ndc, quantity, actor, now = new Date()) => {
+  const received = toQuantity(quantity);
+  if (!Number.isInteger(received) || received <= 0) throw new InventoryError('Enter the quantity received as a whole number above zero.');
+  const onHand = (item?.onHand || 0) + received;
+  return {
+    changes: stockChange(ndc, onHand, received, 'Received', actor, now),
+    message: `Received ${received}; ${onHand} on hand.`,
+  };
+};
+
+// A physical count replaces whatever the dashboard thought was on the shelf.
+export const planStockCount = (item, ndc, count, actor, now = new Date()) => {
+  const counted = toQuantity(count);
+  if (!Number.isInteger(counted) || counted < 0) throw new InventoryError('Enter the count as a whole number, zero or more.');
+  const change = counted - (item?.onHand || 0);
+  return {
+    changes: stockChange(ndc, counted, change, 'Counted', actor, now),
+    message: item ? `Counted ${counted} on hand (${change >= 0 ? '+' : ''}${change}).` : `Started tracking with ${counted} on hand.`,
+  };
+};
+
+// The stock a write ships, as { ndc, quantity, fulfillmentIds }, or null when it ships nothing.
+export const dispensedBy = (before, after) => {
+  const shippedBefore = new Set((before?.fulfillments || []).filter(isShipped).map(f => f.id));
+  const fulfillmentIds = after.fulfillments.filter(f => isShipped(f) && !shippedBefore.has(f.id)).map(f => f.id);
+  if (!after.ndc || fulfillmentIds.length === 0) return null;
+  return { ndc: after.ndc, quantity: (after.quantity || 0) * fulfillmentIds.length, fulfillmentIds };
+};
+
+// Stock can go below zero: the shipment already left, so the count was off and needs a recount.
+export const planDispense = (item, dispensed, actor, now = new Date()) => ({
+  changes: stockChange(item.ndc, item.onHand - dispensed.quantity, -dispensed.quantity, `Shipped ${dispensed.fulfillmentIds.join(', ')}`, actor, now),
+  message: `Shipped ${dispensed.quantity}; ${item.onHand - dispensed.quantity} on hand.`,
+});
+
+export const describeLastChange = (item) => {
+  const { date, change, reason, actor } = item.lastChange || {};
+  if (!date) return null;
+  return `${reason} ${change >= 0 ? '+' : ''}${change} on ${formatDate(date)}${actor ? ` by ${actor}` : ''}`;
+};
@@ -0,0 +1,80 @@
+import { parseCalendarDay } from './dates';
+import {
+  InventoryError, reservationsFor, stockLevels, isShort,
+  planStockReceipt, planStockCount, dispensedBy, planDispense,
+} from './inventory';
+
+const NOW = new Date(2026, 9, 18, 9);
+const ACTOR = { actor: 'Pat', actorId: 'u1' };
+const NDC = '00093-7146-56';
+
+const subscription = (id, dates, overrides = {}) => ({
+  id,
+  ndc: NDC,
+  quantity: 30,
+  physicianStatus: 'Approved',
+  fulfillments: dates.map((isoDate, i) => ({ id: `${id}-${i + 1}`, fulfillmentDate: parseCalendarDay(isoDate), status: 'Scheduled' })),
+  ...overrides,
+});
+
+const item = (onHand) => ({ ndc: NDC, onHand, lastChange: null });
+
+describe('reservations', () => {
+  test('open fulfillments due by the end of the window reserve stock, overdue ones included', () => {
+    const subs = [subscription('b', ['2026-10-25', '2026-11-25']), subscription('a', ['2026-10-10'])];
+    expect(reservationsFor(subs, 14, NOW).map(r => r.fulfillmentId)).toEqual(['a-1', 'b-1']);
+  });
+
+  test('held, archived and denied subscriptions reserve nothing', () => {
+    const subs = [
+      subscription('held', ['2026-10-20'], { hold: 'On Hold' }),
+      subscription('archived', ['2026-10-20'], { archive: { date: NOW } }),
+      subscription('denied', ['2026-10-20'], { physicianStatus: 'Denied' }),
+      subscription('noDrug', ['2026-10-20'], { ndc: null }),
+    ];
+    expect(reservationsFor(subs, 14, NOW)).toEqual([]);
+  });
+
+  test('fulfillments the stock cannot cover are short, first come first served', () => {
+    const reservations = reservationsFor([subscription('a', ['2026-10-19', '2026-10-26'])], 14, NOW);
+    const level = stockLevels([item(40)], reservations).get(NDC);
+    expect(level).toMatchObject({ onHand: 40, reserved: 60, available: -20, shortIds: ['a-2'] });
+    expect(isShort(level)).toBe(true);
+  });
+
+  test('untracked drugs are never short', () => {
+    const reservations = reservationsFor([subscription('a', ['2026-10-19'])], 14, NOW);
+    const level = stockLevels([], reservations).get(NDC);
+    expect(level).toMatchObject({ item: null, onHand: null, reserved: 30, available: null });
+    expect(isShort(level)).toBe(false);
+  });
+});
+
+describe('stock planners', () => {
+  test('receiving adds to the stock on hand', () => {
+    const { changes, message } = planStockReceipt(item(10), NDC, ' 20 ', ACTOR, NOW);
+    expect(changes).toEqual({ ndc: NDC, onHand: 30, lastChange: { date: NOW, change: 20, reason: 'Received', actor: 'Pat', actorId: 'u1' } });
+    expect(message).toBe('Received 20; 30 on hand.');
+  });
+
+  test('receiving needs a whole number above zero', () => {
+    expect(() => planStockReceipt(null, NDC, '0', ACTOR, NOW)).toThrow(InventoryError);
+    expect(() => planStockReceipt(null, NDC, '2.5', ACTOR, NOW)).toThrow(InventoryError);
+    expect(() => planStockReceipt(null, NDC, '', ACTOR, NOW)).toThrow(InventoryError);
+  });
+
+  test('a count replaces the stock on hand', () => {
+    expect(planStockCount(item(30), NDC, 25, ACTOR, NOW)).toMatchObject({ changes: { onHand: 25, lastChange: { change: -5 } }, message: 'Counted 25 on hand (-5).' });
+    expect(planStockCount(null, NDC, '0', ACTOR, NOW).message).toBe('Started tracking with 0 on hand.');
+    expect(() => planStockCount(null, NDC, '-1', ACTOR, NOW)).toThrow('Enter the count as a whole number, zero or more.');
+  });
+
+  test('shipping takes the shipped quantity off, even below zero', () => {
+    const before = subscription('a', ['2026-10-19', '2026-10-26']);
+    const after = { ...before, fulfillments: before.fulfillments.map(f => ({ ...f, status: 'Shipped' })) };
+    const dispensed = dispensedBy(before, after);
+    expect(dispensed).toEqual({ ndc: NDC, quantity: 60, fulfillmentIds: ['a-1', 'a-2'] });
+    expect(planDispense(item(50), dispensed, ACTOR, NOW).changes).toMatchObject({ onHand: -10, lastChange: { change: -60, reason: 'Shipped a-1, a-2' } });
+    expect(dispensedBy(after, after)).toBeNull();
+  });
+});
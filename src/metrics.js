@@ -0,0 +1,93 @@
+import { toCalendarDay, addDays, toIsoDay } from './dates';
+import { isOpen, isShipped } from './fulfillments';
+import { displayStatus } from './derivedFields';
+
+// --- Operations Metrics ---
+// Computed on the client from the full subscription list. When a fulfillment reached a status is
+// read from its `statusDates`; fulfillments that changed before those were recorded fall back to
+// the time of the matching communication log entry.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PAST_DUE_BUCKETS = [
+  { label: '1-7 days', min: 1, max: 7 },
+  { label: '8-30 days', min: 8, max: 30 },
+  { label: 'Over 30 days', min: 31, max: Infinity },
+];
+
+export const INTAKE_TO_RX_BUCKETS = [
+  { label: 'Under 1 day', min: 0, max: 1 },
+  { label: '1-3 days', min: 1, max: 3 },
+  { label: '3-7 days', min: 3, max: 7 },
+  { label: 'Over 7 days', min: 7, max: Infinity },
+];
+
+const logPatterns = (f, status) => (
+  status === 'Shipped'
+    ? [`Marked fulfillment ${f.id} `]
+    : [`Updated fulfillment ${f.id} `, `to status: ${status}.`]
+);
+
+export const reachedAt = (sub, f, status) => {
+  if (f.statusDates?.[status]) return f.statusDates[status];
+  const patterns = logPatterns(f, status);
+  const entry = sub.communicationLog.find(e => patterns.every(p => e.message.includes(p)));
+  return entry ? entry.date : null;
+};
+
+// Inclusive range of calendar days, as `toCalendarDay` dates.
+export const daysInRange = (from, to) => {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+const inRange = (date, range) => {
+  const day = toCalendarDay(date);
+  return day >= range.from && day <= range.to;
+};
+
+// Every metric carries the `items` behind it ({ sub, fulfillment, ... }) for drill-down.
+export const computeMetrics = (subs, range, now = new Date()) => {
+  const shipments = [];
+  const intakeToRx = [];
+  const pastDue = [];
+  const today = toCalendarDay(now);
+
+  subs.forEach(sub => sub.fulfillments.forEach(f => {
+    const shippedAt = isShipped(f) ? reachedAt(sub, f, 'Shipped') : null;
+    if (shippedAt && inRange(shippedAt, range)) shipments.push({ sub, fulfillment: f, date: shippedAt });
+
+    const rxAt = reachedAt(sub, f, 'RX Received');
+    const intakeAt = rxAt && reachedAt(sub, f, 'Intake Sent');
+    if (intakeAt && rxAt >= intakeAt && inRange(rxAt, range)) {
+      intakeToRx.push({ sub, fulfillment: f, date: rxAt, days: (rxAt - intakeAt) / DAY_MS });
+    }
+
+    const daysLate = Math.round((today - toCalendarDay(f.fulfillmentDate)) / DAY_MS);
+    if (isOpen(f) && !sub.hold && !sub.archive && daysLate > 0) pastDue.push({ sub, fulfillment: f, date: f.fulfillmentDate, days: daysLate });
+  }));
+
+  const shipmentsPerDay = daysInRange(range.from, range.to).map(day => ({
+    day,
+    items: shipments.filter(s => toIsoDay(toCalendarDay(s.date)) === toIsoDay(day)),
+  }));
+
+  // Archived subscriptions still count towards shipment history, not towards the current workload.
+  const current = subs.filter(sub => !sub.archive);
+  const onHold = current.filter(sub => sub.hold === 'On Hold').map(sub => ({ sub }));
+  const active = current.filter(sub => !sub.hold && displayStatus(sub) !== 'Fulfilled').map(sub => ({ sub }));
+
+  return {
+    shipmentsPerDay,
+    shipments,
+    intakeToRx,
+    intakeToRxBuckets: INTAKE_TO_RX_BUCKETS.map(bucket => ({ ...bucket, items: intakeToRx.filter(i => i.days >= bucket.min && i.days < bucket.max) })),
+    averageIntakeToRxDays: intakeToRx.length > 0 ? intakeToRx.reduce((sum, i) => sum + i.days, 0) / intakeToRx.length : null,
+    pastDue,
+    pastDueBuckets: PAST_DUE_BUCKETS.map(bucket => ({ ...bucket, items: pastDue.filter(p => p.days >= bucket.min && p.days <= bucket.max) })),
+    onHold,
+    active,
+    holdRatio: active.length > 0 ? onHold.length / active.length : null,
+  };
+};
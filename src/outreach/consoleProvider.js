@@ -0,0 +1,20 @@
+import { defaultStorage } from '../browserStorage';
+
+// Stand-in provider for development and training: nothing leaves the machine. Messages are
+// written to the console and, when `storage` is available, kept in an outbox there so they can
+// be inspected later (localStorage key "prescription-dashboard:outbox").
+const OUTBOX_KEY = 'prescription-dashboard:outbox';
+
+export const createConsoleProvider = ({ storage = defaultStorage(), outboxKey = OUTBOX_KEY } = {}) => ({
+  kind: 'console',
+
+  async send(message) {
+    const sent = { id: `msg-${Date.now().toString(36)}`, sentAt: new Date().toISOString(), ...message };
+    console.info(`[outreach] ${message.channel} to ${message.to}${message.subject ? ` "${message.subject}"` : ''}\n${message.body}`);
+    if (storage) {
+      const outbox = JSON.parse(storage.getItem(outboxKey) || '[]');
+      storage.setItem(outboxKey, JSON.stringify([...outbox, sent]));
+    }
+    return { id: sent.id };
+  },
+});
@@ -0,0 +1,7 @@
+// Raised when a message cannot be composed from the subscription or the provider rejects it.
+export class OutreachError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutreachError';
+  }
+}
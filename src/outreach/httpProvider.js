@@ -0,0 +1,30 @@
+import { OutreachError } from './errors';
+
+// Asks the send-outreach function, which holds the real provider's credentials, to send the
+// message. Only the ids, template and channel go over the wire: the function composes the message
+// again from the stored subscription and returns it as sent. `getIdToken` returns the signed-in
+// user's Firebase ID token; the function checks their role.
+export const createHttpProvider = ({ getIdToken, endpoint = '/.netlify/functions/send-outreach' }) => ({
+  kind: 'http',
+
+  async send(message) {
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${await getIdToken()}` },
+        body: JSON.stringify({
+          subscriptionId: message.subscriptionId,
+          fulfillmentId: message.fulfillmentId,
+          templateKey: message.template,
+          channel: message.channel,
+        }),
+      });
+    } catch (e) {
+      throw new OutreachError('Could not reach the messaging service. Check the connection and try again.');
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new OutreachError(body.error || `The message could not be sent (HTTP ${response.status}).`);
+    return { id: body.id, message: body.message };
+  },
+});
@@ -0,0 +1,26 @@
+import { providerSelection } from '../providerSelection';
+import { createConsoleProvider } from './consoleProvider';
+import { createHttpProvider } from './httpProvider';
+
+// --- Outreach Provider Selection ---
+// Every provider exposes send(message) -> { id, message? }, where message comes from
+// composeMessage in templates.js, and throws an OutreachError when the message is rejected.
+// Providers that compose on the server return the message they actually sent.
+// REACT_APP_OUTREACH_PROVIDER chooses it ("console" or "http"), as providerSelection.js describes;
+// on Firestore "http" sends through the send-outreach function.
+const selection = providerSelection({
+  name: 'outreach provider',
+  envVar: 'REACT_APP_OUTREACH_PROVIDER',
+  standIn: 'console',
+  factories: {
+    console: () => createConsoleProvider(),
+    http: ({ getIdToken }) => createHttpProvider({ getIdToken }),
+  },
+});
+
+export const resolveOutreachKind = selection.resolveKind;
+export const createOutreachProvider = selection.create;
+
+export { createConsoleProvider, createHttpProvider };
+export { OutreachError } from './errors';
+export * from './templates';
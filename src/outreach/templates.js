@@ -0,0 +1,117 @@
+import { formatDate } from '../dates';
+import { formatPhone } from '../validation';
+import { OutreachError } from './errors';
+
+// --- Outreach Templates ---
+// SMS and email texts with {{variable}} placeholders filled in from the subscription and the
+// fulfillment the message is about. `statuses` lists the fulfillment statuses a template can be
+// sent for; `moveTo` is the status sending it moves the fulfillment to, if any.
+
+export const CHANNELS = {
+  sms: 'SMS',
+  email: 'Email',
+};
+
+export const OUTREACH_TEMPLATES = {
+  intakeRequest: {
+    label: 'Intake request',
+    statuses: ['Scheduled'],
+    moveTo: 'Intake Sent',
+    sms: 'Hi {{firstName}}, your next {{drug}} fill is due {{fulfillmentDate}}. Reply YES to confirm we should prepare it, or call us with any changes to your address or medications.',
+    email: {
+      subject: 'Your {{drug}} refill is coming up',
+      body: 'Hi {{firstName}},\n\nYour next fill of {{drug}} ({{quantity}} for {{daysSupply}} days) is due on {{fulfillmentDate}}.\n\nPlease reply to confirm we should prepare it, and let us know about any changes to your shipping address or medications.\n\nThank you.',
+    },
+  },
+  refillReminder: {
+    label: 'Refill reminder',
+    statuses: ['Intake Sent', 'Awaiting RX'],
+    moveTo: null,
+    sms: 'Hi {{firstName}}, we still need to hear from you about your {{drug}} fill due {{fulfillmentDate}}. Please reply or call us so it ships on time.',
+    email: {
+      subject: 'Reminder: please confirm your {{drug}} refill',
+      body: 'Hi {{firstName}},\n\nWe have not heard back about your fill of {{drug}} due on {{fulfillmentDate}}. Please reply so we can ship it on time.\n\nThank you.',
+    },
+  },
+  shipmentNotification: {
+    label: 'Shipment notification',
+    statuses: ['Shipped', 'In Transit'],
+    moveTo: null,
+    sms: 'Hi {{firstName}}, your {{drug}} has shipped. Tracking number: {{tracking}}.',
+    email: {
+      subject: 'Your {{drug}} has shipped',
+      body: 'Hi {{firstName}},\n\nYour {{drug}} has shipped to {{city}}, {{state}}.\n\nTracking number: {{tracking}}\n\nThank you.',
+    },
+  },
+};
+
+const VARIABLE_LABELS = {
+  firstName: 'the patient name',
+  patientName: 'the patient name',
+  drug: 'the drug name',
+  quantity: 'the quantity',
+  daysSupply: "the days' supply",
+  fulfillmentDate: 'the fulfillment date',
+  tracking: 'a tracking number',
+  city: 'a shipping address',
+  state: 'a shipping address',
+};
+
+export const templateVariables = (sub, fulfillment) => ({
+  firstName: (sub.patientName || '').trim().split(/\s+/)[0],
+  patientName: sub.patientName,
+  drug: [sub.drugName, sub.strength].filter(Boolean).join(' '),
+  quantity: sub.quantity,
+  daysSupply: sub.daysSupply,
+  fulfillmentDate: formatDate(fulfillment.fulfillmentDate),
+  tracking: fulfillment.tracking,
+  city: sub.shippingAddress?.city,
+  state: sub.shippingAddress?.state,
+});
+
+// Throws an OutreachError naming the first placeholder the subscription has no value for.
+export const renderTemplate = (text, variables) => text.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+  const value = variables[name];
+  if (value === undefined || value === null || value === '') {
+    throw new OutreachError(`This message needs ${VARIABLE_LABELS[name] || name}, but none is on file.`);
+  }
+  return String(value);
+});
+
+const recipientOf = (sub, channel) => (channel === 'sms' ? sub.patient?.phone : sub.patient?.email) || null;
+
+export const availableChannels = (sub) => Object.keys(CHANNELS).filter(channel => recipientOf(sub, channel));
+
+export const templatesFor = (fulfillment) => (
+  Object.keys(OUTREACH_TEMPLATES).filter(key => OUTREACH_TEMPLATES[key].statuses.includes(fulfillment.status))
+);
+
+// The message a provider sends: { template, channel, to, subject, body, subscriptionId,
+// fulfillmentId }. `subject` is null for SMS.
+export const composeMessage = (templateKey, channel, sub, fulfillment) => {
+  const template = OUTREACH_TEMPLATES[templateKey];
+  if (!template) throw new OutreachError(`Unknown message template "${templateKey}".`);
+  if (!template.statuses.includes(fulfillment.status)) {
+    throw new OutreachError(`A ${template.label.toLowerCase()} cannot be sent for a fulfillment that is ${fulfillment.status}.`);
+  }
+  const to = recipientOf(sub, channel);
+  if (!to) throw new OutreachError(`The patient has no ${channel === 'sms' ? 'phone number' : 'email address'} on file.`);
+
+  const variables = templateVariables(sub, fulfillment);
+  return {
+    template: templateKey,
+    channel,
+    to,
+    subject: channel === 'email' ? renderTemplate(template.email.subject, variables) : null,
+    body: renderTemplate(channel === 'email' ? template.email.body : template.sms, variables),
+    subscriptionId: sub.id,
+    fulfillmentId: fulfillment.id,
+  };
+};
+
+// For the communication log, which keeps the text exactly as sent.
+export const describeSentMessage = (message) => {
+  const to = message.channel === 'sms' ? formatPhone(message.to) : message.to;
+  const subject = message.subject ? ` "${message.subject}"` : '';
+  return `Sent ${OUTREACH_TEMPLATES[message.template].label.toLowerCase()} by ${CHANNELS[message.channel]} to ${to}${subject}: ${message.body}`;
+};
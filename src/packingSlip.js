@@ -0,0 +1,48 @@
+import { formatDate } from './dates';
+import { formatAddress } from './validation';
+import { CARRIERS, carrierOf } from './carriers/carriers';
+import { escapeHtml, tableRow as row } from './html';
+
+// --- Packing Slips ---
+// A standalone HTML page for one fulfillment, laid out for the browser's print dialog (which
+// also saves it as a PDF). It goes in the box, so it carries only what the patient needs to
+// check the contents: no DOB, MRN or prescriber.
+
+export const packingSlipHtml = (sub, fulfillment, now = new Date()) => {
+  const tracking = fulfillment.tracking || fulfillment.label?.trackingNumber;
+  const carrier = carrierOf({ carrier: fulfillment.carrier || fulfillment.label?.carrier, tracking });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Packing Slip ${escapeHtml(fulfillment.id)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #111; margin: 2rem; }
+  h1 { font-size: 1.4rem; margin: 0 0 0.25rem; }
+  .muted { color: #555; font-size: 0.85rem; }
+  .address { margin: 1.5rem 0; font-size: 1.1rem; line-height: 1.5; }
+  table { border-collapse: collapse; width: 100%; margin-top: 1rem; }
+  th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #ccc; }
+  th { width: 35%; color: #333; }
+  .note { margin-top: 2rem; font-size: 0.85rem; }
+  @media print { body { margin: 0.5in; } }
+</style>
+</head>
+<body>
+<h1>Packing Slip</h1>
+<p class="muted">Order ${escapeHtml(fulfillment.id)} &middot; printed ${escapeHtml(formatDate(now))}</p>
+<div class="address">
+  <strong>${escapeHtml(sub.patientName)}</strong><br>
+  ${escapeHtml(formatAddress(sub.shippingAddress) || 'No shipping address on file')}
+</div>
+<table>
+  ${row('Medication', [sub.drugName, sub.strength].filter(Boolean).join(' '))}
+  ${row('Quantity', sub.quantity && `${sub.quantity} (${sub.daysSupply}-day supply)`)}
+  ${row('RX Number', sub.prescription?.rxNumber || fulfillment.rxNumber)}
+  ${row('Fill Date', formatDate(fulfillment.fulfillmentDate))}
+  ${row('Tracking', tracking && `${carrier ? `${CARRIERS[carrier].label} ` : ''}${tracking}`)}
+</table>
+<p class="note">Please check that the medication and quantity match this slip, and call us right away if anything is missing or damaged.</p>
+</body>
+</html>`;
+};
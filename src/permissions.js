@@ -0,0 +1,24 @@
+// --- Roles & Permissions ---
+// UI-side checks; firestore.rules enforces the same restrictions on the server.
+
+export const ROLES = ['technician', 'pharmacist', 'admin'];
+
+export const PERMISSIONS = {
+  logCall: ['technician', 'pharmacist', 'admin'],
+  requestApproval: ['pharmacist', 'admin'],
+  updateFulfillment: ['pharmacist', 'admin'],
+  shipFulfillment: ['pharmacist', 'admin'],
+  approvePhysician: ['pharmacist', 'admin'],
+  manageSchedule: ['pharmacist', 'admin'],
+  importSubscriptions: ['pharmacist', 'admin'],
+  manageCatalog: ['pharmacist', 'admin'],
+  manageInventory: ['pharmacist', 'admin'],
+  exportSubscriptions: ['pharmacist', 'admin'],
+  sendOutreach: ['pharmacist', 'admin'],
+  archiveSubscription: ['admin'],
+  restoreSubscription: ['admin'],
+};
+
+export const can = (user, action) => !!user && (PERMISSIONS[action] || []).includes(user.role);
+
+export const actorFor = (user) => ({ actor: user.displayName || user.email, actorId: user.uid });
@@ -0,0 +1,55 @@
+import { planTransition, describeTransition } from './fulfillmentMachine';
+import { assignFulfillmentIds, findFulfillment } from './fulfillments';
+import { renewFulfillments } from './schedule';
+
+// --- Pharmacy System Events ---
+// Events posted by the pharmacy system to the webhook function. Each one maps onto a single
+// fulfillment transition; the payload supplies the transition context (RX id, tracking number).
+//
+//   { "id": "evt_123", "type": "erx.received", "subscriptionId": "abc",
+//     "fulfillmentId": "abc-2", "data": { "rxId": "RX-991" } }
+
+export const EVENT_TRANSITIONS = {
+  'intake.sent': { to: 'Intake Sent', context: () => ({}) },
+  'patient.responded': { to: 'Awaiting RX', context: () => ({}) },
+  'erx.received': { to: 'RX Received', context: (data) => ({ rxId: data.rxId }) },
+  'shipment.created': { to: 'Shipped', context: (data) => ({ tracking: data.tracking }) },
+};
+
+export class PharmacyEventError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PharmacyEventError';
+    this.statusCode = statusCode;
+  }
+}
+
+// The ids name Firestore documents, so they must be usable as document ids.
+const isDocumentId = (value) => typeof value === 'string' && value !== '' && !value.includes('/');
+
+export const validatePharmacyEvent = (event) => {
+  if (!event || typeof event !== 'object') throw new PharmacyEventError('Event body must be a JSON object.');
+  ['id', 'subscriptionId', 'fulfillmentId'].forEach(field => {
+    if (!isDocumentId(event[field])) throw new PharmacyEventError(`Event "${field}" must be a non-empty string without slashes.`);
+  });
+  if (!EVENT_TRANSITIONS[event.type]) throw new PharmacyEventError(`Unknown event type "${event.type}".`);
+  return event;
+};
+
+// Works out the new fulfillments array and the log entry for an event. Throws a
+// PharmacyEventError for unknown fulfillments and a TransitionError for illegal transitions.
+export const applyPharmacyEvent = (storedSubscription, event, now = new Date()) => {
+  const { to, context } = EVENT_TRANSITIONS[event.type];
+  // The dashboard may not have migrated this document yet; ids are deterministic, so do it here.
+  const subscription = { ...storedSubscription, fulfillments: assignFulfillmentIds(storedSubscription.id, storedSubscription.fulfillments) };
+  const fulfillment = findFulfillment(subscription, event.fulfillmentId);
+  if (!fulfillment) {
+    throw new PharmacyEventError(`Subscription ${subscription.id} has no fulfillment ${event.fulfillmentId}.`, 404);
+  }
+
+  const changes = planTransition(subscription, fulfillment, to, context(event.data || {}), now);
+  const fulfillments = renewFulfillments(subscription, subscription.fulfillments.map(f => (f.id === fulfillment.id ? { ...f, ...changes } : f)));
+  const logEntry = { date: now, message: `${describeTransition(fulfillment, changes)} (event ${event.id})`, actor: 'System' };
+
+  return { fulfillments, logEntry };
+};
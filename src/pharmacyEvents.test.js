@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+import { EVENT_TRANSITIONS, applyPharmacyEvent, validatePharmacyEvent } from './pharmacyEvents';
+
+// The fixtures under netlify/fixtures/pharmacy-events are what scripts/send-pharmacy-event.js
+// posts during local testing, so they have to stay valid events.
+const FIXTURE_DIR = path.join(__dirname, '..', 'netlify', 'fixtures', 'pharmacy-events');
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => ({ file, event: JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8')) }));
+
+const fixtureOfType = (type) => fixtures.find(({ event }) => event.type === type).event;
+
+const NOW = new Date(2026, 9, 18, 9);
+
+// The placeholder subscription the fixtures point at, with its second fulfillment due next.
+const placeholderSubscription = () => ({
+  id: 'REPLACE_WITH_SUBSCRIPTION_ID',
+  physicianStatus: 'Approved',
+  patient: { phone: '5125550100' },
+  shippingAddress: { line1: '1 Main St', city: 'Austin', state: 'TX', zip: '78701' },
+  fulfillments: [
+    { id: 'REPLACE_WITH_SUBSCRIPTION_ID-1', seq: 1, fulfillmentDate: new Date(2026, 8, 20), status: 'Delivered', statusDates: {} },
+    { id: 'REPLACE_WITH_SUBSCRIPTION_ID-2', seq: 2, fulfillmentDate: new Date(2026, 9, 20), status: 'Scheduled', statusDates: {} },
+  ],
+  communicationLog: [],
+});
+
+describe('pharmacy event fixtures', () => {
+  test('there is a fixture for every event type', () => {
+    expect(fixtures.map(({ event }) => event.type).sort()).toEqual(Object.keys(EVENT_TRANSITIONS).sort());
+  });
+
+  test.each(fixtures.map(({ file, event }) => [file, event]))('%s is a valid event', (file, event) => {
+    expect(validatePharmacyEvent(event)).toBe(event);
+  });
+
+  test.each([
+    ['subscriptionId', 42],
+    ['subscriptionId', 'subs/other'],
+    ['fulfillmentId', { id: 'x' }],
+    ['fulfillmentId', ''],
+    ['id', 'evt/1'],
+  ])('rejects an event whose %s is %p', (field, value) => {
+    expect(() => validatePharmacyEvent({ ...fixtureOfType('intake.sent'), [field]: value }))
+      .toThrow(`Event "${field}" must be a non-empty string without slashes.`);
+  });
+
+  test('applied in order, they take a fulfillment from scheduled to shipped', () => {
+    const order = ['intake.sent', 'patient.responded', 'erx.received', 'shipment.created'];
+    const shipped = order.reduce((sub, type) => {
+      const { fulfillments, logEntry } = applyPharmacyEvent(sub, fixtureOfType(type), NOW);
+      return { ...sub, fulfillments, communicationLog: [...sub.communicationLog, logEntry] };
+    }, placeholderSubscription());
+
+    expect(shipped.fulfillments[1]).toMatchObject({ status: 'Shipped', rxId: 'RX-FIXTURE-0002', tracking: '1Z999AA10123456784', carrier: 'ups' });
+    expect(shipped.communicationLog.map(entry => entry.actor)).toEqual(['System', 'System', 'System', 'System']);
+    expect(shipped.communicationLog[3].message).toContain('(event evt_fixture_shipment_created)');
+  });
+});
@@ -0,0 +1,85 @@
+import { formatDate, toCalendarDay } from './dates';
+import { isOpen, isShipped, sortByDate } from './fulfillments';
+
+// --- Prescriptions ---
+// Each subscription dispenses against one prescription:
+//   prescription { rxNumber, writtenDate, expirationDate, refillsAuthorized, refillsRemaining }
+// Shipped fulfillments record the rxNumber they were dispensed under. The first shipment under
+// an RX number is the original fill and every later one uses a refill, so refillsRemaining is
+// recomputed from the fulfillments on every write rather than counted down separately.
+
+export const MAX_REFILLS = 11;
+
+// Why an open fulfillment cannot be dispensed under the current prescription.
+export const RENEWAL_REASONS = {
+  expired: 'Prescription expired',
+  noRefills: 'No refills left',
+};
+
+const fillsUnder = (fulfillments, rxNumber) => (
+  fulfillments.filter(f => isShipped(f) && f.rxNumber === rxNumber).length
+);
+
+export const refillsRemaining = (prescription, fulfillments) => (
+  Math.max(prescription.refillsAuthorized - Math.max(fillsUnder(fulfillments, prescription.rxNumber) - 1, 0), 0)
+);
+
+// Shipments the prescription still covers, counting the original fill if it has not shipped.
+const fillsAvailable = (prescription, fulfillments) => (
+  prescription.refillsAuthorized + 1 - fillsUnder(fulfillments, prescription.rxNumber)
+);
+
+export const isExpired = (prescription, date) => toCalendarDay(date) > prescription.expirationDate;
+
+// Why nothing can be dispensed under the prescription today, or null when it can.
+export const dispenseProblem = (prescription, fulfillments, now = new Date()) => {
+  if (isExpired(prescription, now)) return `RX ${prescription.rxNumber} expired on ${formatDate(prescription.expirationDate)}.`;
+  if (fillsAvailable(prescription, fulfillments) <= 0) return `RX ${prescription.rxNumber} has no refills left.`;
+  return null;
+};
+
+// The renewal reason for every open fulfillment, in date order: each uses up one fill, and a
+// fulfillment due after the expiration date cannot be dispensed at all.
+const coverage = (prescription, fulfillments) => {
+  let available = fillsAvailable(prescription, fulfillments);
+  return new Map(sortByDate(fulfillments).filter(isOpen).map(f => {
+    if (isExpired(prescription, f.fulfillmentDate)) return [f.id, 'expired'];
+    if (available <= 0) return [f.id, 'noRefills'];
+    available -= 1;
+    return [f.id, null];
+  }));
+};
+
+const describeRenewal = (fulfillment, reason, prescription, moved) => {
+  const why = reason === 'expired'
+    ? `RX ${prescription.rxNumber} expires ${formatDate(prescription.expirationDate)}`
+    : `RX ${prescription.rxNumber} has no refills left`;
+  return `Fulfillment ${fulfillment.id} (${formatDate(fulfillment.fulfillmentDate)}) needs a prescription renewal: ${why}.${moved ? ' Moved to Awaiting RX.' : ''}`;
+};
+
+// Flags open fulfillments the prescription does not cover with `renewalNeeded` and moves the ones
+// that have not reached the eRx step back to "Awaiting RX", so no work starts on them until a new
+// prescription is on file. Returns the fulfillments, the updated prescription and a log message
+// for every newly flagged fulfillment. Subscriptions without a prescription are left alone.
+export const reconcilePrescription = (sub) => {
+  const { prescription, fulfillments } = sub;
+  if (!prescription) return { fulfillments, prescription, messages: [] };
+
+  const reasons = coverage(prescription, fulfillments);
+  const messages = [];
+  const reconciled = fulfillments.map(f => {
+    const reason = reasons.get(f.id) || null;
+    if (!reason) return f.renewalNeeded ? { ...f, renewalNeeded: null } : f;
+    if (f.renewalNeeded === reason) return f;
+
+    const moved = f.status === 'Scheduled' || f.status === 'Intake Sent';
+    messages.push(describeRenewal(f, reason, prescription, moved));
+    return { ...f, renewalNeeded: reason, ...(moved ? { status: 'Awaiting RX' } : {}) };
+  });
+
+  return {
+    fulfillments: reconciled,
+    prescription: { ...prescription, refillsRemaining: refillsRemaining(prescription, reconciled) },
+    messages,
+  };
+};
@@ -0,0 +1,15 @@
+// --- Provider Selection ---
+// outreach/, shipping/ and approvals/ each have a stand-in that works offline and an "http"
+// implementation that goes through a Netlify function. An environment variable chooses the kind;
+// when it is unset, dashboards on Firestore use "http" and the local store the stand-in.
+// `factories` maps each kind to a function of the options passed to create.
+export const providerSelection = ({ name, envVar, standIn, factories }) => {
+  const kinds = Object.keys(factories).map(kind => `"${kind}"`).join(' or ');
+  return {
+    resolveKind: (storeKind, env = process.env) => env[envVar] || (storeKind === 'firestore' ? 'http' : standIn),
+    create: (kind, options = {}) => {
+      if (!factories[kind]) throw new Error(`Unknown ${name} "${kind}". Use ${kinds}.`);
+      return factories[kind](options);
+    },
+  };
+};
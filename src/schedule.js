@@ -0,0 +1,202 @@
+import { addDays, addMonths, toCalendarDay, parseCalendarDay, toIsoDay, formatDate } from './dates';
+import { assignFulfillmentIds, isOpen, sortByDate } from './fulfillments';
+import { isScheduleII } from './drugCatalog';
+
+// --- Subscription Schedules ---
+// A subscription's fulfillment dates come from its first date and cadence:
+//   cadence: { type: 'interval', days: 30 | 60 | 90 } or { type: 'monthly', dayOfMonth: 1-31 }
+//   duration: number of fulfillments, or null when autoRenew is set
+//   autoRenew: open-ended; the next fulfillment is generated as earlier ones ship
+// Monthly dates always aim for `dayOfMonth`, so clamping to the end of a short month never
+// carries over into later months.
+
+export const INTERVAL_DAYS = [30, 60, 90];
+export const MAX_DURATION = 36;
+
+// Open-ended subscriptions keep this many unshipped fulfillments on the books.
+export const UPCOMING_RENEWALS = 2;
+
+// Subscriptions created before cadences existed were monthly from their start date.
+export const cadenceOf = (sub) => sub.cadence || { type: 'monthly', dayOfMonth: sub.startDate.getDate() };
+
+export const describeCadence = (cadence) => (
+  cadence.type === 'interval' ? `Every ${cadence.days} days` : `Monthly on day ${cadence.dayOfMonth}`
+);
+
+export const describeSchedule = (sub) => {
+  const cadence = describeCadence(cadenceOf(sub));
+  if (sub.autoRenew) return `${cadence}, auto-renewing`;
+  return sub.duration ? `${cadence}, ${sub.duration} fulfillment${sub.duration === 1 ? '' : 's'}` : cadence;
+};
+
+// The first monthly date falls on `dayOfMonth` in the start month, or the next month if that day
+// has already passed.
+const firstMonthlyDate = (startDate, dayOfMonth) => {
+  const sameMonth = addMonths(startDate, 0, dayOfMonth);
+  return sameMonth < startDate ? addMonths(startDate, 1, dayOfMonth) : sameMonth;
+};
+
+export const scheduledDate = (startDate, cadence, index) => (
+  cadence.type === 'interval'
+    ? addDays(startDate, index * cadence.days)
+    : addMonths(firstMonthlyDate(startDate, cadence.dayOfMonth), index, cadence.dayOfMonth)
+);
+
+// One cadence step after `date`.
+export const nextScheduledDate = (cadence, date) => {
+  const day = toCalendarDay(date);
+  return cadence.type === 'interval' ? addDays(day, cadence.days) : addMonths(day, 1, cadence.dayOfMonth);
+};
+
+const appendScheduled = (sub, fulfillments, count) => {
+  const cadence = cadenceOf(sub);
+  let date = sortByDate(fulfillments)[fulfillments.length - 1].fulfillmentDate;
+  const added = Array.from({ length: count }, () => {
+    date = nextScheduledDate(cadence, date);
+    return { fulfillmentDate: date, status: 'Scheduled', tracking: null, rxId: null };
+  });
+  return assignFulfillmentIds(sub.id, [...fulfillments, ...added]);
+};
+
+const initialFulfillmentCount = ({ duration, autoRenew }) => (autoRenew ? UPCOMING_RENEWALS : duration);
+
+// The fulfillments a new subscription starts with: the first is ready to ship under the
+// prescription it was created with, the others are scheduled.
+export const initialFulfillments = (schedule, rxNumber) => (
+  Array.from({ length: initialFulfillmentCount(schedule) }, (_, i) => ({
+    seq: i + 1,
+    fulfillmentDate: scheduledDate(schedule.startDate, schedule.cadence, i),
+    status: i === 0 ? 'RX Received' : 'Scheduled',
+    tracking: null,
+    rxId: i === 0 ? rxNumber : null,
+  }))
+);
+
+// Tops up an auto-renewing subscription's fulfillments so UPCOMING_RENEWALS are still open.
+// Call it with the fulfillments about to be written; other subscriptions are returned unchanged.
+export const renewFulfillments = (sub, fulfillments) => {
+  if (!sub.autoRenew) return fulfillments;
+  const missing = UPCOMING_RENEWALS - fulfillments.filter(isOpen).length;
+  return missing > 0 ? appendScheduled(sub, fulfillments, missing) : fulfillments;
+};
+
+// --- Schedule Changes ---
+// Each plan checks the change against the latest subscription and returns { changes, message }:
+// the fields to write and the log entry text. They throw a ScheduleError when the change is not
+// possible.
+
+export class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const requireCount = (count) => {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_DURATION) {
+    throw new ScheduleError(`Enter a number of fulfillments between 1 and ${MAX_DURATION}.`);
+  }
+};
+
+const requireFixedLength = (sub) => {
+  if (sub.autoRenew) throw new ScheduleError('Open-ended subscriptions renew automatically; their length cannot be changed.');
+};
+
+export const planReschedule = (fulfillment, isoDate) => {
+  if (!isOpen(fulfillment)) throw new ScheduleError(`A ${fulfillment.status.toLowerCase()} fulfillment cannot be rescheduled.`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(isoDate || '')) throw new ScheduleError('Choose the new date.');
+  const fulfillmentDate = parseCalendarDay(isoDate);
+  if (toIsoDay(toCalendarDay(fulfillment.fulfillmentDate)) === isoDate) throw new ScheduleError('Choose a different date.');
+  return {
+    changes: { fulfillmentDate },
+    message: `Rescheduled fulfillment ${fulfillment.id} from ${formatDate(fulfillment.fulfillmentDate)} to ${formatDate(fulfillmentDate)}.`,
+  };
+};
+
+export const planExtend = (sub, count) => {
+  requireFixedLength(sub);
+  if (isScheduleII(sub.deaSchedule)) throw new ScheduleError('Schedule II drugs need a new prescription for every fill; start a new subscription instead.');
+  requireCount(count);
+  const fulfillments = appendScheduled(sub, sub.fulfillments, count);
+  const through = sortByDate(fulfillments)[fulfillments.length - 1].fulfillmentDate;
+  return {
+    changes: { fulfillments, duration: (sub.duration || sub.fulfillments.length) + count },
+    message: `Subscription extended by ${plural(count, 'fulfillment')}, through ${formatDate(through)}.`,
+  };
+};
+
+// Shortening cancels the latest fulfillments that have not started yet.
+export const planShorten = (sub, count) => {
+  requireFixedLength(sub);
+  requireCount(count);
+  const removable = sortByDate(sub.fulfillments).filter(f => f.status === 'Scheduled').slice(-count);
+  if (removable.length < count) {
+    throw new ScheduleError(`Only ${plural(removable.length, 'fulfillment')} ha${removable.length === 1 ? 's' : 've'} not started yet.`);
+  }
+  const ids = removable.map(f => f.id);
+  return {
+    changes: {
+      fulfillments: sub.fulfillments.map(f => (ids.includes(f.id) ? { ...f, status: 'Cancelled', reason: 'Subscription shortened.' } : f)),
+      duration: Math.max((sub.duration || sub.fulfillments.length) - count, 0),
+    },
+    message: `Subscription shortened by ${plural(count, 'fulfillment')}; cancelled ${ids.join(', ')}.`,
+  };
+};
+
+// Pausing puts the subscription on hold; resuming releases it and moves every open fulfillment
+// due on or after the pause date later by the length of the pause.
+export const planPause = (sub, reason, now = new Date()) => {
+  if (sub.hold) throw new ScheduleError(`This subscription is already ${sub.hold === 'Cancelled' ? 'cancelled' : 'on hold'}.`);
+  if (!reason || !reason.trim()) throw new ScheduleError('A reason is required.');
+  return {
+    changes: { hold: 'On Hold', holdReason: reason.trim(), pausedAt: toCalendarDay(now) },
+    message: `Subscription paused. Reason: ${reason.trim()}`,
+  };
+};
+
+export const planResume = (sub, now = new Date()) => {
+  if (sub.hold !== 'On Hold') throw new ScheduleError('This subscription is not paused.');
+  const days = sub.pausedAt ? Math.round((toCalendarDay(now) - toCalendarDay(sub.pausedAt)) / DAY_MS) : 0;
+  const shifted = [];
+  const fulfillments = sub.fulfillments.map(f => {
+    if (days <= 0 || !isOpen(f) || f.fulfillmentDate < sub.pausedAt) return f;
+    shifted.push(f.id);
+    return { ...f, fulfillmentDate: addDays(toCalendarDay(f.fulfillmentDate), days) };
+  });
+  const detail = shifted.length > 0 ? ` Moved ${plural(shifted.length, 'fulfillment')} later by ${plural(days, 'day')}.` : '';
+  return {
+    changes: { hold: null, holdReason: '', pausedAt: null, fulfillments },
+    message: `Subscription resumed after ${plural(days, 'day')}.${detail}`,
+  };
+};
+
+// --- Schedule Form Values ---
+export const toScheduleValues = (sub) => {
+  const cadence = sub ? cadenceOf(sub) : { type: 'interval', days: 30 };
+  const firstDate = toCalendarDay(sub ? sub.startDate : new Date());
+  return {
+    firstDate: toIsoDay(firstDate),
+    cadenceType: cadence.type,
+    intervalDays: String(cadence.days || 30),
+    dayOfMonth: String(cadence.dayOfMonth || firstDate.getUTCDate()),
+    duration: sub?.duration ? String(sub.duration) : '1',
+    autoRenew: !!sub?.autoRenew,
+  };
+};
+
+// Expects values that passed validateSchedule.
+export const fromScheduleValues = (values) => {
+  const autoRenew = values.autoRenew;
+  return {
+    startDate: parseCalendarDay(values.firstDate),
+    cadence: values.cadenceType === 'interval'
+      ? { type: 'interval', days: parseInt(values.intervalDays, 10) }
+      : { type: 'monthly', dayOfMonth: parseInt(values.dayOfMonth, 10) },
+    duration: autoRenew ? null : parseInt(values.duration, 10),
+    autoRenew,
+  };
+};
@@ -0,0 +1,130 @@
+import { parseCalendarDay, toIsoDay } from './dates';
+import {
+  ScheduleError, scheduledDate, initialFulfillments, renewFulfillments,
+  planReschedule, planExtend, planShorten, planPause, planResume,
+} from './schedule';
+
+const day = parseCalendarDay;
+const isoDays = (fulfillments) => fulfillments.map(f => toIsoDay(f.fulfillmentDate));
+
+const fulfillment = (seq, isoDate, status = 'Scheduled') => ({ id: `sub-1-${seq}`, seq, fulfillmentDate: day(isoDate), status });
+
+const subscriptionWith = (overrides = {}) => ({
+  id: 'sub-1',
+  startDate: day('2026-01-31'),
+  cadence: { type: 'monthly', dayOfMonth: 31 },
+  duration: 3,
+  autoRenew: false,
+  fulfillments: [
+    fulfillment(1, '2026-01-31', 'Delivered'),
+    fulfillment(2, '2026-02-28'),
+    fulfillment(3, '2026-03-31'),
+  ],
+  ...overrides,
+});
+
+describe('scheduledDate', () => {
+  test('monthly dates clamp to short months without drifting', () => {
+    const cadence = { type: 'monthly', dayOfMonth: 31 };
+    expect([0, 1, 2, 3].map(i => toIsoDay(scheduledDate(day('2026-01-31'), cadence, i)))).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  test('a monthly day already past in the start month begins the next month', () => {
+    expect(toIsoDay(scheduledDate(day('2026-01-20'), { type: 'monthly', dayOfMonth: 5 }, 0))).toBe('2026-02-05');
+  });
+
+  test('intervals count days from the first date', () => {
+    expect(toIsoDay(scheduledDate(day('2026-01-31'), { type: 'interval', days: 30 }, 2))).toBe('2026-04-01');
+  });
+});
+
+describe('initialFulfillments', () => {
+  test('the first is ready to ship under the prescription and the rest are scheduled', () => {
+    const schedule = { startDate: day('2026-01-01'), cadence: { type: 'interval', days: 90 }, duration: 3, autoRenew: false };
+    const created = initialFulfillments(schedule, 'RX-7');
+    expect(created.map(f => [f.seq, f.status, f.rxId])).toEqual([[1, 'RX Received', 'RX-7'], [2, 'Scheduled', null], [3, 'Scheduled', null]]);
+    expect(isoDays(created)).toEqual(['2026-01-01', '2026-04-01', '2026-06-30']);
+  });
+
+  test('auto-renewing subscriptions start with the upcoming renewals', () => {
+    const schedule = { startDate: day('2026-01-01'), cadence: { type: 'interval', days: 30 }, duration: null, autoRenew: true };
+    expect(initialFulfillments(schedule, 'RX-7')).toHaveLength(2);
+  });
+});
+
+describe('renewFulfillments', () => {
+  test('tops auto-renewing subscriptions up to two open fulfillments', () => {
+    const sub = subscriptionWith({ autoRenew: true, duration: null });
+    const shipped = sub.fulfillments.map(f => (f.seq === 2 ? { ...f, status: 'Shipped' } : f));
+    const renewed = renewFulfillments(sub, shipped);
+    expect(isoDays(renewed)).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    expect(renewed[3]).toMatchObject({ id: 'sub-1-4', seq: 4, status: 'Scheduled' });
+  });
+
+  test('leaves fixed-length subscriptions alone', () => {
+    const sub = subscriptionWith();
+    expect(renewFulfillments(sub, sub.fulfillments)).toBe(sub.fulfillments);
+  });
+});
+
+describe('planReschedule', () => {
+  test('moves an open fulfillment to the chosen day', () => {
+    expect(toIsoDay(planReschedule(fulfillment(2, '2026-02-28'), '2026-03-02').changes.fulfillmentDate)).toBe('2026-03-02');
+  });
+
+  test('rejects closed fulfillments, missing dates and the same day', () => {
+    expect(() => planReschedule(fulfillment(1, '2026-01-31', 'Delivered'), '2026-02-02')).toThrow('A delivered fulfillment cannot be rescheduled.');
+    expect(() => planReschedule(fulfillment(2, '2026-02-28'), '')).toThrow('Choose the new date.');
+    expect(() => planReschedule(fulfillment(2, '2026-02-28'), '2026-02-28')).toThrow('Choose a different date.');
+  });
+});
+
+describe('planExtend', () => {
+  test('adds fulfillments after the last one and lengthens the subscription', () => {
+    const { changes, message } = planExtend(subscriptionWith(), 2);
+    expect(isoDays(changes.fulfillments).slice(-2)).toEqual(['2026-04-30', '2026-05-31']);
+    expect(changes.duration).toBe(5);
+    expect(message).toMatch(/^Subscription extended by 2 fulfillments, through /);
+  });
+
+  test('refuses open-ended subscriptions, Schedule II drugs and bad counts', () => {
+    expect(() => planExtend(subscriptionWith({ autoRenew: true }), 1)).toThrow(ScheduleError);
+    expect(() => planExtend(subscriptionWith({ deaSchedule: 'CII' }), 1)).toThrow('Schedule II drugs need a new prescription for every fill');
+    expect(() => planExtend(subscriptionWith(), 0)).toThrow('Enter a number of fulfillments between 1 and 36.');
+  });
+});
+
+describe('planShorten', () => {
+  test('cancels the latest fulfillments that have not started', () => {
+    const { changes, message } = planShorten(subscriptionWith(), 1);
+    expect(changes.fulfillments.map(f => f.status)).toEqual(['Delivered', 'Scheduled', 'Cancelled']);
+    expect(changes.duration).toBe(2);
+    expect(message).toBe('Subscription shortened by 1 fulfillment; cancelled sub-1-3.');
+  });
+
+  test('cannot cancel more than have not started', () => {
+    expect(() => planShorten(subscriptionWith(), 3)).toThrow('Only 2 fulfillments have not started yet.');
+  });
+});
+
+describe('pausing and resuming', () => {
+  test('pausing needs a reason and records the day', () => {
+    expect(() => planPause(subscriptionWith(), ' ')).toThrow('A reason is required.');
+    expect(() => planPause(subscriptionWith({ hold: 'On Hold' }), 'Travel')).toThrow('This subscription is already on hold.');
+    const { changes } = planPause(subscriptionWith(), ' Travel ', new Date(2026, 1, 10));
+    expect(changes).toMatchObject({ hold: 'On Hold', holdReason: 'Travel' });
+    expect(toIsoDay(changes.pausedAt)).toBe('2026-02-10');
+  });
+
+  test('resuming moves open fulfillments due after the pause later by its length', () => {
+    const sub = subscriptionWith({ hold: 'On Hold', holdReason: 'Travel', pausedAt: day('2026-02-10') });
+    const { changes, message } = planResume(sub, new Date(2026, 1, 20));
+    expect(isoDays(changes.fulfillments)).toEqual(['2026-01-31', '2026-03-10', '2026-04-10']);
+    expect(changes).toMatchObject({ hold: null, holdReason: '', pausedAt: null });
+    expect(message).toBe('Subscription resumed after 10 days. Moved 2 fulfillments later by 10 days.');
+  });
+
+  test('only paused subscriptions can be resumed', () => {
+    expect(() => planResume(subscriptionWith({ hold: 'Cancelled' }))).toThrow('This subscription is not paused.');
+  });
+});
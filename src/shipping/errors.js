@@ -0,0 +1,7 @@
+// Raised when a label cannot be bought for a fulfillment or the provider rejects the request.
+export class ShippingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShippingError';
+  }
+}
@@ -0,0 +1,24 @@
+import { providerSelection } from '../providerSelection';
+import { createStubShippingProvider } from './stubProvider';
+import { createHttpShippingProvider } from './httpProvider';
+
+// --- Shipping Provider Selection ---
+// Providers implement buyLabel() as described in labels.js. REACT_APP_SHIPPING_PROVIDER chooses
+// it ("stub" or "http"), as providerSelection.js describes; on Firestore "http" buys through the
+// buy-label function.
+const selection = providerSelection({
+  name: 'shipping provider',
+  envVar: 'REACT_APP_SHIPPING_PROVIDER',
+  standIn: 'stub',
+  factories: {
+    stub: () => createStubShippingProvider(),
+    http: ({ getIdToken }) => createHttpShippingProvider({ getIdToken }),
+  },
+});
+
+export const resolveShippingKind = selection.resolveKind;
+export const createShippingProvider = selection.create;
+
+export { createStubShippingProvider, createHttpShippingProvider };
+export { ShippingError } from './errors';
+export * from './labels';
@@ -0,0 +1,55 @@
+import { formatDate } from '../dates';
+import { hasShippingAddress } from '../subscriptionFields';
+import { CARRIERS, detectCarrier, normalizeTrackingNumber, trackingProblem } from '../carriers/carriers';
+import { ShippingError } from './errors';
+
+// --- Shipping Labels ---
+// A label is bought once a fulfillment is ready to ship and kept on it until it ships:
+//   label { carrier, trackingNumber, labelUrl, cost, purchasedAt }
+// Shipping without typing a tracking number uses the label's (fulfillmentMachine.js).
+// Every shipping provider exposes buyLabel(request) -> { carrier, trackingNumber, labelUrl, cost },
+// where request comes from labelRequest below, and throws a ShippingError when it cannot.
+
+// Throws a ShippingError when no label should be bought for the fulfillment: the same
+// subscription checks as shipping it (fulfillmentMachine.js), since a label is only bought to ship.
+export const labelRequest = (sub, fulfillment) => {
+  if (sub.archive) throw new ShippingError('This subscription is archived.');
+  if (sub.hold) throw new ShippingError(`This subscription is ${sub.hold === 'Cancelled' ? 'cancelled' : 'on hold'}.`);
+  if (sub.physicianStatus !== 'Approved') throw new ShippingError('The physician has not approved this subscription yet.');
+  if (fulfillment.status !== 'RX Received') throw new ShippingError('A label can only be bought once the RX has been received.');
+  if (fulfillment.label) {
+    throw new ShippingError(`A ${CARRIERS[fulfillment.label.carrier].label} label (${fulfillment.label.trackingNumber}) was already bought for this fulfillment.`);
+  }
+  if (!hasShippingAddress(sub)) throw new ShippingError('The subscription has no shipping address.');
+  return {
+    subscriptionId: sub.id,
+    fulfillmentId: fulfillment.id,
+    reference: sub.prescription?.rxNumber || fulfillment.rxId || fulfillment.id,
+    shipTo: { name: sub.patientName, phone: sub.patient?.phone || null, ...sub.shippingAddress },
+  };
+};
+
+// Like the schedule planners, returns { changes, message } for the fulfillment the label was
+// bought for. Throws a ShippingError when the provider returned an unusable tracking number.
+export const planLabel = (fulfillment, purchased, now = new Date()) => {
+  const problem = trackingProblem(purchased.trackingNumber);
+  if (problem) throw new ShippingError(`The shipping provider returned an unusable label. ${problem}`);
+  const label = {
+    carrier: detectCarrier(purchased.trackingNumber),
+    trackingNumber: normalizeTrackingNumber(purchased.trackingNumber),
+    labelUrl: purchased.labelUrl || null,
+    cost: purchased.cost ?? null,
+    purchasedAt: now,
+  };
+  const cost = label.cost !== null ? ` ($${label.cost.toFixed(2)})` : '';
+  return {
+    changes: { label },
+    message: `Bought a ${CARRIERS[label.carrier].label} label for fulfillment ${fulfillment.id} (${formatDate(fulfillment.fulfillmentDate)}): ${label.trackingNumber}${cost}.`,
+  };
+};
+
+// For the communication log when a label was bought but could not be stored on the fulfillment,
+// so its tracking number is not lost.
+export const describeUnsavedLabel = (fulfillment, purchased) => (
+  `Bought a label for fulfillment ${fulfillment.id} (${formatDate(fulfillment.fulfillmentDate)}) but could not save it on the fulfillment. Tracking number: ${purchased.trackingNumber || 'none returned'}${purchased.labelUrl ? `, label: ${purchased.labelUrl}` : ''}.`
+);
@@ -0,0 +1,52 @@
+import { labelRequest, planLabel } from './labels';
+import { ShippingError } from './errors';
+
+const readyFulfillment = { id: 'sub-1-1', seq: 1, fulfillmentDate: new Date(2026, 9, 20), status: 'RX Received', rxId: 'RX-7' };
+
+const approvedSubscription = (overrides = {}) => ({
+  id: 'sub-1',
+  patientName: 'Alex Doe',
+  physicianStatus: 'Approved',
+  patient: { phone: '5125550100' },
+  shippingAddress: { line1: '1 Main St', city: 'Austin', state: 'TX', zip: '78701' },
+  prescription: { rxNumber: 'RX-7' },
+  fulfillments: [readyFulfillment],
+  ...overrides,
+});
+
+describe('labelRequest', () => {
+  test('ships to the address on file under the RX number', () => {
+    expect(labelRequest(approvedSubscription(), readyFulfillment)).toEqual({
+      subscriptionId: 'sub-1',
+      fulfillmentId: 'sub-1-1',
+      reference: 'RX-7',
+      shipTo: { name: 'Alex Doe', phone: '5125550100', line1: '1 Main St', city: 'Austin', state: 'TX', zip: '78701' },
+    });
+  });
+
+  test.each([
+    ['archived', { archive: { reason: 'Duplicate' } }, 'This subscription is archived.'],
+    ['on hold', { hold: 'On Hold' }, 'This subscription is on hold.'],
+    ['cancelled', { hold: 'Cancelled' }, 'This subscription is cancelled.'],
+    ['not approved', { physicianStatus: 'Requested' }, 'The physician has not approved this subscription yet.'],
+    ['without an address', { shippingAddress: { line1: '1 Main St' } }, 'The subscription has no shipping address.'],
+  ])('refuses subscriptions that are %s', (_, overrides, message) => {
+    expect(() => labelRequest(approvedSubscription(overrides), readyFulfillment)).toThrow(new ShippingError(message));
+  });
+
+  test('refuses fulfillments that are not ready or already have a label', () => {
+    expect(() => labelRequest(approvedSubscription(), { ...readyFulfillment, status: 'Intake Sent' }))
+      .toThrow('A label can only be bought once the RX has been received.');
+    expect(() => labelRequest(approvedSubscription(), { ...readyFulfillment, label: { carrier: 'ups', trackingNumber: '1Z999AA10123456784' } }))
+      .toThrow('A UPS label (1Z999AA10123456784) was already bought for this fulfillment.');
+  });
+});
+
+describe('planLabel', () => {
+  test('stores the label with its carrier and rejects unusable tracking numbers', () => {
+    const now = new Date(2026, 9, 18, 9);
+    const { changes } = planLabel(readyFulfillment, { trackingNumber: '1z999aa10123456784', labelUrl: 'https://labels.example/1', cost: 8.5 }, now);
+    expect(changes.label).toEqual({ carrier: 'ups', trackingNumber: '1Z999AA10123456784', labelUrl: 'https://labels.example/1', cost: 8.5, purchasedAt: now });
+    expect(() => planLabel(readyFulfillment, { trackingNumber: '' })).toThrow(ShippingError);
+  });
+});
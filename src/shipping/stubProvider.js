@@ -0,0 +1,19 @@
+// Stand-in provider for development and training: nothing is bought and no label file exists.
+// It hands back a well-formed UPS tracking number, so shipping and tracking (src/carriers) work
+// end to end against the mock carrier.
+const STUB_SHIPPER = 'STUB00';
+const STUB_SERVICE = '03';
+const STUB_COST = 8.95;
+
+let sequence = 0;
+
+export const createStubShippingProvider = ({ now = () => new Date() } = {}) => ({
+  kind: 'stub',
+
+  async buyLabel(request) {
+    sequence += 1;
+    const serial = String((now().getTime() + sequence) % 100000000).padStart(8, '0');
+    console.info(`[shipping] stub label for ${request.fulfillmentId} to ${request.shipTo.name}, ${request.shipTo.city} ${request.shipTo.state}`);
+    return { carrier: 'ups', trackingNumber: `1Z${STUB_SHIPPER}${STUB_SERVICE}${serial}`, labelUrl: null, cost: STUB_COST };
+  },
+});
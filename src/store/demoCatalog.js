@@ -0,0 +1,14 @@
+// Products the local store's catalog starts with, so the demo can create subscriptions before an
+// NDC file has been imported. The NDCs are well-formed but made up.
+export const DEMO_CATALOG = [
+  { ndc: '00000-0101-30', name: 'Lisinopril', genericName: 'lisinopril', strength: '10 mg', form: 'tablet', packageSize: 30, packageUnit: 'tablet', schedule: null },
+  { ndc: '00000-0102-30', name: 'Lisinopril', genericName: 'lisinopril', strength: '20 mg', form: 'tablet', packageSize: 30, packageUnit: 'tablet', schedule: null },
+  { ndc: '00000-0201-90', name: 'Atorvastatin Calcium', genericName: 'atorvastatin calcium', strength: '20 mg', form: 'tablet, film coated', packageSize: 90, packageUnit: 'tablet, film coated', schedule: null },
+  { ndc: '00000-0301-01', name: 'Metformin Hydrochloride', genericName: 'metformin hydrochloride', strength: '500 mg', form: 'tablet', packageSize: 100, packageUnit: 'tablet', schedule: null },
+  { ndc: '00000-0401-90', name: 'Levothyroxine Sodium', genericName: 'levothyroxine sodium', strength: '50 ug', form: 'tablet', packageSize: 90, packageUnit: 'tablet', schedule: null },
+  { ndc: '00000-0501-90', name: 'Amlodipine Besylate', genericName: 'amlodipine besylate', strength: '5 mg', form: 'tablet', packageSize: 90, packageUnit: 'tablet', schedule: null },
+  { ndc: '00000-0601-30', name: 'Sertraline Hydrochloride', genericName: 'sertraline hydrochloride', strength: '50 mg', form: 'tablet', packageSize: 30, packageUnit: 'tablet', schedule: null },
+  { ndc: '00000-0701-01', name: 'Tramadol Hydrochloride', genericName: 'tramadol hydrochloride', strength: '50 mg', form: 'tablet', packageSize: 100, packageUnit: 'tablet', schedule: 'CIV' },
+  { ndc: '00000-0801-01', name: 'Oxycodone Hydrochloride', genericName: 'oxycodone hydrochloride', strength: '5 mg', form: 'tablet', packageSize: 100, packageUnit: 'tablet', schedule: 'CII' },
+  { ndc: '00000-0901-01', name: 'Methylphenidate Hydrochloride', genericName: 'methylphenidate hydrochloride', strength: '10 mg', form: 'tablet', packageSize: 100, packageUnit: 'tablet', schedule: 'CII' },
+];
@@ -0,0 +1,7 @@
+// Raised when a write is based on data another user has changed in the meantime.
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
@@ -0,0 +1,274 @@
+import { initializeApp } from 'firebase/app';
+import { getFirestore, connectFirestoreEmulator, collection, onSnapshot, doc, getDoc, getDocs, updateDoc, query, where, orderBy, startAfter, limit, runTransaction, writeBatch, arrayUnion, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator, signInWithEmailAndPassword, signOut, onAuthStateChanged } from 'firebase/auth';
+import { applyFulfillmentUpdate } from './fulfillmentUpdate';
+import { withDerivedFields, searchTermFor, HOLD_STATUSES } from '../derivedFields';
+import { dueBound } from '../subscriptionFilters';
+import { auditEvents } from '../audit';
+import { dispensedBy, planDispense } from '../inventory';
+
+const COLLECTION_PATH = 'subscriptions';
+const USERS_PATH = 'users';
+// Audit events live in a subcollection of each subscription; see src/audit.js.
+const AUDIT_PATH = 'audit';
+// Drug catalog entries (src/drugCatalog.js), one document per NDC.
+const CATALOG_PATH = 'drugs';
+// Stock on hand (src/inventory.js), one document per NDC.
+const INVENTORY_PATH = 'inventory';
+// Firestore allows at most 500 writes per batch.
+const BATCH_SIZE = 400;
+
+// Firestore hands back Timestamps wherever we wrote Dates; the rest of the app only deals in Dates.
+const toDates = (value) => {
+  if (value instanceof Timestamp) return value.toDate();
+  if (Array.isArray(value)) return value.map(toDates);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toDates(v)]));
+  }
+  return value;
+};
+
+const fromSnapshot = (snapshot) => {
+  const data = toDates(snapshot.data());
+  return {
+    id: snapshot.id,
+    ...data,
+    fulfillments: data.fulfillments || [],
+    communicationLog: data.communicationLog || [],
+  };
+};
+
+// Translates table filters into query constraints. Only one array-contains clause is allowed per
+// query, so a search term takes precedence over the fulfillment status; whatever is not applied
+// here is applied to the page on the client by filterSubscriptions. Indexes: firestore.indexes.json.
+// Documents without `isArchived` match neither view until backfill-derived-fields has run.
+const pageConstraints = (filters, now) => {
+  const constraints = [where('isArchived', '==', !!filters.archived)];
+  if (HOLD_STATUSES.includes(filters.status)) {
+    constraints.push(where('hold', '==', filters.status));
+  } else if (filters.status) {
+    constraints.push(where('status', '==', filters.status), where('hold', '==', null));
+  }
+  if (filters.physicianStatus) constraints.push(where('physicianStatus', '==', filters.physicianStatus));
+  if (filters.newRxCall) constraints.push(where('newRxCall', '==', true));
+  if (filters.renewalNeeded) constraints.push(where('renewalNeeded', '==', true));
+
+  const term = searchTermFor(filters.q);
+  if (term) constraints.push(where('searchTerms', 'array-contains', term));
+  else if (filters.fulfillmentStatus) constraints.push(where('fulfillmentStatuses', 'array-contains', filters.fulfillmentStatus));
+
+  if (filters.due) {
+    constraints.push(where('nextActionDate', filters.due === 'pastDue' ? '<' : '<=', dueBound(filters.due, now)));
+    constraints.push(orderBy('nextActionDate'));
+  } else {
+    constraints.push(orderBy('sortPriority'), orderBy('nextActionDate'));
+  }
+  return constraints;
+};
+
+export const readFirebaseConfig = () => {
+  const raw = process.env.REACT_APP_FIREBASE_CONFIG;
+  if (!raw) {
+    throw new Error('REACT_APP_FIREBASE_CONFIG is not set. Provide it or set REACT_APP_DATA_STORE=local.');
+  }
+  return JSON.parse(raw);
+};
+
+// REACT_APP_USE_FIREBASE_EMULATORS=true points Auth and Firestore at the local emulators
+// started by `firebase emulators:start` (ports from firebase.json).
+export const createFirestoreStore = (firebaseConfig = readFirebaseConfig(), { useEmulators = process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true' } = {}) => {
+  const app = initializeApp(firebaseConfig);
+  const db = getFirestore(app);
+  const auth = getAuth(app);
+  if (useEmulators) {
+    connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, 'localhost', 8080);
+  }
+
+  const docRef = (id) => doc(db, COLLECTION_PATH, id);
+  const newAuditRef = (id) => doc(collection(db, COLLECTION_PATH, id, AUDIT_PATH));
+  const inventoryRef = (ndc) => doc(db, INVENTORY_PATH, ndc);
+
+  // Set by watchUser; audit events name the signed-in user. The rules check actorId against the
+  // auth uid and `at` against the server time.
+  let signedInUser = null;
+  const currentActor = () => ({
+    actor: signedInUser?.displayName || auth.currentUser?.email || null,
+    actorId: auth.currentUser?.uid || null,
+  });
+  const auditMeta = (source, reference = null) => ({ at: serverTimestamp(), ...currentActor(), source, reference });
+
+  // Runs `fn` against the latest stored document inside a transaction and writes whatever
+  // fields it returns. Firestore re-runs `fn` when the document changes underneath it. A write
+  // that ships takes the quantity off the drug's stock in the same transaction.
+  const mutate = async (id, fn) => {
+    let attempts = 0;
+    await runTransaction(db, async (tx) => {
+      attempts += 1;
+      const snapshot = await tx.get(docRef(id));
+      if (!snapshot.exists()) throw new Error(`Subscription ${id} does not exist.`);
+      const current = fromSnapshot(snapshot);
+      const data = fn(current);
+      if (!data) return;
+      const changes = withDerivedFields(current, data);
+      const dispensed = dispensedBy(current, { ...current, ...changes });
+      const itemSnapshot = dispensed && await tx.get(inventoryRef(dispensed.ndc));
+      tx.update(docRef(id), changes);
+      auditEvents(current, { ...current, ...changes }, auditMeta('ui')).forEach(event => tx.set(newAuditRef(id), event));
+      if (itemSnapshot?.exists()) {
+        tx.update(inventoryRef(dispensed.ndc), planDispense(toDates(itemSnapshot.data()), dispensed, currentActor()).changes);
+      }
+    });
+    return { retried: attempts > 1 };
+  };
+
+  return {
+    kind: 'firestore',
+
+    // Roles live in users/{uid}, maintained by admins (see scripts/set-user-role.js). Accounts
+    // without a profile are signed in with no role and cannot do anything.
+    watchUser(onUser, onError) {
+      return onAuthStateChanged(auth, async (user) => {
+        if (!user) {
+          signedInUser = null;
+          onUser(null);
+          return;
+        }
+        try {
+          const profile = await getDoc(doc(db, USERS_PATH, user.uid));
+          const data = profile.exists() ? profile.data() : {};
+          signedInUser = { uid: user.uid, email: user.email, displayName: data.displayName || user.email, role: data.role || null };
+          onUser(signedInUser);
+        } catch (e) {
+          onError(e);
+        }
+      });
+    },
+
+    async signIn(email, password) {
+      await signInWithEmailAndPassword(auth, email, password);
+    },
+
+    async signOut() {
+      await signOut(auth);
+    },
+
+    // For server functions that act on the user's behalf (send-outreach).
+    async getIdToken() {
+      return auth.currentUser ? auth.currentUser.getIdToken() : null;
+    },
+
+    subscribe(onChange, onError) {
+      const q = query(collection(db, COLLECTION_PATH));
+      return onSnapshot(q, (querySnapshot) => {
+        onChange(querySnapshot.docs.map(fromSnapshot));
+      }, onError);
+    },
+
+    newId() {
+      return doc(collection(db, COLLECTION_PATH)).id;
+    },
+
+    // One page of the table, ordered by priority and next action date. `cursor` is the opaque
+    // nextCursor handed to the previous page's onChange.
+    subscribePage({ filters, pageSize, cursor = null, now = new Date() }, onChange, onError) {
+      const constraints = pageConstraints(filters, now);
+      if (cursor) constraints.push(startAfter(cursor));
+      const q = query(collection(db, COLLECTION_PATH), ...constraints, limit(pageSize + 1));
+      return onSnapshot(q, (querySnapshot) => {
+        const pageDocs = querySnapshot.docs.slice(0, pageSize);
+        onChange({
+          subscriptions: pageDocs.map(fromSnapshot),
+          nextCursor: querySnapshot.docs.length > pageSize ? pageDocs[pageDocs.length - 1] : null,
+        });
+      }, onError);
+    },
+
+    // Active subscriptions with an open fulfillment due by `until`, for reservations.
+    subscribeDueBy(until, onChange, onError) {
+      const q = query(collection(db, COLLECTION_PATH), where('isArchived', '==', false), where('nextActionDate', '<=', until), orderBy('nextActionDate'));
+      return onSnapshot(q, (querySnapshot) => {
+        onChange(querySnapshot.docs.map(fromSnapshot));
+      }, onError);
+    },
+
+    // Every subscription matching the filters, in table order, read once (exports).
+    async list(filters) {
+      const querySnapshot = await getDocs(query(collection(db, COLLECTION_PATH), ...pageConstraints(filters, new Date())));
+      return querySnapshot.docs.map(fromSnapshot);
+    },
+
+    async create(id, data) {
+      const batch = writeBatch(db);
+      const created = withDerivedFields(null, data);
+      batch.set(docRef(id), created);
+      auditEvents(null, created, auditMeta('ui')).forEach(event => batch.set(newAuditRef(id), event));
+      await batch.commit();
+    },
+
+    // Creates in batches; each batch is atomic, the whole call is not. Every document is written
+    // with its audit event, so a batch holds half as many documents.
+    async createMany(entries, reference = null) {
+      for (let i = 0; i < entries.length; i += BATCH_SIZE / 2) {
+        const batch = writeBatch(db);
+        entries.slice(i, i + BATCH_SIZE / 2).forEach(({ id, data }) => {
+          const created = withDerivedFields(null, data);
+          batch.set(docRef(id), created);
+          auditEvents(null, created, auditMeta('import', reference)).forEach(event => batch.set(newAuditRef(id), event));
+        });
+        await batch.commit();
+      }
+    },
+
+    update(id, data) {
+      return mutate(id, () => data);
+    },
+
+    async appendLog(id, entry) {
+      await updateDoc(docRef(id), { communicationLog: arrayUnion(entry) });
+    },
+
+    mutate,
+
+    // Newest first. Pending server timestamps read as the local estimate until they commit.
+    subscribeAudit(id, onChange, onError) {
+      const q = query(collection(db, COLLECTION_PATH, id, AUDIT_PATH), orderBy('at', 'desc'));
+      return onSnapshot(q, (querySnapshot) => {
+        onChange(querySnapshot.docs.map(d => ({ id: d.id, ...toDates(d.data({ serverTimestamps: 'estimate' })) })));
+      }, onError);
+    },
+
+    updateFulfillment(id, fulfillmentId, update) {
+      return mutate(id, sub => applyFulfillmentUpdate(sub, fulfillmentId, update));
+    },
+
+    subscribeCatalog(onChange, onError) {
+      return onSnapshot(collection(db, CATALOG_PATH), (querySnapshot) => {
+        onChange(querySnapshot.docs.map(d => d.data()));
+      }, onError);
+    },
+
+    // Replaces entries with the same NDC. Like createMany, each batch is atomic; the call is not.
+    async importCatalog(entries) {
+      for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        entries.slice(i, i + BATCH_SIZE).forEach(entry => batch.set(doc(db, CATALOG_PATH, entry.ndc), entry));
+        await batch.commit();
+      }
+    },
+
+    subscribeInventory(onChange, onError) {
+      return onSnapshot(collection(db, INVENTORY_PATH), (querySnapshot) => {
+        onChange(querySnapshot.docs.map(d => toDates(d.data())));
+      }, onError);
+    },
+
+    async adjustInventory(ndc, fn) {
+      await runTransaction(db, async (tx) => {
+        const snapshot = await tx.get(inventoryRef(ndc));
+        const changes = fn(snapshot.exists() ? toDates(snapshot.data()) : null);
+        if (changes) tx.set(inventoryRef(ndc), changes, { merge: true });
+      });
+    },
+  };
+};
@@ -0,0 +1,15 @@
+import { renewFulfillments } from '../schedule';
+
+// Shared by the stores: turns an `update(sub, fulfillment) -> { changes, logEntry }` callback into
+// the fulfillments and log fields to write for one fulfillment. Auto-renewing subscriptions get
+// their next fulfillment here once one ships.
+export const applyFulfillmentUpdate = (sub, fulfillmentId, update) => {
+  const fulfillment = sub.fulfillments.find(f => f.id === fulfillmentId);
+  if (!fulfillment) throw new Error(`Fulfillment ${fulfillmentId} does not exist.`);
+
+  const { changes, logEntry } = update(sub, fulfillment);
+  return {
+    fulfillments: renewFulfillments(sub, sub.fulfillments.map(f => (f.id === fulfillmentId ? { ...f, ...changes } : f))),
+    communicationLog: logEntry ? [...sub.communicationLog, logEntry] : sub.communicationLog,
+  };
+};
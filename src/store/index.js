@@ -0,0 +1,55 @@
+import { createFirestoreStore } from './firestoreStore';
+import { createLocalStore } from './localStore';
+
+// --- Data Store Selection ---
+// Every store exposes the same interface:
+//   watchUser(onUser, onError) -> unsubscribe function; onUser receives
+//     { uid, email, displayName, role } or null when signed out
+//   signIn(email, password), signOut(), getIdToken() -> the user's ID token for server functions
+//   subscribe(onChange, onError) -> unsubscribe function; onChange receives every subscription
+//   subscribePage({ filters, pageSize, cursor }, onChange, onError) -> unsubscribe function;
+//     onChange receives { subscriptions, nextCursor } for one page of the table
+//   list(filters) -> every subscription matching the filters, in table order (one-off read)
+//   subscribeDueBy(until, onChange, onError) -> unsubscribe function; onChange receives every
+//     active subscription with an open fulfillment due by `until` (inventory reservations)
+//   newId() -> id for a new subscription
+//   create(id, data), update(id, data)
+//   createMany([{ id, data }], reference) -> bulk create for imports; reference names the file
+//   appendLog(id, entry)
+//   mutate(id, fn) -> { retried }: fn(latest subscription) returns the fields to write, atomically
+//   updateFulfillment(id, fulfillmentId, update) -> { retried }: update(latest subscription,
+//     latest fulfillment) returns { changes, logEntry }, written together in one atomic update
+//   subscribeAudit(id, onChange, onError) -> unsubscribe function; onChange receives the
+//     subscription's audit events (src/audit.js), newest first
+//   subscribeCatalog(onChange, onError) -> unsubscribe function; onChange receives every drug
+//     catalog entry (src/drugCatalog.js)
+//   importCatalog(entries) -> adds the entries, replacing any with the same NDC
+//   subscribeInventory(onChange, onError) -> unsubscribe function; onChange receives every
+//     inventory item (src/inventory.js)
+//   adjustInventory(ndc, fn): fn(latest item, or null when untracked) returns the fields to
+//     write, atomically
+//
+// Every subscription write also stores the fields from derivedFields.js (status,
+// nextActionDate, ...) and appends audit events for the signed-in user, and a write that ships a
+// fulfillment takes its quantity off the drug's inventory item. There is no delete:
+// subscriptions are archived through mutate (src/archive.js).
+//
+// REACT_APP_DATA_STORE chooses the backend ("firestore" or "local"). When it is unset we use
+// Firestore if a Firebase config is present and fall back to the local store otherwise.
+export const resolveStoreKind = (env = process.env) => (
+  env.REACT_APP_DATA_STORE || (env.REACT_APP_FIREBASE_CONFIG ? 'firestore' : 'local')
+);
+
+export const createStore = (kind = resolveStoreKind()) => {
+  switch (kind) {
+    case 'firestore':
+      return createFirestoreStore();
+    case 'local':
+      return createLocalStore();
+    default:
+      throw new Error(`Unknown data store "${kind}". Use "firestore" or "local".`);
+  }
+};
+
+export { createFirestoreStore, createLocalStore };
+export { ConflictError } from './errors';
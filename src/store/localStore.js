@@ -0,0 +1,267 @@
+import { applyFulfillmentUpdate } from './fulfillmentUpdate';
+import { deriveFields, withDerivedFields } from '../derivedFields';
+import { filterSubscriptions } from '../subscriptionFilters';
+import { auditEvents } from '../audit';
+import { getNextActionableDate } from '../fulfillments';
+import { DEMO_CATALOG } from './demoCatalog';
+import { dispensedBy, planDispense } from '../inventory';
+import { defaultStorage } from '../browserStorage';
+
+const STORAGE_KEY = 'prescription-dashboard:subscriptions';
+const SESSION_KEY = 'prescription-dashboard:session';
+
+// Demo accounts for the local store; every one signs in with the password "demo".
+export const LOCAL_USERS = [
+  { uid: 'local-technician', email: 'tech@demo.local', displayName: 'Terry Technician', role: 'technician' },
+  { uid: 'local-pharmacist', email: 'pharmacist@demo.local', displayName: 'Pat Pharmacist', role: 'pharmacist' },
+  { uid: 'local-admin', email: 'admin@demo.local', displayName: 'Alex Admin', role: 'admin' },
+];
+const LOCAL_PASSWORD = 'demo';
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// Dates survive the JSON round trip as ISO strings; turn them back into Dates on the way out.
+const reviveDates = (key, value) => (typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value);
+const clone = (value) => JSON.parse(JSON.stringify(value), reviveDates);
+
+const generateId = () => `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// In-memory store for offline demos, training and component tests. Pass `storage: null` to keep
+// everything in memory; otherwise documents are mirrored to localStorage.
+export const createLocalStore = ({ storage = defaultStorage(), storageKey = STORAGE_KEY, seed = [], catalog: seedCatalog = DEMO_CATALOG, users = LOCAL_USERS, user = null } = {}) => {
+  const load = () => {
+    const raw = storage?.getItem(storageKey);
+    return raw ? JSON.parse(raw, reviveDates) : clone(seed);
+  };
+
+  // Audit events per subscription id, kept under their own key and only ever appended to.
+  const auditKey = `${storageKey}:audit`;
+  const loadAudit = () => {
+    const raw = storage?.getItem(auditKey);
+    return raw ? JSON.parse(raw, reviveDates) : {};
+  };
+  let audit = loadAudit();
+  const auditListeners = new Map();
+
+  // The drug catalog (src/drugCatalog.js), keyed by NDC.
+  const catalogKey = `${storageKey}:catalog`;
+  const loadCatalog = () => {
+    const raw = storage?.getItem(catalogKey);
+    return raw ? JSON.parse(raw) : clone(seedCatalog);
+  };
+  let catalog = loadCatalog();
+  const catalogListeners = new Set();
+
+  // Stock on hand (src/inventory.js), keyed by NDC.
+  const inventoryKey = `${storageKey}:inventory`;
+  const loadInventory = () => {
+    const raw = storage?.getItem(inventoryKey);
+    return raw ? JSON.parse(raw, reviveDates) : [];
+  };
+  let inventory = loadInventory();
+  const inventoryListeners = new Set();
+
+  const withDefaults = ({ fulfillments = [], communicationLog = [], ...rest }) => ({ ...rest, fulfillments, communicationLog });
+  const withDerived = (doc) => ({ ...doc, ...deriveFields(doc) });
+
+  let docs = load().map(d => withDerived(withDefaults(d)));
+  const listeners = new Set();
+
+  let currentUser = user || users.find(u => u.uid === storage?.getItem(SESSION_KEY)) || null;
+  const userListeners = new Set();
+  const setUser = (nextUser) => {
+    currentUser = nextUser;
+    if (nextUser) storage?.setItem(SESSION_KEY, nextUser.uid);
+    else storage?.removeItem(SESSION_KEY);
+    userListeners.forEach(listener => listener(currentUser));
+  };
+
+  const persist = () => {
+    storage?.setItem(storageKey, JSON.stringify(docs));
+  };
+
+  const snapshot = () => docs.map(d => clone(withDefaults(d)));
+
+  const currentActor = () => ({
+    actor: currentUser ? currentUser.displayName || currentUser.email : null,
+    actorId: currentUser?.uid || null,
+  });
+  const auditMeta = (source, reference = null) => ({ at: new Date(), ...currentActor(), source, reference });
+
+  const auditFor = (id) => [...(audit[id] || [])].reverse().map(clone);
+
+  const recordAudit = (id, events) => {
+    if (events.length === 0) return;
+    audit = { ...audit, [id]: [...(audit[id] || []), ...clone(events)] };
+    storage?.setItem(auditKey, JSON.stringify(audit));
+    (auditListeners.get(id) || new Set()).forEach(listener => listener(auditFor(id)));
+  };
+
+  const commit = (nextDocs) => {
+    docs = nextDocs;
+    persist();
+    const subs = snapshot();
+    listeners.forEach(listener => listener(subs));
+  };
+
+  const setInventoryItem = (ndc, fields) => {
+    const current = inventory.find(item => item.ndc === ndc);
+    const next = clone({ ...current, ...fields });
+    inventory = current ? inventory.map(item => (item.ndc === ndc ? next : item)) : [...inventory, next];
+    storage?.setItem(inventoryKey, JSON.stringify(inventory));
+    inventoryListeners.forEach(listener => listener(clone(inventory)));
+  };
+
+  const find = (id) => {
+    const sub = docs.find(d => d.id === id);
+    if (!sub) throw new Error(`Subscription ${id} does not exist.`);
+    return sub;
+  };
+
+  // `fn` receives the stored document and returns the fields to change. Shipping also takes the
+  // quantity off the drug's stock, as on Firestore.
+  const replace = (id, fn) => {
+    const current = find(id);
+    const changes = withDerivedFields(current, fn(current));
+    const next = withDefaults({ ...current, ...changes });
+    commit(docs.map(d => (d.id === id ? next : d)));
+    recordAudit(id, auditEvents(current, next, auditMeta('ui')));
+    const dispensed = dispensedBy(current, next);
+    const item = dispensed && inventory.find(i => i.ndc === dispensed.ndc);
+    if (item) setInventoryItem(item.ndc, planDispense(item, dispensed, currentActor()).changes);
+  };
+
+  // Mirrors the Firestore page query: same ordering, cursors are offsets into the filtered list.
+  const page = ({ filters, pageSize, cursor, now }) => {
+    const byDate = (a, b) => a.nextActionDate - b.nextActionDate;
+    const ordered = filterSubscriptions(snapshot(), filters, now).sort((a, b) => (
+      filters.due ? byDate(a, b) : (a.sortPriority - b.sortPriority) || byDate(a, b)
+    ));
+    const offset = cursor || 0;
+    return {
+      subscriptions: ordered.slice(offset, offset + pageSize),
+      nextCursor: ordered.length > offset + pageSize ? offset + pageSize : null,
+    };
+  };
+
+  // Same contract as the Firestore store: `fn` sees the latest document and returns the fields
+  // to write. Writes here never interleave, so there is nothing to retry.
+  const mutate = async (id, fn) => {
+    const data = fn(clone(withDefaults(find(id))));
+    if (data) replace(id, () => clone(data));
+    return { retried: false };
+  };
+
+  return {
+    kind: 'local',
+
+    watchUser(onUser) {
+      userListeners.add(onUser);
+      onUser(currentUser);
+      return () => userListeners.delete(onUser);
+    },
+
+    async signIn(email, password) {
+      const account = users.find(u => u.email === email.trim().toLowerCase());
+      if (!account || password !== LOCAL_PASSWORD) throw new Error('Invalid email or password.');
+      setUser(account);
+    },
+
+    async signOut() {
+      setUser(null);
+    },
+
+    async getIdToken() {
+      return null;
+    },
+
+    subscribe(onChange) {
+      listeners.add(onChange);
+      onChange(snapshot());
+      return () => listeners.delete(onChange);
+    },
+
+    subscribePage(options, onChange) {
+      const listener = () => onChange(page({ now: new Date(), ...options }));
+      listeners.add(listener);
+      listener();
+      return () => listeners.delete(listener);
+    },
+
+    subscribeDueBy(until, onChange) {
+      const listener = () => onChange(snapshot().filter(sub => !sub.archive && getNextActionableDate(sub) && getNextActionableDate(sub) <= until));
+      listeners.add(listener);
+      listener();
+      return () => listeners.delete(listener);
+    },
+
+    newId() {
+      return generateId();
+    },
+
+    async list(filters) {
+      return page({ filters, pageSize: Infinity, cursor: 0, now: new Date() }).subscriptions;
+    },
+
+    async create(id, data) {
+      const doc = withDefaults(clone({ ...data, id }));
+      const created = { ...doc, ...withDerivedFields(null, doc) };
+      commit([...docs, created]);
+      recordAudit(id, auditEvents(null, created, auditMeta('ui')));
+    },
+
+    async createMany(entries, reference = null) {
+      const created = entries.map(({ id, data }) => {
+        const doc = withDefaults(clone({ ...data, id }));
+        return { ...doc, ...withDerivedFields(null, doc) };
+      });
+      commit([...docs, ...created]);
+      created.forEach(doc => recordAudit(doc.id, auditEvents(null, doc, auditMeta('import', reference))));
+    },
+
+    async update(id, data) {
+      replace(id, () => clone(data));
+    },
+
+    async appendLog(id, entry) {
+      replace(id, current => ({ communicationLog: [...current.communicationLog, clone(entry)] }));
+    },
+
+    mutate,
+
+    subscribeAudit(id, onChange) {
+      const forId = auditListeners.get(id) || new Set();
+      auditListeners.set(id, forId);
+      forId.add(onChange);
+      onChange(auditFor(id));
+      return () => forId.delete(onChange);
+    },
+
+    updateFulfillment(id, fulfillmentId, update) {
+      return mutate(id, sub => applyFulfillmentUpdate(sub, fulfillmentId, update));
+    },
+
+    subscribeCatalog(onChange) {
+      catalogListeners.add(onChange);
+      onChange(clone(catalog));
+      return () => catalogListeners.delete(onChange);
+    },
+
+    async importCatalog(entries) {
+      const imported = new Map(entries.map(entry => [entry.ndc, entry]));
+      catalog = [...catalog.filter(entry => !imported.has(entry.ndc)), ...clone(entries)];
+      storage?.setItem(catalogKey, JSON.stringify(catalog));
+      catalogListeners.forEach(listener => listener(clone(catalog)));
+    },
+
+    subscribeInventory(onChange) {
+      inventoryListeners.add(onChange);
+      onChange(clone(inventory));
+      return () => inventoryListeners.delete(onChange);
+    },
+
+    async adjustInventory(ndc, fn) {
+      const changes = fn(clone(inventory.find(item => item.ndc === ndc) || null));
+      if (changes) setInventoryItem(ndc, changes);
+    },
+  };
+};
@@ -0,0 +1,128 @@
+import { createLocalStore } from './localStore';
+import { DEFAULT_FILTERS } from '../subscriptionFilters';
+import { NO_NEXT_ACTION } from '../derivedFields';
+
+const USER = { uid: 'u1', email: 'pat@demo.local', displayName: 'Pat', role: 'pharmacist' };
+
+const subscriptionData = (overrides = {}) => ({
+  patientName: 'Alex Doe',
+  drugName: 'Atorvastatin',
+  physicianStatus: 'Approved',
+  fulfillments: [
+    { id: 'sub-1-1', seq: 1, fulfillmentDate: new Date('2026-10-20T12:00:00.000Z'), status: 'Scheduled' },
+    { id: 'sub-1-2', seq: 2, fulfillmentDate: new Date('2026-11-20T12:00:00.000Z'), status: 'Scheduled' },
+  ],
+  ...overrides,
+});
+
+// The latest value a store listener was called with.
+const latest = (subscribeTo) => {
+  let value;
+  const unsubscribe = subscribeTo((next) => { value = next; });
+  unsubscribe();
+  return value;
+};
+
+const storedSubscription = (store, id) => latest(onChange => store.subscribe(onChange)).find(sub => sub.id === id);
+
+// A localStorage stand-in.
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+describe('createLocalStore', () => {
+  test('create stores the derived fields and a create audit event', async () => {
+    const store = createLocalStore({ storage: null, user: USER });
+    await store.create('sub-1', subscriptionData());
+
+    expect(storedSubscription(store, 'sub-1')).toMatchObject({
+      status: 'Approved',
+      nextActionDate: new Date('2026-10-20T12:00:00.000Z'),
+      isArchived: false,
+      communicationLog: [],
+    });
+    expect(storedSubscription(store, 'sub-1').searchTerms).toContain('ato');
+    expect(latest(onChange => store.subscribeAudit('sub-1', onChange))).toEqual([
+      expect.objectContaining({ action: 'create', actor: 'Pat', actorId: 'u1', source: 'ui' }),
+    ]);
+  });
+
+  test('update recomputes the derived fields and audits each changed field, newest first', async () => {
+    const store = createLocalStore({ storage: null, user: USER });
+    await store.create('sub-1', subscriptionData({ physicianStatus: 'Pending' }));
+    await store.update('sub-1', { physicianStatus: 'Approved' });
+
+    const sub = storedSubscription(store, 'sub-1');
+    expect(sub.status).toBe('Approved');
+    expect(sub.communicationLog.map(entry => entry.message)).toEqual(['Status changed from Pending to Approved.']);
+    expect(latest(onChange => store.subscribeAudit('sub-1', onChange))[0]).toMatchObject({ action: 'update', field: 'physicianStatus', from: 'Pending', to: 'Approved' });
+  });
+
+  test('mutate hands fn the latest document and writes what it returns', async () => {
+    const store = createLocalStore({ storage: null, user: USER });
+    await store.create('sub-1', subscriptionData());
+    const fn = jest.fn(sub => ({ communicationLog: [...sub.communicationLog, { date: new Date(), message: 'Called.' }] }));
+
+    await expect(store.mutate('sub-1', fn)).resolves.toEqual({ retried: false });
+    await store.mutate('sub-1', fn);
+    expect(fn.mock.calls[1][0].communicationLog).toHaveLength(1);
+    expect(storedSubscription(store, 'sub-1').communicationLog).toHaveLength(2);
+  });
+
+  test('updateFulfillment writes the changes and the log entry together', async () => {
+    const store = createLocalStore({ storage: null, user: USER });
+    await store.create('sub-1', subscriptionData());
+    await store.updateFulfillment('sub-1', 'sub-1-1', () => ({ changes: { status: 'Skipped', reason: 'Travel' }, logEntry: { date: new Date(), message: 'Skipped.' } }));
+
+    const sub = storedSubscription(store, 'sub-1');
+    expect(sub.fulfillments[0]).toMatchObject({ status: 'Skipped', reason: 'Travel' });
+    expect(sub.nextActionDate).toEqual(new Date('2026-11-20T12:00:00.000Z'));
+    expect(sub.communicationLog.map(entry => entry.message)).toEqual(['Skipped.']);
+    await expect(store.updateFulfillment('sub-1', 'sub-1-9', () => ({}))).rejects.toThrow('Fulfillment sub-1-9 does not exist.');
+  });
+
+  test('createMany audits imports with the file name', async () => {
+    const store = createLocalStore({ storage: null, user: USER });
+    await store.createMany([{ id: 'sub-1', data: subscriptionData() }], 'subscriptions.csv');
+    expect(latest(onChange => store.subscribeAudit('sub-1', onChange))[0]).toMatchObject({ action: 'create', source: 'import', reference: 'subscriptions.csv' });
+  });
+
+  test('pages through the filtered table in order', async () => {
+    const store = createLocalStore({ storage: null, user: USER });
+    await store.create('later', subscriptionData({ patientName: 'Later', fulfillments: [{ id: 'later-1', seq: 1, fulfillmentDate: new Date('2026-12-01T12:00:00.000Z'), status: 'Scheduled' }] }));
+    await store.create('sooner', subscriptionData({ patientName: 'Sooner' }));
+    await store.create('done', subscriptionData({ patientName: 'Done', fulfillments: [{ id: 'done-1', seq: 1, fulfillmentDate: new Date('2026-01-01T12:00:00.000Z'), status: 'Delivered' }] }));
+    await store.create('shipNow', subscriptionData({ patientName: 'Ship Now', fulfillments: [{ id: 'shipNow-1', seq: 1, fulfillmentDate: new Date('2026-12-15T12:00:00.000Z'), status: 'RX Received' }] }));
+
+    const firstPage = latest(onChange => store.subscribePage({ filters: DEFAULT_FILTERS, pageSize: 3, cursor: null }, onChange));
+    expect(firstPage.subscriptions.map(sub => sub.id)).toEqual(['shipNow', 'sooner', 'later']);
+    expect(firstPage.nextCursor).toBe(3);
+    const secondPage = latest(onChange => store.subscribePage({ filters: DEFAULT_FILTERS, pageSize: 3, cursor: firstPage.nextCursor }, onChange));
+    expect(secondPage).toEqual({ subscriptions: [expect.objectContaining({ id: 'done', nextActionDate: NO_NEXT_ACTION })], nextCursor: null });
+
+    await expect(store.list({ ...DEFAULT_FILTERS, q: 'soon' })).resolves.toEqual([expect.objectContaining({ id: 'sooner' })]);
+  });
+
+  test('documents, audit events and the session survive a reload from storage', async () => {
+    const storage = memoryStorage();
+    const store = createLocalStore({ storage });
+    await store.signIn('pharmacist@demo.local', 'demo');
+    await store.create('sub-1', subscriptionData());
+
+    const reloaded = createLocalStore({ storage });
+    expect(latest(onUser => reloaded.watchUser(onUser))).toMatchObject({ uid: 'local-pharmacist' });
+    expect(storedSubscription(reloaded, 'sub-1').fulfillments[0].fulfillmentDate).toEqual(new Date('2026-10-20T12:00:00.000Z'));
+    expect(latest(onChange => reloaded.subscribeAudit('sub-1', onChange))).toHaveLength(1);
+  });
+
+  test('signing in needs a demo account and the demo password', async () => {
+    const store = createLocalStore({ storage: null });
+    await expect(store.signIn('pharmacist@demo.local', 'wrong')).rejects.toThrow('Invalid email or password.');
+    await expect(store.signIn('nobody@demo.local', 'demo')).rejects.toThrow('Invalid email or password.');
+  });
+});
@@ -0,0 +1,109 @@
+import { digitsOnly } from './validation';
+import { toCalendarDay, parseCalendarDay, toIsoDay } from './dates';
+
+// --- Subscription Fields ---
+// The editable subscription details as flat form values, and the mapping to and from the nested
+// document shape:
+//   patientName, ndc, drugName, strength, dosageForm, deaSchedule, quantity, daysSupply,
+//   patient { dob, mrn, phone, email }, shippingAddress { line1, line2, city, state, zip },
+//   prescriber { name, npi, fax, email }, prescription { rxNumber, writtenDate, expirationDate, refillsAuthorized }
+//   (prescription.refillsRemaining is derived, see prescriptions.js)
+// The drug fields are copied from the catalog entry picked by NDC (drugCatalog.js), so only
+// `ndc` has a label of its own.
+
+export const FIELD_LABELS = {
+  patientName: 'Patient Name',
+  dob: 'Date of Birth',
+  mrn: 'MRN',
+  phone: 'Phone',
+  email: 'Email',
+  addressLine1: 'Street Address',
+  addressLine2: 'Apt / Suite',
+  city: 'City',
+  state: 'State',
+  zip: 'ZIP Code',
+  prescriberName: 'Prescriber Name',
+  prescriberNpi: 'Prescriber NPI',
+  prescriberFax: 'Prescriber Fax',
+  prescriberEmail: 'Prescriber Email',
+  rxNumber: 'RX Number',
+  rxWrittenDate: 'Date Written',
+  rxExpirationDate: 'Expiration Date',
+  refillsAuthorized: 'Refills Authorized',
+  ndc: 'NDC',
+  quantity: 'Quantity',
+  daysSupply: "Days' Supply",
+  firstDate: 'First Fulfillment',
+  dayOfMonth: 'Day of Month',
+  duration: 'Number of Fulfillments',
+};
+
+export const toFormValues = (sub) => ({
+  patientName: sub?.patientName || '',
+  dob: sub?.patient?.dob || '',
+  mrn: sub?.patient?.mrn || '',
+  phone: sub?.patient?.phone || '',
+  email: sub?.patient?.email || '',
+  addressLine1: sub?.shippingAddress?.line1 || '',
+  addressLine2: sub?.shippingAddress?.line2 || '',
+  city: sub?.shippingAddress?.city || '',
+  state: sub?.shippingAddress?.state || '',
+  zip: sub?.shippingAddress?.zip || '',
+  prescriberName: sub?.prescriber?.name || '',
+  prescriberNpi: sub?.prescriber?.npi || '',
+  prescriberFax: sub?.prescriber?.fax || '',
+  prescriberEmail: sub?.prescriber?.email || '',
+  rxNumber: sub?.prescription?.rxNumber || '',
+  rxWrittenDate: sub?.prescription ? toIsoDay(toCalendarDay(sub.prescription.writtenDate)) : '',
+  rxExpirationDate: sub?.prescription ? toIsoDay(toCalendarDay(sub.prescription.expirationDate)) : '',
+  refillsAuthorized: sub?.prescription ? String(sub.prescription.refillsAuthorized) : '',
+  ndc: sub?.ndc || '',
+  drugName: sub?.drugName || '',
+  strength: sub?.strength || '',
+  dosageForm: sub?.dosageForm || '',
+  deaSchedule: sub?.deaSchedule || '',
+  quantity: sub?.quantity ? String(sub.quantity) : '',
+  daysSupply: sub?.daysSupply ? String(sub.daysSupply) : '',
+});
+
+// Expects values that passed validateSubscription.
+export const fromFormValues = (values) => ({
+  patientName: values.patientName.trim(),
+  patient: {
+    dob: values.dob,
+    mrn: values.mrn.trim(),
+    phone: values.phone ? digitsOnly(values.phone).replace(/^1(?=\d{10}$)/, '') : '',
+    email: values.email.trim().toLowerCase(),
+  },
+  shippingAddress: {
+    line1: values.addressLine1.trim(),
+    line2: values.addressLine2.trim(),
+    city: values.city.trim(),
+    state: values.state.trim().toUpperCase(),
+    zip: values.zip.trim(),
+  },
+  prescriber: {
+    name: values.prescriberName.trim(),
+    npi: values.prescriberNpi.trim(),
+    fax: values.prescriberFax ? digitsOnly(values.prescriberFax).replace(/^1(?=\d{10}$)/, '') : '',
+    email: values.prescriberEmail.trim().toLowerCase(),
+  },
+  prescription: {
+    rxNumber: values.rxNumber.trim().toUpperCase(),
+    writtenDate: parseCalendarDay(values.rxWrittenDate),
+    expirationDate: parseCalendarDay(values.rxExpirationDate),
+    refillsAuthorized: parseInt(values.refillsAuthorized, 10),
+    refillsRemaining: parseInt(values.refillsAuthorized, 10),
+  },
+  ndc: values.ndc,
+  drugName: values.drugName.trim(),
+  strength: values.strength.trim(),
+  dosageForm: values.dosageForm || null,
+  deaSchedule: values.deaSchedule || null,
+  quantity: parseInt(values.quantity, 10),
+  daysSupply: parseInt(values.daysSupply, 10),
+});
+
+export const hasContact = (sub) => !!(sub.patient?.phone || sub.patient?.email);
+
+export const hasShippingAddress = (sub) => !!(sub.shippingAddress?.line1 && sub.shippingAddress?.zip);
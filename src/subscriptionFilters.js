@@ -0,0 +1,83 @@
+import { getNextActionableDate } from './fulfillments';
+import { displayStatus } from './derivedFields';
+import { toCalendarDay } from './dates';
+
+// --- Subscription Filters ---
+// Filter state is a flat object of strings/booleans so it can round-trip through the URL query
+// string and be stored as a named view.
+
+export const DEFAULT_FILTERS = {
+  q: '',
+  status: '',
+  fulfillmentStatus: '',
+  physicianStatus: '',
+  due: '', // '' | 'pastDue' | 'today'
+  newRxCall: false,
+  renewalNeeded: false,
+  archived: false, // the Archived view shows only archived subscriptions, every other view none
+};
+
+const BOOLEAN_FILTERS = ['newRxCall', 'renewalNeeded', 'archived'];
+
+export const BUILT_IN_VIEWS = [
+  { name: 'Ready to ship today', filters: { ...DEFAULT_FILTERS, fulfillmentStatus: 'RX Received', due: 'today' } },
+  { name: 'Past due', filters: { ...DEFAULT_FILTERS, due: 'pastDue' } },
+  { name: 'New RX - Call Patient', filters: { ...DEFAULT_FILTERS, newRxCall: true } },
+  { name: 'Needs RX renewal', filters: { ...DEFAULT_FILTERS, renewalNeeded: true } },
+  { name: 'Awaiting physician approval', filters: { ...DEFAULT_FILTERS, physicianStatus: 'Requested' } },
+  { name: 'Archived', filters: { ...DEFAULT_FILTERS, archived: true } },
+];
+
+const endOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+// Upper bound on the next action date for a `due` filter. 'pastDue' is exclusive: anything due
+// before today's calendar day (src/dates.js), so today's fulfillments are never past due.
+export const dueBound = (due, now) => (due === 'today' ? endOfDay(now) : toCalendarDay(now));
+
+const matchesDue = (sub, due, now) => {
+  if (!due) return true;
+  const nextDate = getNextActionableDate(sub);
+  if (!nextDate) return false;
+  return due === 'pastDue' ? nextDate < dueBound(due, now) : nextDate <= dueBound(due, now);
+};
+
+export const filterSubscriptions = (subs, filters, now = new Date()) => {
+  const q = filters.q.trim().toLowerCase();
+  return subs.filter(sub => (
+    !!sub.archive === !!filters.archived
+    && (!q || `${sub.patientName} ${sub.drugName} ${sub.patient?.mrn || ''}`.toLowerCase().includes(q))
+    && (!filters.status || displayStatus(sub) === filters.status)
+    && (!filters.fulfillmentStatus || sub.fulfillments.some(f => f.status === filters.fulfillmentStatus))
+    && (!filters.physicianStatus || sub.physicianStatus === filters.physicianStatus)
+    && (!filters.newRxCall || sub.newRxCall)
+    && (!filters.renewalNeeded || sub.renewalNeeded)
+    && matchesDue(sub, filters.due, now)
+  ));
+};
+
+export const isDefaultFilters = (filters) => (
+  Object.keys(DEFAULT_FILTERS).every(key => filters[key] === DEFAULT_FILTERS[key])
+);
+
+// Only non-default values are written, so an unfiltered table has a clean URL.
+export const filtersToSearch = (filters) => {
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_FILTERS).forEach(key => {
+    if (filters[key] === DEFAULT_FILTERS[key]) return;
+    params.set(key, BOOLEAN_FILTERS.includes(key) ? '1' : filters[key]);
+  });
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+export const filtersFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  return Object.fromEntries(Object.keys(DEFAULT_FILTERS).map(key => {
+    if (!params.has(key)) return [key, DEFAULT_FILTERS[key]];
+    return [key, BOOLEAN_FILTERS.includes(key) ? params.get(key) === '1' : params.get(key)];
+  }));
+};
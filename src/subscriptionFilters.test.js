@@ -0,0 +1,46 @@
+import { parseCalendarDay } from './dates';
+import { DEFAULT_FILTERS, dueBound, filterSubscriptions, filtersFromSearch, filtersToSearch } from './subscriptionFilters';
+
+// Late in the evening, after the stored time of today's fulfillments (src/dates.js).
+const NOW = new Date(2026, 9, 18, 23);
+
+const dueOn = (id, isoDate, status = 'Scheduled') => ({
+  id,
+  patientName: 'Alex Doe',
+  drugName: 'Atorvastatin',
+  fulfillments: [{ id: `${id}-1`, seq: 1, fulfillmentDate: parseCalendarDay(isoDate), status }],
+});
+
+const subscriptions = [
+  dueOn('yesterday', '2026-10-17'),
+  dueOn('today', '2026-10-18'),
+  dueOn('tomorrow', '2026-10-19'),
+  dueOn('delivered', '2026-10-01', 'Delivered'),
+];
+
+const idsFor = (filters) => filterSubscriptions(subscriptions, { ...DEFAULT_FILTERS, ...filters }, NOW).map(sub => sub.id);
+
+describe('due filters', () => {
+  test('past due is anything due before today, whatever the time of day', () => {
+    expect(dueBound('pastDue', NOW)).toEqual(parseCalendarDay('2026-10-18'));
+    expect(idsFor({ due: 'pastDue' })).toEqual(['yesterday']);
+  });
+
+  test('due today includes everything due through the end of today', () => {
+    expect(idsFor({ due: 'today' })).toEqual(['yesterday', 'today']);
+  });
+
+  test('subscriptions with nothing open match neither', () => {
+    expect(idsFor({ due: 'pastDue' })).not.toContain('delivered');
+    expect(idsFor({})).toContain('delivered');
+  });
+});
+
+describe('filters in the URL', () => {
+  test('only non-default values are written and they read back the same', () => {
+    const filters = { ...DEFAULT_FILTERS, due: 'pastDue', renewalNeeded: true };
+    expect(filtersToSearch(DEFAULT_FILTERS)).toBe('');
+    expect(filtersToSearch(filters)).toBe('?due=pastDue&renewalNeeded=1');
+    expect(filtersFromSearch('?due=pastDue&renewalNeeded=1')).toEqual(filters);
+  });
+});
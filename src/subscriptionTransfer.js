@@ -0,0 +1,145 @@
+import { toCalendarDay, toIsoDay } from './dates';
+import { sortByDate, getNextActionableDate } from './fulfillments';
+import { displayStatus } from './derivedFields';
+import { FIELD_LABELS, toFormValues, fromFormValues } from './subscriptionFields';
+import { toScheduleValues, fromScheduleValues, initialFulfillments, describeSchedule } from './schedule';
+import { validateSubscription, validateSchedule, formatPhone, formatAddress } from './validation';
+import { normalizeNdc, findDrug, drugValues, describeDeaSchedule } from './drugCatalog';
+
+// --- Subscription Import ---
+// A CSV is imported in three steps: the columns are mapped onto form fields (guessed from the
+// header row), every row is validated exactly like SubscriptionForm would, and only then are the
+// valid rows created. Imported subscriptions always start with physician approval pending.
+// Each row names its drug by NDC, and the drug details come from the catalog entry.
+
+export const IMPORT_FIELDS = [
+  ...Object.keys(FIELD_LABELS).map(key => ({ key, label: FIELD_LABELS[key] })),
+  { key: 'cadenceType', label: 'Cadence' },
+  { key: 'intervalDays', label: 'Interval Days' },
+  { key: 'autoRenew', label: 'Auto-Renew' },
+  { key: 'newRxCall', label: 'New RX - Call Patient' },
+];
+
+const BOOLEAN_FIELDS = ['autoRenew', 'newRxCall'];
+const DATE_FIELDS = ['dob', 'rxWrittenDate', 'rxExpirationDate', 'firstDate'];
+
+const normalizeHeader = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// { fieldKey: columnIndex } for every field whose key or label matches a header; the rest are
+// left unmapped for the user to pick.
+export const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(IMPORT_FIELDS.map(({ key, label }) => {
+    const index = normalized.findIndex(h => h === normalizeHeader(key) || h === normalizeHeader(label));
+    return [key, index === -1 ? '' : index];
+  }));
+};
+
+const parseBoolean = (text) => /^(y|yes|true|1|x)$/i.test(text.trim());
+
+// Spreadsheets tend to save dates as M/D/YYYY; the form expects YYYY-MM-DD.
+const normalizeDate = (text) => {
+  const match = text.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return match ? `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}` : text.trim();
+};
+
+const normalizeCadence = (text) => (/month/i.test(text) ? 'monthly' : 'interval');
+
+const rowToValues = (row, mapping) => {
+  const values = { ...toFormValues(null), ...toScheduleValues(null), newRxCall: false };
+  IMPORT_FIELDS.forEach(({ key }) => {
+    if (mapping[key] === '' || mapping[key] === undefined) return;
+    const cell = row[mapping[key]] || '';
+    if (BOOLEAN_FIELDS.includes(key)) values[key] = parseBoolean(cell);
+    else if (DATE_FIELDS.includes(key)) values[key] = cell.trim() ? normalizeDate(cell) : values[key];
+    else if (key === 'cadenceType') values[key] = cell.trim() ? normalizeCadence(cell) : values[key];
+    else if (key === 'dayOfMonth' || key === 'intervalDays' || key === 'duration') values[key] = cell.trim() || values[key];
+    else values[key] = cell;
+  });
+  return values;
+};
+
+// One entry per data row: { rowNumber, values, errors }, where rowNumber counts the header row
+// as row 1 so it matches what a spreadsheet shows, and errors is a list of messages.
+export const previewImport = (rows, mapping, catalog, now = new Date()) => {
+  const seenMrns = new Map();
+  return rows.slice(1).map((row, i) => {
+    const rowNumber = i + 2;
+    const raw = rowToValues(row, mapping);
+    const drug = findDrug(catalog, normalizeNdc(raw.ndc));
+    const values = drug ? { ...raw, ...drugValues(drug) } : { ...raw, ndc: '' };
+    const fieldErrors = { ...validateSubscription(values, now), ...validateSchedule(values) };
+    if (raw.ndc.trim() && !drug) fieldErrors.ndc = `NDC ${raw.ndc.trim()} is not in the drug catalog.`;
+    const errors = Object.values(fieldErrors);
+
+    const mrn = values.mrn.trim().toUpperCase();
+    if (mrn && seenMrns.has(mrn)) errors.push(`MRN ${values.mrn.trim()} is also used in row ${seenMrns.get(mrn)}.`);
+    else if (mrn) seenMrns.set(mrn, rowNumber);
+
+    return { rowNumber, values, errors };
+  });
+};
+
+// The document to create for a row that passed previewImport.
+export const importedSubscription = ({ rowNumber, values }, fileName, actor, now = new Date()) => {
+  const details = fromFormValues(values);
+  const schedule = fromScheduleValues(values);
+  return {
+    ...details,
+    ...schedule,
+    newRxCall: values.newRxCall,
+    physicianStatus: 'Pending',
+    hold: null,
+    holdReason: '',
+    fulfillments: initialFulfillments(schedule, details.prescription.rxNumber),
+    communicationLog: [{ date: now, message: `Subscription imported from ${fileName} (row ${rowNumber}).`, ...actor }],
+  };
+};
+
+// --- Subscription Export ---
+// One row per subscription with its fulfillments flattened into a single column, for the weekly
+// reports. Dates are written as YYYY-MM-DD so spreadsheets sort them correctly.
+
+const isoDay = (date) => (date ? toIsoDay(toCalendarDay(date)) : '');
+
+const describeFulfillment = (f) => [f.id, isoDay(f.fulfillmentDate), f.status, f.tracking].filter(Boolean).join(' ');
+
+const lastLogEntry = (sub) => (
+  sub.communicationLog.reduce((latest, entry) => (!latest || entry.date > latest.date ? entry : latest), null)
+);
+
+const EXPORT_COLUMNS = [
+  ['Subscription ID', sub => sub.id],
+  ['Patient Name', sub => sub.patientName],
+  ['Date of Birth', sub => sub.patient?.dob || ''],
+  ['MRN', sub => sub.patient?.mrn || ''],
+  ['Phone', sub => (sub.patient?.phone ? formatPhone(sub.patient.phone) : '')],
+  ['Email', sub => sub.patient?.email || ''],
+  ['Shipping Address', sub => formatAddress(sub.shippingAddress) || ''],
+  ['Prescriber', sub => sub.prescriber?.name || ''],
+  ['Prescriber NPI', sub => sub.prescriber?.npi || ''],
+  ['Prescriber Fax', sub => (sub.prescriber?.fax ? formatPhone(sub.prescriber.fax) : '')],
+  ['Prescriber Email', sub => sub.prescriber?.email || ''],
+  ['Drug', sub => sub.drugName],
+  ['Strength', sub => sub.strength || ''],
+  ['NDC', sub => sub.ndc || ''],
+  ['DEA Schedule', sub => describeDeaSchedule(sub.deaSchedule) || ''],
+  ['Quantity', sub => sub.quantity ?? ''],
+  ["Days' Supply", sub => sub.daysSupply ?? ''],
+  ['RX Number', sub => sub.prescription?.rxNumber || ''],
+  ['RX Expires', sub => isoDay(sub.prescription?.expirationDate)],
+  ['Refills Remaining', sub => sub.prescription?.refillsRemaining ?? ''],
+  ['Schedule', sub => describeSchedule(sub)],
+  ['Status', sub => displayStatus(sub)],
+  ['Physician Status', sub => sub.physicianStatus],
+  ['Next Action Date', sub => isoDay(getNextActionableDate(sub))],
+  ['Fulfillments', sub => sortByDate(sub.fulfillments).map(describeFulfillment).join('; ')],
+  ['Last Log Entry', sub => lastLogEntry(sub)?.message || ''],
+  ['Last Log By', sub => lastLogEntry(sub)?.actor || ''],
+  ['Last Log Date', sub => isoDay(lastLogEntry(sub)?.date)],
+];
+
+export const exportRows = (subs) => [
+  EXPORT_COLUMNS.map(([header]) => header),
+  ...subs.map(sub => EXPORT_COLUMNS.map(([, value]) => value(sub))),
+];
@@ -0,0 +1,123 @@
+import { INTERVAL_DAYS, MAX_DURATION } from './schedule';
+import { parseCalendarDay, toIsoDay, toCalendarDay } from './dates';
+import { MAX_REFILLS } from './prescriptions';
+import { isScheduleII } from './drugCatalog';
+
+// --- Subscription Validation ---
+// Checks the flat SubscriptionForm values and returns { fieldName: message } for every problem;
+// an empty object means the form can be saved.
+
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'PR', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+];
+
+export const digitsOnly = (value) => (value || '').replace(/\D/g, '');
+
+// NPIs carry a Luhn check digit computed over the number prefixed with 80840.
+export const isValidNpi = (npi) => {
+  if (!/^\d{10}$/.test(npi)) return false;
+  const digits = `80840${npi}`.split('').map(Number);
+  const sum = digits.reverse().reduce((total, digit, i) => {
+    if (i % 2 === 0) return total + digit;
+    const doubled = digit * 2;
+    return total + (doubled > 9 ? doubled - 9 : doubled);
+  }, 0);
+  return sum % 10 === 0;
+};
+
+const isPastIsoDate = (value, now) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00`);
+  return !Number.isNaN(date.getTime()) && date < now && date.getFullYear() > 1900;
+};
+
+const isCalendarDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && toIsoDay(parseCalendarDay(value)) === value;
+
+const isPositiveInteger = (value) => /^\d+$/.test(String(value)) && parseInt(value, 10) > 0;
+
+export const validateSubscription = (values, now = new Date()) => {
+  const errors = {};
+  const require = (field, label) => {
+    if (!String(values[field] || '').trim()) errors[field] = `${label} is required.`;
+  };
+
+  require('patientName', 'Patient name');
+  require('dob', 'Date of birth');
+  require('mrn', 'MRN');
+  require('addressLine1', 'Street address');
+  require('city', 'City');
+  require('state', 'State');
+  require('zip', 'ZIP code');
+  require('prescriberName', 'Prescriber name');
+  require('prescriberNpi', 'Prescriber NPI');
+  require('rxNumber', 'RX number');
+  require('rxWrittenDate', 'Date written');
+  require('rxExpirationDate', 'Expiration date');
+  require('refillsAuthorized', 'Refills authorized');
+  require('quantity', 'Quantity');
+  require('daysSupply', "Days' supply");
+  if (!values.ndc) errors.ndc = 'Choose the drug from the catalog.';
+
+  if (values.dob && !errors.dob && !isPastIsoDate(values.dob, now)) errors.dob = 'Enter a valid date of birth in the past.';
+  if (values.mrn && !/^[A-Za-z0-9-]{4,20}$/.test(values.mrn.trim())) errors.mrn = 'MRN must be 4-20 letters, digits or dashes.';
+  if (!values.phone && !values.email) errors.phone = 'Enter a phone number or an email address.';
+  if (values.phone && digitsOnly(values.phone).replace(/^1(?=\d{10}$)/, '').length !== 10) errors.phone = 'Enter a 10-digit US phone number.';
+  if (values.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email.trim())) errors.email = 'Enter a valid email address.';
+  if (values.state && !US_STATES.includes(values.state.trim().toUpperCase())) errors.state = 'Enter a two-letter US state code.';
+  if (values.zip && !/^\d{5}(-\d{4})?$/.test(values.zip.trim())) errors.zip = 'ZIP code must be 12345 or 12345-6789.';
+  if (values.prescriberNpi && !isValidNpi(values.prescriberNpi.trim())) errors.prescriberNpi = 'Enter a valid 10-digit NPI.';
+  if (values.prescriberFax && digitsOnly(values.prescriberFax).replace(/^1(?=\d{10}$)/, '').length !== 10) errors.prescriberFax = 'Enter a 10-digit US fax number.';
+  if (values.prescriberEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.prescriberEmail.trim())) errors.prescriberEmail = 'Enter a valid email address.';
+  if (values.rxNumber && !/^[A-Za-z0-9-]{3,20}$/.test(values.rxNumber.trim())) errors.rxNumber = 'RX number must be 3-20 letters, digits or dashes.';
+  if (values.rxWrittenDate && !(isCalendarDay(values.rxWrittenDate) && parseCalendarDay(values.rxWrittenDate) <= toCalendarDay(now))) {
+    errors.rxWrittenDate = 'Enter a valid date that is not in the future.';
+  }
+  if (values.rxExpirationDate && !isCalendarDay(values.rxExpirationDate)) errors.rxExpirationDate = 'Enter a valid expiration date.';
+  else if (values.rxExpirationDate && isCalendarDay(values.rxWrittenDate) && values.rxExpirationDate <= values.rxWrittenDate) {
+    errors.rxExpirationDate = 'The expiration date must be after the date written.';
+  }
+  if (values.refillsAuthorized && !(/^\d+$/.test(values.refillsAuthorized) && parseInt(values.refillsAuthorized, 10) <= MAX_REFILLS)) {
+    errors.refillsAuthorized = `Refills must be a whole number from 0 to ${MAX_REFILLS}.`;
+  } else if (isScheduleII(values.deaSchedule) && values.refillsAuthorized && parseInt(values.refillsAuthorized, 10) !== 0) {
+    errors.refillsAuthorized = 'Schedule II prescriptions cannot be refilled.';
+  }
+  if (values.quantity && !isPositiveInteger(values.quantity)) errors.quantity = 'Quantity must be a whole number above zero.';
+  if (values.daysSupply && !(isPositiveInteger(values.daysSupply) && parseInt(values.daysSupply, 10) <= 90)) {
+    errors.daysSupply = "Days' supply must be between 1 and 90.";
+  }
+
+  return errors;
+};
+
+// Checks the schedule fields, which are only editable while creating a subscription.
+export const validateSchedule = (values) => {
+  const errors = {};
+  if (!isCalendarDay(values.firstDate)) {
+    errors.firstDate = 'Enter the date of the first fulfillment.';
+  }
+  if (values.cadenceType === 'interval' && !INTERVAL_DAYS.includes(parseInt(values.intervalDays, 10))) {
+    errors.intervalDays = `Choose every ${INTERVAL_DAYS.join(', ')} days.`;
+  }
+  if (values.cadenceType === 'monthly' && !(isPositiveInteger(values.dayOfMonth) && parseInt(values.dayOfMonth, 10) <= 31)) {
+    errors.dayOfMonth = 'Day of month must be between 1 and 31.';
+  }
+  if (!values.autoRenew && !(isPositiveInteger(values.duration) && parseInt(values.duration, 10) <= MAX_DURATION)) {
+    errors.duration = `Enter between 1 and ${MAX_DURATION} fulfillments, or make the subscription auto-renewing.`;
+  } else if (isScheduleII(values.deaSchedule) && (values.autoRenew || parseInt(values.duration, 10) !== 1)) {
+    errors.duration = 'Schedule II drugs need a new prescription for every fill, so they get a single fulfillment.';
+  }
+  return errors;
+};
+
+export const formatPhone = (phone) => {
+  const digits = digitsOnly(phone).replace(/^1(?=\d{10}$)/, '');
+  return digits.length === 10 ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}` : phone;
+};
+
+export const formatAddress = (address) => {
+  if (!address) return null;
+  const street = [address.line1, address.line2].filter(Boolean).join(', ');
+  return `${street}, ${address.city}, ${address.state} ${address.zip}`;
+};